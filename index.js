@@ -22,12 +22,33 @@ const BaseTemplateController = require('./lib/BaseTemplateController');
 
 const CompositeController = require('./lib/CompositeController');
 
+const ConfigProvider = require('./lib/ConfigProvider');
+
+const errors = require('./lib/errors');
+
+const EventRecorder = require('./lib/EventRecorder');
+
 const FetchEnvs = require('./lib/FetchEnvs');
 
+const metrics = require('./lib/metrics');
+
+const RetryPolicy = require('./lib/RetryPolicy');
+
+const testing = require('./lib/testing');
+
+const tracing = require('./lib/tracing');
+
 module.exports = {
   BaseController,
   BaseDownloadController,
   BaseTemplateController,
   CompositeController,
-  FetchEnvs
+  ConfigProvider,
+  errors,
+  EventRecorder,
+  FetchEnvs,
+  metrics,
+  RetryPolicy,
+  testing,
+  tracing
 };
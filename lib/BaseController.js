@@ -17,9 +17,23 @@
 const objectPath = require('object-path');
 const clone = require('clone');
 const merge = require('deepmerge');
-const fs = require('fs-extra');
 const hash = require('object-hash');
 
+const { setCondition, findCondition, logMessage } = require('./conditions');
+const EventRecorder = require('./EventRecorder');
+const metrics = require('./metrics');
+const RetryPolicy = require('./RetryPolicy');
+const ClusterLock = require('./ClusterLock');
+const ConfigProvider = require('./ConfigProvider');
+const ImpersonationPolicy = require('./ImpersonationPolicy');
+const { diff, summary: diffSummary, drift, driftSummary } = require('./diff');
+const LastApplied = require('./lastApplied');
+const ListMap = require('./listMap');
+const RazeeLogs = require('./razeeLogs');
+const tracing = require('./tracing');
+const { RateLimiter, throttle, throttleKubeClass } = require('./limits');
+const { RazeeError, KubeApiError, ValidationError, EnvResolutionError, renderError } = require('./errors');
+
 
 module.exports = class BaseController {
   constructor(params) {
@@ -27,8 +41,17 @@ module.exports = class BaseController {
     this._finalizerString = params.finalizerString;
 
     this._logger = params.logger;
-    this._kubeResourceMeta = params.kubeResourceMeta;
-    this._kc = params.kubeClass;
+    // every api request of the cycle waits for the same rate limiter, see ./limits
+    this._rateLimiter = params.rateLimiter || new RateLimiter();
+    this._rateLimiterConfigurable = !params.rateLimiter; // a limiter passed in is configured by its owner
+    this._kubeResourceMeta = throttle(params.kubeResourceMeta, this._rateLimiter);
+    this._kc = throttleKubeClass(params.kubeClass, this._rateLimiter);
+    this._fieldManager = params.fieldManager || 'razeedeploy'; // field manager used for server-side apply
+    this._eventRecorder = params.eventRecorder || new EventRecorder({ kubeClass: this._kc, logger: this._logger });
+    this._metrics = metrics.coreMetrics(params.metricsRegistry || metrics.registry);
+    this._retryPolicy = (params.retryPolicy instanceof RetryPolicy) ? params.retryPolicy : new RetryPolicy(params.retryPolicy);
+    this._config = params.configProvider || ConfigProvider.default;
+    this._tracer = params.tracer; // see ./tracing, the shared tracer is used when not set
 
     this._data = params.eventData;
     this._name = objectPath.get(this._data, 'object.metadata.name');
@@ -38,9 +61,12 @@ module.exports = class BaseController {
       namespace: this._namespace
     });
 
-    this._status = {}; // to be removed
     this._children = {};
     this._razeeLogHashes = [];
+    this._razeeLogLevels = {}; // logLevel -> logs added this cycle, used to compute status.conditions
+    this._conditions = {}; // conditions explicitly set this cycle, see setCondition()
+    this._clusterLocked = undefined; // the lock that applies to this resource, see _cluster_locked()
+    this._plan = {}; // changes that would have been made this cycle when dry-run is enabled
   }
 
   // getters
@@ -53,15 +79,15 @@ module.exports = class BaseController {
   get kubeClass() {
     return this._kc;
   }
+  get rateLimiter() {
+    return this._rateLimiter;
+  }
   get data() {
     return this._data;
   }
   get selfLink() {
     return this._selfLink;
   }
-  get status() { // to be removed
-    return this._status;
-  }
   get children() {
     return this._children;
   }
@@ -71,33 +97,80 @@ module.exports = class BaseController {
   get namespace() {
     return this._namespace;
   }
+  get retryPolicy() {
+    return this._retryPolicy;
+  }
+  get metrics() {
+    return this._metrics;
+  }
+  get config() {
+    return this._config;
+  }
+  get tracer() {
+    return this._tracer || tracing.getTracer();
+  }
+  get dryRun() {
+    // a resource being deleted must always really clean up its children
+    if (objectPath.has(this._data, 'object.metadata.deletionTimestamp')) {
+      return false;
+    }
+    let dryRun = objectPath.get(this._data, ['object', 'metadata', 'labels', 'deploy.razee.io/dry-run'], 'false');
+    return (String(dryRun).toLowerCase() === 'true');
+  }
+  get plan() {
+    return this._plan;
+  }
+  get detectDrift() {
+    // children are only compared against their last-applied-configuration, never changed
+    let detectDrift = objectPath.get(this._data, ['object', 'metadata', 'labels', 'deploy.razee.io/detect-drift'], 'false');
+    return (String(detectDrift).toLowerCase() === 'true');
+  }
   get reconcileDefault() {
     let result;
     result = objectPath.get(this._data, ['object', 'metadata', 'labels', 'deploy.razee.io/Reconcile'], 'true');
     return result;
   }
 
+  // runs fn(span) in a span with the parent selfLink and resourceVersion as attributes
+  async trace(name, fn, attributes = {}) {
+    return await tracing.withSpan(this.tracer, name, {
+      'razee.parent.self_link': this.selfLink,
+      'razee.parent.resource_version': objectPath.get(this._data, 'object.metadata.resourceVersion'),
+      ...attributes
+    }, fn);
+  }
+
   // Start processesing the data
   async execute() {
+    return await this.trace('execute', (span) => this._execute(span), { 'razee.event.type': objectPath.get(this._data, 'type') });
+  }
+
+  async _execute(span) {
+    const endTimer = this._metrics.reconcileDuration.startTimer({ controller: objectPath.get(this._data, 'object.kind'), event: objectPath.get(this._data, 'type') });
+    let result = 'success';
     try {
       if (!(this._data || this._data.type)) {
         throw Error('Unrecognized object received from watch event');
       }
+      await this._configureLimits();
 
-      let res = await this.preprocessImpersonation();
+      let res = await this.trace('preprocessImpersonation', () => this.preprocessImpersonation());
       if (res != null) {
         return res;
       }
       else {
-        await this.processImpersonation(this._kubeResourceMeta);
+        await this.trace('processImpersonation', () => this.processImpersonation(this._kubeResourceMeta));
       }
 
       this._logger.info(`${this._data.type} event received ${this.selfLink} ${objectPath.get(this._data, 'object.metadata.resourceVersion')}`);
       let clusterLocked = await this._cluster_locked();
       if (clusterLocked) {
-        this._logger.info(`Cluster lock has been set.. skipping ${this._data.type} event ${this.selfLink} ${objectPath.get(this._data, 'object.metadata.resourceVersion')}`);
-        await this.updateRazeeLogs('info', { 'cluster-locked': clusterLocked });
-        return await this._reconcileRazeeLogs();
+        this._logger.info(`Cluster lock has been set (${clusterLocked.reason}).. skipping ${this._data.type} event ${this.selfLink} ${objectPath.get(this._data, 'object.metadata.resourceVersion')}`);
+        this._clusterLocked = clusterLocked;
+        result = 'locked';
+        await this.recordEvent('Warning', 'ClusterLocked', `${clusterLocked.reason}${clusterLocked.expires ? ` until ${clusterLocked.expires}` : ''}, skipping ${this._data.type} event`);
+        await this.updateRazeeLogs('info', { 'cluster-locked': true, reason: clusterLocked.reason });
+        return await this._reconcileStatus();
       }
       if (this._data.type === 'ADDED') {
         await this._added();
@@ -109,48 +182,86 @@ module.exports = class BaseController {
         await this._deleted();
       }
     } catch (e) {
+      result = 'error';
+      tracing.recordError(span, e);
       try {
         this.errorHandler(e);
         const errArr = Array.isArray(e) ? e : [e];
         for (let i = 0; i < errArr.length; i++) {
-          await this.updateRazeeLogs('error', errArr[i].message || errArr[i]);
+          const err = errArr[i];
+          await this.updateRazeeLogs('error', err instanceof RazeeError ? err : (err.message || err));
         }
-        await this._reconcileRazeeLogs();
+        await this._reconcileStatus();
       } catch (e) {
         this._logger.error(e);
       }
+    } finally {
+      endTimer({ result: result });
+      span.setAttribute('razee.result', result);
+    }
+  }
+
+  async _configureLimits() {
+    if (this._rateLimiterConfigurable) {
+      this._rateLimiter.configure({
+        qps: await this._config.getNumber('api-qps'),
+        burst: await this._config.getNumber('api-burst')
+      });
     }
   }
 
   async preprocessImpersonation() {
     let res = null;
     let impersonationEnabled = await this._impersonation_enabled();
-    let impersonateUser = objectPath.get(this.data, 'object.spec.clusterAuth.impersonateUser', 'false');
-    if (impersonateUser === 'false' || (!impersonationEnabled && impersonateUser != 'razeedeploy' && this.namespace != 'razeedeploy')) {
-      return await this.patchSelf({ 'spec': { 'clusterAuth': { 'impersonateUser': 'razeedeploy' } } });
+    let clusterAuth = objectPath.get(this.data, 'object.spec.clusterAuth', {});
+    let impersonateUser = objectPath.get(clusterAuth, 'impersonateUser', 'false');
+    let impersonating = (impersonateUser !== 'false' && impersonateUser != 'razeedeploy') || !!clusterAuth.impersonateServiceAccount || (clusterAuth.impersonateGroups || []).length > 0;
+    if ((impersonateUser === 'false' && !impersonating) || (!impersonationEnabled && impersonating && this.namespace != 'razeedeploy')) {
+      return await this.patchSelf({ 'spec': { 'clusterAuth': { 'impersonateUser': 'razeedeploy', 'impersonateGroups': null, 'impersonateServiceAccount': null } } });
     }
 
     return res;
   }
 
   async processImpersonation(krm) {
-    let impersonateUser = objectPath.get(this.data, 'object.spec.clusterAuth.impersonateUser', 'razeedeploy');
-    if (impersonateUser === 'razeedeploy') {
-      return impersonateUser;
+    let identity = ImpersonationPolicy.resolveIdentity(objectPath.get(this.data, 'object.spec.clusterAuth', {}), this.namespace);
+    if (identity.user === 'razeedeploy') {
+      return identity.user;
     }
 
     let impersonationEnabled = await this._impersonation_enabled();
+    // parents in the razeedeploy namespace impersonate without enable-impersonation
     if (impersonationEnabled || this.namespace === 'razeedeploy') {
-      krm.addHeader('Impersonate-User', impersonateUser);
+      let denied;
+      try {
+        let policy = await this._config.getYaml('impersonation-policy');
+        if (!ImpersonationPolicy.configured(policy) && !this._impersonationPolicyWarned) {
+          this._impersonationPolicyWarned = true;
+          this._logger.warn(`${this.selfLink}: impersonating ${identity.user} without an impersonation-policy is deprecated, set one (or ${ImpersonationPolicy.ALLOW_ALL}) to keep impersonating`);
+        }
+        denied = ImpersonationPolicy.check(policy, this.namespace, identity);
+      } catch (e) {
+        denied = e.message; // an unreadable policy must not grant anything
+      }
+      if (denied) {
+        await this.recordEvent('Warning', 'ImpersonationDenied', denied);
+        throw new ValidationError(`Impersonation denied: ${denied}`, { code: 'ImpersonationDenied', resource: this.selfLink });
+      }
+      krm.addHeader('Impersonate-User', identity.user);
+      if (identity.groups.length > 0) {
+        krm.addHeader('Impersonate-Group', identity.groups);
+      }
     } else {
-      impersonateUser = 'razeedeploy';
+      identity.user = 'razeedeploy';
     }
 
-    return impersonateUser;
+    return identity.user;
   }
 
   errorHandler(err) {
-    if (typeof err === 'object' && !(err instanceof Error)) {
+    if (err instanceof RazeeError) {
+      err = JSON.stringify(err.toJSON());
+    } else if (typeof err === 'object' && !(err instanceof Error)) {
       try {
         err = JSON.stringify(err);
       } catch (error) {
@@ -174,13 +285,12 @@ module.exports = class BaseController {
     }
 
     this._logger.debug(`'Added' Finalizer ${this.selfLink} started`);
-    let hasDeletionTimestamp = await this.finalizer();
+    let hasDeletionTimestamp = await this.trace('finalizer', () => this.finalizer());
     this._logger.debug(`'Added' Finalizer ${this.selfLink} completed: deletionTimestamp ${hasDeletionTimestamp}`);
     if (hasDeletionTimestamp) {
       if (objectPath.get(this._data, 'object.metadata.finalizers', []).length > 0) {
         try {
-          await this._patchStatus(); // to be removed
-          return await this._reconcileRazeeLogs();
+          return await this._reconcileStatus();
         } catch (e) {
           return (e.statusCode === 404) ? { message: 'Resource already deleted', statusCode: 404 } : Promise.reject(e);
         }
@@ -188,12 +298,12 @@ module.exports = class BaseController {
       return;
     }
 
-    this._logger.debug(`added() ${this.selfLink}`);
-    await this.added();
+    this._logger.debug(`added() ${this.selfLink}${this.dryRun ? ' (dry-run)' : ''}`);
+    await this.trace('added', () => this.added());
     this._logger.debug(`added() completed ${this.selfLink}`);
+    await this._reconcilePlan();
 
-    await this._patchStatus(); // to be removed
-    return await this._reconcileRazeeLogs();
+    return await this._reconcileStatus();
   }
   async added() {
     return this._logger.info(this._data);
@@ -207,12 +317,11 @@ module.exports = class BaseController {
       }
       this._logger.debug(`Found deletionTimestamp.. running finalizer.. ${objectPath.get(this._data, 'object.metadata.resourceVersion')}`);
       this._logger.debug(`'Modified' Finalizer ${this.selfLink} started`);
-      let hasDeletionTimestamp = await this.finalizer();
+      let hasDeletionTimestamp = await this.trace('finalizer', () => this.finalizer());
       this._logger.debug(`'Modified' Finalizer ${this.selfLink} completed: deletionTimestamp ${hasDeletionTimestamp}`);
       if (objectPath.get(this._data, 'object.metadata.finalizers', []).length > 0) {
         try {
-          await this._patchStatus(); // to be removed
-          return await this._reconcileRazeeLogs();
+          return await this._reconcileStatus();
         } catch (e) {
           return (e.statusCode === 404) ? { message: 'Resource already deleted', statusCode: 404 } : Promise.reject(e);
         }
@@ -226,7 +335,7 @@ module.exports = class BaseController {
     if (dh != cdh) {
       this._logger.debug(`Last known deploy.razee.io/data-hash doesn't match computed.. updating annotation and running modified().. ${objectPath.get(this._data, 'object.metadata.resourceVersion')}`);
       await this.patchSelf({ metadata: { annotations: { 'deploy.razee.io/data-hash': cdh } } });
-      await this.modified();
+      await this.trace('modified', () => this.modified());
     } else { // else non significant change has occured, event is skipped
       this._logger.info(`No relevant change detected.. skipping ${this._data.type} event ${this.selfLink} ${objectPath.get(this._data, 'object.metadata.resourceVersion')}`);
     }
@@ -244,25 +353,30 @@ module.exports = class BaseController {
 
   // General helpers ===========================================
   async _cluster_locked() {
-    let lockCluster = 'false';
-    let lockClusterPath = './config/lock-cluster';
-    let exists = await fs.pathExists(lockClusterPath);
-    if (exists) {
-      lockCluster = await fs.readFile(lockClusterPath, 'utf8');
-      lockCluster = lockCluster.trim().toLowerCase();
+    // returns the lock that applies to this resource ({ locked, reason, expires, rule }), or undefined when not locked
+    if (await this._config.getBoolean('lock-cluster', false)) {
+      return { locked: true, reason: 'Cluster lock has been set', rule: 'lock-cluster' };
+    }
+
+    let rules;
+    try {
+      rules = await this._config.getYaml('cluster-locks');
+    } catch (e) {
+      return { locked: true, reason: e.message, rule: 'cluster-locks' };
     }
-    return (lockCluster == 'true');
+    return ClusterLock.evaluate(rules, objectPath.get(this._data, 'object'));
   }
 
   async _impersonation_enabled() {
-    let enableImpersonation = 'false';
-    let enableImpersonationPath = './config/enable-impersonation';
-    let exists = await fs.pathExists(enableImpersonationPath);
-    if (exists) {
-      enableImpersonation = await fs.readFile(enableImpersonationPath, 'utf8');
-      enableImpersonation = enableImpersonation.trim().toLowerCase();
+    return await this._config.getBoolean('enable-impersonation', false);
+  }
+
+  _writeOptions(opt = { simple: false, resolveWithFullResponse: true }) {
+    if (this.dryRun) {
+      // kube server-side dry-run: request is fully validated and admitted, but never persisted
+      opt.qs = { ...opt.qs, dryRun: 'All' };
     }
-    return (enableImpersonation == 'true');
+    return opt;
   }
 
   _computeDataHash(resource) {
@@ -284,7 +398,7 @@ module.exports = class BaseController {
     let res = await this.kubeResourceMeta.request({ uri: `/api/v1/namespaces/${ns || this.namespace}/secrets/${name}`, json: true });
     let base64KeyData = objectPath.get(res, ['data', key]);
     if (base64KeyData === undefined) {
-      return Promise.reject(`key '${key}' in secret '${name}' from namespace '${ns}' not found`);
+      return Promise.reject(new EnvResolutionError(`key '${key}' in secret '${name}' from namespace '${ns}' not found`, { code: 'KeyNotFound', resource: `/api/v1/namespaces/${ns || this.namespace}/secrets/${name}` }));
     }
     let secret = Buffer.from(base64KeyData, 'base64');
     return returnAsBuffer ? secret : secret.toString();
@@ -312,31 +426,50 @@ module.exports = class BaseController {
         objectPath.set(this._data, 'object', res);
 
         this._logger.debug(`FinalizerCleanup Started: ${this.selfLink}`);
-        await this.finalizerCleanup(); // if finalizerCleanup completes without error then continue
+        try {
+          await this.finalizerCleanup(); // if finalizerCleanup completes without error then continue
+        } catch (e) {
+          await this.recordEvent('Warning', 'FinalizerCleanupFailed', `Finalizer ${this._finalizerString} cleanup failed: ${logMessage(e)}`);
+          throw e;
+        }
         this._logger.debug(`FinalizerCleanup Completed: ${this.selfLink}`);
-        // remove finalizer from array
-        finalizers.splice(finalizerIndex, 1);
         try {
           // apply updated resource. If another finalizer exists and gets deleted before this patch is complete, kube will error based on trying to add
-          // a "new" finalzier, because we dont have the updated finalizer list with the deleted one removed. We will attempt patch again next cycle.
-          let res = await this.patchSelf({ metadata: { finalizers: finalizers } });
-          // save newly patched object to continue cycle with latest data
-          objectPath.set(this._data, 'object', res);
+          // a "new" finalzier, because we dont have the updated finalizer list with the deleted one removed. Re-read the live finalizers and retry.
+          await this._retryPolicy.run(async (attempt) => {
+            if (attempt > 1) {
+              await this._refreshSelf();
+            }
+            // remove finalizer from array
+            let liveFinalizers = objectPath.get(this._data, 'object.metadata.finalizers', []).filter(f => f !== this._finalizerString);
+            let res = await this.patchSelf({ metadata: { finalizers: liveFinalizers } }, { retry: false });
+            // save newly patched object to continue cycle with latest data
+            objectPath.set(this._data, 'object', res);
+          }, { shouldRetry: (e) => this._retryPolicy.isRetryable(e), onRetry: this._logRetry(`Remove finalizer ${this.selfLink}`) });
         } catch (e) {
-          // if patch to remove finalizer fails (will fail if resourceVersion has changed 409 or resource already deleted 404), this will reject out and try again next cycle if necessary.
+          // if patch to remove finalizer still fails (resource already deleted 404), this will reject out and try again next cycle if necessary.
           return (e.statusCode === 404) ? { message: 'Resource already deleted', statusCode: 404 } : Promise.reject(e);
         }
       }
     } else { // resource has not been requested to be deleted
       // if finalizer doesnt exist yet
       if (finalizerIndex < 0) {
-        // add finalizer for future checks
-        finalizers.push(this._finalizerString);
         // apply updated resource
-        // if patch to add finalizer fails (will fail if resourceVersion has changed 409), this will reject out and try again next cycle.
-        let res = await this.patchSelf({ metadata: { resourceVersion: objectPath.get(this._data, 'object.metadata.resourceVersion'), finalizers: finalizers } });
-        // save newly patched object to continue cycle with latest data
-        objectPath.set(this._data, 'object', res);
+        // if patch to add finalizer fails (will fail if resourceVersion has changed 409), re-read the resource and retry with its latest finalizers.
+        // once retries are exhausted, this will reject out and try again next cycle.
+        await this._retryPolicy.run(async (attempt) => {
+          if (attempt > 1) {
+            await this._refreshSelf();
+          }
+          let liveFinalizers = objectPath.get(this._data, 'object.metadata.finalizers', []);
+          if (liveFinalizers.includes(this._finalizerString)) {
+            return;
+          }
+          // add finalizer for future checks
+          let res = await this.patchSelf({ metadata: { resourceVersion: objectPath.get(this._data, 'object.metadata.resourceVersion'), finalizers: liveFinalizers.concat(this._finalizerString) } }, { retry: false });
+          // save newly patched object to continue cycle with latest data
+          objectPath.set(this._data, 'object', res);
+        }, { onRetry: this._logRetry(`Add finalizer ${this.selfLink}`) });
       }
     }
 
@@ -353,10 +486,22 @@ module.exports = class BaseController {
 
   // Update own status helpers ===========================================
   async updateRazeeLogs(logLevel, log) { // add new log to razee logs in status
+    log = renderError(log);
     let patchObj = {};
     let logHash = hash(log);
-    objectPath.set(patchObj, ['razee-logs', logLevel, logHash], log);
+    // recorded before anything is awaited, callers that don't await must not have their log pruned by _reconcileStatus
     this._razeeLogHashes.push(logHash);
+    objectPath.push(this._razeeLogLevels, [logLevel], log);
+
+    let maxLogLength = await this._config.getNumber('razee-logs-max-log-length', RazeeLogs.MAX_LOG_LENGTH);
+    let maxEntries = await this._config.getNumber('razee-logs-max-entries', RazeeLogs.MAX_ENTRIES);
+    let entries = { ...objectPath.get(this._data, ['object', 'status', 'razee-logs', logLevel], {}) };
+    let existing = entries[logHash];
+    entries[logHash] = RazeeLogs.record(existing, log, { maxLogLength: maxLogLength });
+    objectPath.set(patchObj, ['razee-logs', logLevel, logHash], RazeeLogs.entryPatch(existing, entries[logHash]));
+    RazeeLogs.evict(entries, maxEntries, logHash).forEach(h => {
+      objectPath.set(patchObj, ['razee-logs', logLevel, h], null);
+    });
 
     let res = await this.patchSelf({ status: patchObj }, { status: true });
     // save newly patched object to continue cycle with latest data
@@ -364,93 +509,190 @@ module.exports = class BaseController {
     return res;
   }
 
-  async _reconcileRazeeLogs() { // clear out logs in status that weren't created this cycle
+  async _reconcileRazeeLogs() { // move logs in status that weren't created this cycle to razee-logs-history
     let patchObj = {};
+    let resolved = [];
     let logLevels = Object.keys(objectPath.get(this._data, 'object.status.razee-logs', {}));
     logLevels.map(logLevel => {
       let logHashes = Object.keys(objectPath.get(this._data, ['object', 'status', 'razee-logs', logLevel], {}));
       logHashes.map(logHash => {
-        this._razeeLogHashes.includes(logHash) ?
-          objectPath.set(patchObj, ['razee-logs', logLevel, logHash], objectPath.get(this._data, ['object', 'status', 'razee-logs', logLevel, logHash])) :
+        let entry = objectPath.get(this._data, ['object', 'status', 'razee-logs', logLevel, logHash]);
+        if (this._razeeLogHashes.includes(logHash)) {
+          objectPath.set(patchObj, ['razee-logs', logLevel, logHash], entry);
+        } else {
           objectPath.set(patchObj, ['razee-logs', logLevel, logHash], null);
+          if (entry !== null && entry !== undefined) {
+            resolved.push({ level: logLevel, hash: logHash, entry: entry });
+          }
+        }
       });
-      let logLevelIsEmpty = Object.values(objectPath.get(patchObj, ['razee-logs', logLevel], {})).every(x => (x == null));
+      // a log of this cycle still being written keeps its level
+      let logLevelIsEmpty = Object.values(objectPath.get(patchObj, ['razee-logs', logLevel], {})).every(x => (x == null)) && !objectPath.has(this._razeeLogLevels, [logLevel]);
       if (logLevelIsEmpty) {
         objectPath.set(patchObj, ['razee-logs', logLevel], null);
       }
     });
-    let razeeLogsIsEmpty = Object.values(objectPath.get(patchObj, ['razee-logs'], {})).every(x => (x == null));
+    let razeeLogsIsEmpty = Object.values(objectPath.get(patchObj, ['razee-logs'], {})).every(x => (x == null)) && this._razeeLogHashes.length === 0;
     if (razeeLogsIsEmpty) {
       objectPath.set(patchObj, ['razee-logs'], null);
     }
 
+    let history = objectPath.get(this._data, ['object', 'status', 'razee-logs-history']);
+    let historySize = await this._config.getNumber('razee-logs-history-size', RazeeLogs.HISTORY_SIZE);
+    if (resolved.length > 0 || (Array.isArray(history) && history.length > historySize)) {
+      let newHistory = RazeeLogs.resolve(history, resolved, { size: historySize });
+      patchObj['razee-logs-history'] = newHistory.length > 0 ? newHistory : null;
+    }
+    return patchObj;
+  }
+
+  setCondition(type, status, reason, message) {
+    // explicitly set a condition for this cycle, takes precedence over the conditions computed from razee-logs
+    this._conditions[type] = { type: type, status: status, reason: reason, message: message };
+  }
+
+  _computeConditions() {
+    let errors = [].concat(objectPath.get(this._razeeLogLevels, 'fatal', []), objectPath.get(this._razeeLogLevels, 'error', []));
+    let warnings = objectPath.get(this._razeeLogLevels, 'warn', []);
+    let deleting = objectPath.has(this._data, 'object.metadata.deletionTimestamp');
+    let summarize = (logs) => `${logMessage(logs[0])}${logs.length > 1 ? ` (and ${logs.length - 1} more)` : ''}`;
+
+    let computed = {};
+    computed.Locked = this._clusterLocked ?
+      { status: 'True', reason: 'ClusterLocked', message: `${this._clusterLocked.reason}${this._clusterLocked.expires ? ` until ${this._clusterLocked.expires}` : ''}, reconciliation is paused` } :
+      { status: 'False', reason: 'ClusterUnlocked', message: '' };
+    if (errors.length > 0) {
+      computed.Degraded = { status: 'True', reason: 'ReconcileError', message: summarize(errors) };
+    } else if (warnings.length > 0) {
+      computed.Degraded = { status: 'True', reason: 'ReconcileWarning', message: summarize(warnings) };
+    } else {
+      computed.Degraded = { status: 'False', reason: 'AsExpected', message: '' };
+    }
+    if (deleting) {
+      computed.Reconciling = { status: 'True', reason: 'Finalizing', message: 'Resource is being deleted' };
+    } else if (errors.length > 0 && !this._clusterLocked) {
+      computed.Reconciling = { status: 'True', reason: 'RetryPending', message: 'Reconcile failed, it will be retried' };
+    } else {
+      computed.Reconciling = { status: 'False', reason: 'ReconcileComplete', message: '' };
+    }
+    if (this._clusterLocked) {
+      computed.Ready = { status: 'False', reason: 'ClusterLocked', message: computed.Locked.message };
+    } else if (deleting) {
+      computed.Ready = { status: 'False', reason: 'Terminating', message: computed.Reconciling.message };
+    } else if (errors.length > 0) {
+      computed.Ready = { status: 'False', reason: 'ReconcileFailed', message: computed.Degraded.message };
+    } else {
+      computed.Ready = { status: 'True', reason: 'ReconcileSucceeded', message: '' };
+    }
+
+    Object.entries(computed).forEach(([type, condition]) => { condition.type = type; });
+    return Object.assign(computed, this._conditions);
+  }
+
+  _conditionsPatch() {
+    let conditions = objectPath.get(this._data, 'object.status.conditions', []);
+    let now = new Date();
+    Object.values(this._computeConditions()).forEach(condition => {
+      conditions = setCondition(conditions, condition, now);
+    });
+    let patchObj = { conditions: conditions };
+    let generation = objectPath.get(this._data, 'object.metadata.generation');
+    if (generation !== undefined) {
+      patchObj.observedGeneration = generation;
+    }
+    return patchObj;
+  }
+
+  async recordEvent(type, reason, message) { // type: Normal || Warning
+    if (!this._eventRecorder) {
+      return;
+    }
+    return await this._eventRecorder.record(objectPath.get(this._data, 'object'), type, reason, message);
+  }
+
+  getCondition(type) {
+    return findCondition(objectPath.get(this._data, 'object.status.conditions'), type);
+  }
+
+  async _reconcileStatus() { // write the razee-logs, conditions and observedGeneration computed this cycle
+    let patchObj = { ...(await this._reconcileRazeeLogs()), ...this._conditionsPatch() };
+    if (this._clusterLocked) {
+      patchObj['cluster-lock'] = { reason: this._clusterLocked.reason, expires: this._clusterLocked.expires || null, rule: this._clusterLocked.rule || null };
+    } else if (objectPath.has(this._data, ['object', 'status', 'cluster-lock'])) {
+      patchObj['cluster-lock'] = null;
+    }
     let res = await this.patchSelf({ status: patchObj }, { status: true });
     // save newly patched object to continue cycle with latest data
     objectPath.set(this._data, 'object', res);
     return res;
   }
 
-  // to be removed
-  updateStatus(newStatus) { // { path: . seperated String || [String ...], status: String || Object } || [{ path: String || [Strings], status: String || Object } ...]
-    if (Array.isArray(newStatus)) {
-      newStatus.forEach(s => {
-        try {
-          let path = this._sanitize(s.path, this._status);
-          objectPath.set(this._status, path, s.status);
-          s.result = { success: true };
-        } catch (e) {
-          s.result = { success: false, message: e };
+  recordPlannedChange(uri, action, details = {}) { // action: create || update || delete
+    objectPath.set(this._plan, [uri], { ...details, action: action });
+  }
+
+  async _reconcilePlan() { // replace the plan in status with the changes recorded this cycle
+    let oldPlan = objectPath.get(this._data, 'object.status.plan');
+    if (!this.dryRun && !oldPlan) {
+      return;
+    }
+    let plan = null;
+    if (this.dryRun && Object.keys(this._plan).length > 0) {
+      plan = clone(this._plan);
+      Object.keys(oldPlan || {}).forEach(uri => {
+        if (!objectPath.has(plan, [uri])) {
+          plan[uri] = null;
         }
       });
-    } else {
-      try {
-        let path = this._sanitize(newStatus.path, this._status);
-        objectPath.set(this._status, path, newStatus.status);
-        newStatus.result = { success: true };
-      } catch (e) {
-        newStatus.result = { success: false, message: e };
-      }
     }
-    return newStatus;
-  }
-
-  // to be removed
-  async _patchStatus() {
-    let patchObj = {
-      fatal: null,
-      error: null,
-      warn: null,
-      info: null
-    };
-    merge(this._status, patchObj);
-    let res = await this.patchSelf({ status: this._status }, { status: true });
+    let res = await this.patchSelf({ status: { plan: plan } }, { status: true });
     // save newly patched object to continue cycle with latest data
     objectPath.set(this._data, 'object', res);
     return res;
   }
+
   // ===========================================
 
   // Patch creation helpers ===========================================
   async patchSelf(patchObject, options = {}) {
     if (typeof patchObject !== 'object') {
-      return Promise.reject('Patch requires an Object or an Array');
+      return Promise.reject(new ValidationError('Patch requires an Object or an Array'));
     }
     const reqOpt = {};
     if (options.status === true) {
       reqOpt.status = options.status;
     }
     objectPath.set(reqOpt, 'headers.Impersonate-User', undefined); // no matter the user, always allow updates to self.
+    objectPath.set(reqOpt, 'headers.Impersonate-Group', undefined);
 
-    let res;
-    if (Array.isArray(patchObject)) {
-      res = await this._kubeResourceMeta.patch(this.name, this.namespace, patchObject, reqOpt);
-    } else {
-      res = await this._kubeResourceMeta.mergePatch(this.name, this.namespace, patchObject, reqOpt);
+    const patch = async () => {
+      if (Array.isArray(patchObject)) {
+        return await this._kubeResourceMeta.patch(this.name, this.namespace, patchObject, reqOpt);
+      } else {
+        return await this._kubeResourceMeta.mergePatch(this.name, this.namespace, patchObject, reqOpt);
+      }
+    };
+    if (options.retry === false) {
+      return await patch();
     }
+    // a patch with a resourceVersion precondition will keep conflicting, the caller must re-read and rebuild the patch
+    const hasPrecondition = objectPath.has(patchObject, 'metadata.resourceVersion');
+    return await this._retryPolicy.run(patch, {
+      shouldRetry: (e) => !(hasPrecondition && e.statusCode === 409) && this._retryPolicy.isRetryable(e),
+      onRetry: this._logRetry(`Patch ${this.selfLink}`)
+    });
+  }
 
+  async _refreshSelf() {
+    let res = await this._kubeResourceMeta.get(this.name, this.namespace, { headers: { 'Impersonate-User': undefined, 'Impersonate-Group': undefined } });
+    objectPath.set(this._data, 'object', res);
     return res;
   }
 
+  _logRetry(action) {
+    return (e, attempt, delay) => this._logger.warn(`${action} attempt ${attempt} failed with ${e.statusCode || e.message || e}.. retrying in ${delay}ms`);
+  }
+
   _sanitize(path, object) {
     path = Array.isArray(path) ? clone(path) : path.split('.');
     let dashIndex = path.indexOf('-');
@@ -474,7 +716,7 @@ module.exports = class BaseController {
 
     do {
       let copy = clone(patchTemplate);
-      copy.path = `/${path.join('/')}`;
+      copy.path = `/${path.map(p => String(p).replace(/~/g, '~0').replace(/\//g, '~1')).join('/')}`;
       copy.value = value;
       let popped = path.pop();
       value = Number.isInteger(popped) ? [] : {};
@@ -485,13 +727,37 @@ module.exports = class BaseController {
   // ===========================================
 
   // kube api helper functions
+  async _runApply(mode, apply, options = {}) {
+    // apply is retried on conflicts/throttling/server errors, every attempt starts over by re-reading the live resource.
+    // options.retryConflicts false fails on the first 409, for requests that would conflict the same way again
+    const labels = { controller: objectPath.get(this._data, 'object.kind'), mode: mode };
+    try {
+      let res = await this._retryPolicy.run(apply, {
+        shouldRetry: (e) => !(options.retryConflicts === false && e.statusCode === 409) && this._retryPolicy.isRetryable(e),
+        onRetry: this._logRetry(mode)
+      });
+      this._metrics.childApplies.inc({ ...labels, code: res.statusCode });
+      return res;
+    } catch (e) {
+      this._metrics.childApplies.inc({ ...labels, code: e.statusCode || 'error' });
+      throw e;
+    }
+  }
+
   async replace(krm, file, options = {}) {
+    // without force, the resourceVersion of the file is sent as it is: a stale one keeps conflicting
+    const precondition = options.force === false && objectPath.has(file, 'metadata.resourceVersion');
+    return await this._runApply('Replace', () => this._replace(krm, clone(file), options), { retryConflicts: !precondition });
+  }
+
+  async _replace(krm, file, options = {}) {
     let name = objectPath.get(file, 'metadata.name');
     let namespace = objectPath.get(file, 'metadata.namespace');
     let uri = krm.uri({ name: name, namespace: namespace, status: options.status });
     this._logger.debug(`Replace ${uri}`);
     let response = {};
     let opt = { simple: false, resolveWithFullResponse: true };
+    let writeOpt = this._writeOptions();
     let liveMetadata;
     this._logger.debug(`Get ${uri}`);
     let get = await krm.get(name, namespace, opt);
@@ -502,7 +768,7 @@ module.exports = class BaseController {
       this._logger.debug(`Get ${get.statusCode} ${uri}`);
     } else {
       this._logger.debug(`Get ${get.statusCode} ${uri}`);
-      return Promise.reject({ statusCode: get.statusCode, body: get.body });
+      return Promise.reject(KubeApiError.fromResponse(get, uri, 'Get'));
     }
 
     if (liveMetadata) {
@@ -516,22 +782,24 @@ module.exports = class BaseController {
       } // else let the original file rv(if it existed) stay merged ontop of the live rv
 
       this._logger.debug(`Put ${uri}`);
-      let put = await krm.put(file, opt);
+      let put = await krm.put(file, writeOpt);
       if (!(put.statusCode === 200 || put.statusCode === 201)) {
         this._logger.debug(`Put ${put.statusCode} ${uri}`);
-        return Promise.reject({ statusCode: put.statusCode, body: put.body });
+        return Promise.reject(KubeApiError.fromResponse(put, uri, 'Put'));
       } else {
         this._logger.debug(`Put ${put.statusCode} ${uri}`);
+        if (this.dryRun) this.recordPlannedChange(uri, 'update', { mode: 'Replace', statusCode: put.statusCode });
         response = { statusCode: put.statusCode, body: put.body };
       }
     } else {
       this._logger.debug(`Post ${uri}`);
-      let post = await krm.post(file, opt);
+      let post = await krm.post(file, writeOpt);
       if (!(post.statusCode === 200 || post.statusCode === 201 || post.statusCode === 202)) {
         this._logger.debug(`Post ${post.statusCode} ${uri}`);
-        return Promise.reject({ statusCode: post.statusCode, body: post.body });
+        return Promise.reject(KubeApiError.fromResponse(post, uri, 'Post'));
       } else {
         this._logger.debug(`Post ${post.statusCode} ${uri}`);
+        if (this.dryRun) this.recordPlannedChange(uri, 'create', { mode: 'Replace', statusCode: post.statusCode });
         response = { statusCode: post.statusCode, body: post.body };
       }
     }
@@ -541,6 +809,10 @@ module.exports = class BaseController {
   reconcileFields(config, lastApplied, parentPath = []) {
     // Nulls fields that existed in deploy.razee.io/last-applied-configuration but not the new file to be applied
     // this has the effect of removing the field from the liveResource
+    // lastApplied can also be the annotation value itself (json or gzip+base64), see _readLastApplied() for refs
+    if (typeof lastApplied === 'string') {
+      lastApplied = LastApplied.decode(lastApplied);
+    }
     Object.keys(lastApplied).forEach(key => {
       let path = clone(parentPath);
       path.push(key);
@@ -556,7 +828,20 @@ module.exports = class BaseController {
     });
   }
 
+  reconcileListMaps(config, liveResource, lastApplied, options = {}) {
+    // Reconciles lists with merge keys (eg. containers, env, ports) element by element instead of as a whole,
+    // honouring elements and fields removed since lastApplied. options.strategic emits strategic merge patch directives
+    if (typeof lastApplied === 'string') {
+      lastApplied = LastApplied.decode(lastApplied);
+    }
+    return ListMap.reconcile(config, liveResource, lastApplied, options);
+  }
+
   async apply(krm, file, options = {}) {
+    return await this._runApply(objectPath.get(options, 'mode', 'MergePatch'), () => this._apply(krm, clone(file), options));
+  }
+
+  async _apply(krm, file, options = {}) {
     let name = objectPath.get(file, 'metadata.name');
     let namespace = objectPath.get(file, 'metadata.namespace');
     let uri = krm.uri({ name: objectPath.get(file, 'metadata.name'), namespace: objectPath.get(file, 'metadata.namespace') });
@@ -564,6 +849,7 @@ module.exports = class BaseController {
     const additiveMergPatchWarning = 'AdditiveMergePatch - Skipping reconcileFields from last-applied.';
     this._logger.debug(`Apply ${uri}`);
     let opt = { simple: false, resolveWithFullResponse: true };
+    let writeOpt = this._writeOptions();
     let liveResource;
     let get = await krm.get(name, namespace, opt);
     if (get.statusCode === 200) {
@@ -573,16 +859,12 @@ module.exports = class BaseController {
       this._logger.debug(`Get ${get.statusCode} ${uri}`);
     } else {
       this._logger.debug(`Get ${get.statusCode} ${uri}`);
-      return Promise.reject({ statusCode: get.statusCode, body: get.body });
+      return Promise.reject(KubeApiError.fromResponse(get, uri, 'Get'));
     }
 
     if (liveResource) {
-      let debug = objectPath.get(liveResource, ['metadata', 'labels', 'deploy.razee.io/debug'], 'false');
-      if (debug.toLowerCase() === 'true') {
-        this.log.warn(`${uri}: Debug enabled on resource: skipping modifying resource - adding annotation deploy.razee.io/pending-configuration.`);
-        let patchObject = { metadata: { annotations: { 'deploy.razee.io/pending-configuration': JSON.stringify(file) } } };
-        let res = await krm.mergePatch(name, namespace, patchObject);
-        return { statusCode: 200, body: res };
+      if (this._debugEnabled(liveResource)) {
+        return await this._addPendingConfiguration(krm, file, uri, liveResource);
       } else {
         let pendingApply = objectPath.get(liveResource, ['metadata', 'annotations', 'deploy.razee.io/pending-configuration']);
         if (objectPath.get(file, ['metadata', 'annotations']) === null) {
@@ -590,6 +872,7 @@ module.exports = class BaseController {
         }
         if (pendingApply) {
           objectPath.set(file, ['metadata', 'annotations', 'deploy.razee.io/pending-configuration'], null);
+          objectPath.set(file, ['metadata', 'annotations', 'deploy.razee.io/pending-configuration-diff'], null);
         }
       }
       // ensure annotations is not null before we start working with it
@@ -597,39 +880,51 @@ module.exports = class BaseController {
         objectPath.set(file, ['metadata', 'annotations'], {});
       }
       let lastApplied = objectPath.get(liveResource, ['metadata', 'annotations', 'deploy.razee.io/last-applied-configuration']);
+      let pendingLastApplied; // companion bookkeeping, done once file has been applied
+      let lastAppliedConfig; // parsed last-applied, when there is one to reconcile against
       if (mode.toLowerCase() === 'additivemergepatch') {
         // skip the last applied reconcileFields logic and replace our last-applied object with a warning.
         objectPath.set(file, ['metadata', 'annotations', 'deploy.razee.io/last-applied-configuration'], additiveMergPatchWarning);
       } else if (!lastApplied || lastApplied == additiveMergPatchWarning) {
         this.log.warn(`${uri}: No deploy.razee.io/last-applied-configuration found`);
-        objectPath.set(file, ['metadata', 'annotations', 'deploy.razee.io/last-applied-configuration'], JSON.stringify(file));
+        pendingLastApplied = await this._setLastApplied(file, uri, JSON.stringify(file), liveResource);
       } else {
-        lastApplied = JSON.parse(lastApplied);
-
-        let original = clone(file);
-        this.reconcileFields(file, lastApplied);
-        // If reconcileFields set annotations to null, make sure its an empty object instead
-        if (objectPath.get(file, ['metadata', 'annotations']) === null) {
-          objectPath.set(file, ['metadata', 'annotations'], {});
+        lastAppliedConfig = await this._readLastApplied(liveResource, uri);
+        if (lastAppliedConfig === undefined) {
+          // its companion is gone, applying writes it again
+          pendingLastApplied = await this._setLastApplied(file, uri, JSON.stringify(file), liveResource);
+        } else {
+          let original = clone(file);
+          this.reconcileFields(file, lastAppliedConfig);
+          // If reconcileFields set annotations to null, make sure its an empty object instead
+          if (objectPath.get(file, ['metadata', 'annotations']) === null) {
+            objectPath.set(file, ['metadata', 'annotations'], {});
+          }
+          pendingLastApplied = await this._setLastApplied(file, uri, JSON.stringify(original), liveResource);
         }
-        objectPath.set(file, ['metadata', 'annotations', 'deploy.razee.io/last-applied-configuration'], JSON.stringify(original));
       }
       if (mode.toLowerCase() === 'strategicmergepatch') {
-        let res = await krm.strategicMergePatch(name, namespace, file, opt);
+        let strategicFile = this.reconcileListMaps(clone(file), liveResource, lastAppliedConfig, { strategic: true });
+        let res = await krm.strategicMergePatch(name, namespace, strategicFile, writeOpt);
         this._logger.debug(`StrategicMergePatch ${res.statusCode} ${uri}`);
         if (res.statusCode === 415) {
           // let fall through
         } else if (res.statusCode < 200 || res.statusCode >= 300) {
-          return Promise.reject({ statusCode: res.statusCode, body: res.body });
+          return Promise.reject(KubeApiError.fromResponse(res, uri));
         } else {
+          if (this.dryRun) this.recordPlannedChange(uri, 'update', { mode: mode, statusCode: res.statusCode });
+          await this._commitLastApplied(uri, pendingLastApplied, res.body);
           return { statusCode: res.statusCode, body: res.body };
         }
       } // else mode: MergePatch or AdditiveMergePatch
-      let res = await krm.mergePatch(name, namespace, file, opt);
+      this.reconcileListMaps(file, liveResource, lastAppliedConfig);
+      let res = await krm.mergePatch(name, namespace, file, writeOpt);
       this._logger.debug(`${mode} ${res.statusCode} ${uri}`);
       if (res.statusCode < 200 || res.statusCode >= 300) {
-        return Promise.reject({ statusCode: res.statusCode, body: res.body });
+        return Promise.reject(KubeApiError.fromResponse(res, uri));
       } else {
+        if (this.dryRun) this.recordPlannedChange(uri, 'update', { mode: mode, statusCode: res.statusCode });
+        await this._commitLastApplied(uri, pendingLastApplied, res.body);
         return { statusCode: res.statusCode, body: res.body };
       }
     } else {
@@ -639,30 +934,318 @@ module.exports = class BaseController {
       if (objectPath.get(file, ['metadata', 'annotations']) === null) {
         objectPath.set(file, ['metadata', 'annotations'], {});
       }
+      let pendingLastApplied;
       if (mode.toLowerCase() === 'additivemergepatch') {
         // Set last applied with a warning.
         objectPath.set(file, ['metadata', 'annotations', 'deploy.razee.io/last-applied-configuration'], additiveMergPatchWarning);
       } else {
-        objectPath.set(file, ['metadata', 'annotations', 'deploy.razee.io/last-applied-configuration'], JSON.stringify(file));
+        pendingLastApplied = await this._setLastApplied(file, uri, JSON.stringify(file));
       }
-      let post = await krm.post(file, opt);
+      let post = await krm.post(file, writeOpt);
       if (!(post.statusCode === 200 || post.statusCode === 201 || post.statusCode === 202)) {
         this._logger.debug(`Post ${post.statusCode} ${uri}`);
-        return Promise.reject({ statusCode: post.statusCode, body: post.body });
+        return Promise.reject(KubeApiError.fromResponse(post, uri, 'Post'));
       } else {
         this._logger.debug(`Post ${post.statusCode} ${uri}`);
+        if (this.dryRun) this.recordPlannedChange(uri, 'create', { mode: mode, statusCode: post.statusCode });
+        await this._commitLastApplied(uri, pendingLastApplied, post.body);
         return { statusCode: post.statusCode, body: post.body };
       }
     }
   }
 
+  _companionRef(resource, uri) {
+    // the one companion a child may have: in its namespace (the parent's for cluster scoped children), named after its uri
+    return {
+      // secret data must not end up in a ConfigMap
+      kind: objectPath.get(resource, 'kind') === 'Secret' ? 'Secret' : 'ConfigMap',
+      namespace: objectPath.get(resource, 'metadata.namespace') || this.namespace,
+      name: LastApplied.companionName(uri)
+    };
+  }
+
+  _lastAppliedRef(resource, uri) {
+    // anyone who can edit the child can edit its annotation, so a ref to anything but its own companion is ignored
+    const value = objectPath.get(resource, ['metadata', 'annotations', 'deploy.razee.io/last-applied-configuration']);
+    if (!LastApplied.isRef(value)) {
+      return;
+    }
+    const ref = this._companionRef(resource, uri);
+    if (value !== LastApplied.formatRef(ref)) {
+      this._logger.warn(`${uri}: ignoring last-applied-configuration ${value}, it is not the companion ${LastApplied.formatRef(ref)} of the resource`);
+      return;
+    }
+    return ref;
+  }
+
+  async _companionKrm(kind) {
+    // companions are read and written as the identity the child is applied as
+    const companionKrm = await this.kubeClass.getKubeResourceMeta('v1', kind, 'update');
+    await this.processImpersonation(companionKrm);
+    return companionKrm;
+  }
+
+  async _readLastApplied(liveResource, uri) {
+    // returns the parsed last-applied-configuration of liveResource, reading it from its companion when referenced.
+    // A companion that is gone (deleted by hand, or never written) or a foreign ref leaves no last-applied, undefined.
+    let value = objectPath.get(liveResource, ['metadata', 'annotations', 'deploy.razee.io/last-applied-configuration']);
+    if (LastApplied.isRef(value)) {
+      const ref = this._lastAppliedRef(liveResource, uri);
+      if (!ref) {
+        return;
+      }
+      const companionKrm = await this._companionKrm(ref.kind);
+      const res = await companionKrm.get(ref.name, ref.namespace, { simple: false, resolveWithFullResponse: true });
+      if (res.statusCode === 404) {
+        this._logger.warn(`Last-applied companion ${LastApplied.formatRef(ref)} not found, applying without a last-applied-configuration`);
+        return;
+      } else if (res.statusCode !== 200) {
+        return Promise.reject(KubeApiError.fromResponse(res, companionKrm.uri({ name: ref.name, namespace: ref.namespace }), 'Get'));
+      }
+      value = objectPath.get(res.body, ['data', LastApplied.COMPANION_KEY], '');
+      if (ref.kind === 'Secret') {
+        value = Buffer.from(value, 'base64').toString('utf8');
+      }
+    }
+    return LastApplied.decode(value);
+  }
+
+  async _setLastApplied(file, uri, json, liveResource) {
+    // sets the last-applied-configuration annotation on file, compressing it or moving it to a companion resource
+    // (config keys last-applied-compress-threshold and last-applied-companion-threshold, in bytes) when it is large.
+    // Returns the companion to write and the one no longer referenced, see _commitLastApplied()
+    const encoded = LastApplied.encode(json, {
+      compressThreshold: await this._config.getNumber('last-applied-compress-threshold'),
+      companionThreshold: await this._config.getNumber('last-applied-companion-threshold')
+    });
+    const pending = {};
+    let value = encoded.value;
+    if (encoded.companion) {
+      pending.companion = { ref: this._companionRef(file, uri), value: encoded.value };
+      value = LastApplied.formatRef(pending.companion.ref);
+    }
+    objectPath.set(file, ['metadata', 'annotations', 'deploy.razee.io/last-applied-configuration'], value);
+    if (!encoded.companion) {
+      pending.stale = this._lastAppliedRef(liveResource, uri);
+    }
+    return pending;
+  }
+
+  async _commitLastApplied(uri, pending, applied) {
+    // once the child is applied: writes its companion, owned by the child, or deletes the one it no longer references
+    if (!pending) {
+      return;
+    }
+    if (pending.companion) {
+      await this._writeLastAppliedCompanion(pending.companion.ref, pending.companion.value, uri, applied);
+    }
+    await this._deleteLastAppliedCompanion(pending.stale);
+  }
+
+  async _writeLastAppliedCompanion(ref, value, uri, owner) {
+    const companionKrm = await this._companionKrm(ref.kind);
+    const companion = {
+      apiVersion: 'v1',
+      kind: ref.kind,
+      metadata: {
+        name: ref.name,
+        namespace: ref.namespace,
+        labels: { 'deploy.razee.io/last-applied-companion': 'true' },
+        annotations: { 'deploy.razee.io/last-applied-for': uri }
+      },
+      data: { [LastApplied.COMPANION_KEY]: ref.kind === 'Secret' ? Buffer.from(value).toString('base64') : value }
+    };
+    if (objectPath.has(owner, 'metadata.uid')) {
+      // garbage collected together with the child
+      objectPath.set(companion, 'metadata.ownerReferences', [this._companionOwnerReference(owner)]);
+    }
+    const opt = this._writeOptions();
+    let res = await companionKrm.mergePatch(ref.name, ref.namespace, companion, opt);
+    if (res.statusCode === 404) {
+      res = await companionKrm.post(companion, opt);
+    }
+    this._logger.debug(`Write last-applied companion ${res.statusCode} ${LastApplied.formatRef(ref)} for ${uri}`);
+    if (res.statusCode < 200 || res.statusCode >= 300) {
+      return Promise.reject(KubeApiError.fromResponse(res, uri));
+    }
+  }
+
+  async _deleteLastAppliedCompanion(ref) {
+    // best effort, an orphaned companion is still garbage collected with its child
+    if (!ref) {
+      return;
+    }
+    try {
+      const companionKrm = await this._companionKrm(ref.kind);
+      const opt = this._writeOptions({ uri: companionKrm.uri({ name: ref.name, namespace: ref.namespace }), method: 'DELETE', simple: false, resolveWithFullResponse: true });
+      const res = await companionKrm.request(opt);
+      this._logger.debug(`Delete last-applied companion ${res.statusCode} ${LastApplied.formatRef(ref)}`);
+    } catch (e) {
+      this._logger.warn(`Unable to delete ${LastApplied.formatRef(ref)}: ${e.message || e}`);
+    }
+  }
+
+  _companionOwnerReference(owner) {
+    return {
+      apiVersion: objectPath.get(owner, 'apiVersion'),
+      kind: objectPath.get(owner, 'kind'),
+      name: objectPath.get(owner, 'metadata.name'),
+      uid: objectPath.get(owner, 'metadata.uid')
+    };
+  }
+
+  async checkDrift(krm, file) {
+    // read-only: compares the live resource with its last-applied-configuration and reports the drifted fields
+    let name = objectPath.get(file, 'metadata.name');
+    let namespace = objectPath.get(file, 'metadata.namespace');
+    let uri = krm.uri({ name: name, namespace: namespace });
+    this._logger.debug(`DetectDrift ${uri}`);
+    let get = await krm.get(name, namespace, { simple: false, resolveWithFullResponse: true });
+    this._logger.debug(`Get ${get.statusCode} ${uri}`);
+    if (get.statusCode === 404) {
+      return { statusCode: 200, body: undefined, drift: { drifted: true, missing: true, summary: 'resource not found' } };
+    } else if (get.statusCode !== 200) {
+      return Promise.reject(KubeApiError.fromResponse(get, uri, 'Get'));
+    }
+    let liveResource = get.body;
+    let lastApplied;
+    try {
+      lastApplied = await this._readLastApplied(liveResource, uri);
+    } catch (e) {
+      // AdditiveMergePatch warning or unreadable, there is nothing to compare with
+    }
+    if (!lastApplied || typeof lastApplied !== 'object') {
+      return { statusCode: 200, body: liveResource, drift: { drifted: false, unknown: true, summary: 'no deploy.razee.io/last-applied-configuration to compare with' } };
+    }
+    const fields = drift(liveResource, lastApplied);
+    this._logger.debug(`DetectDrift ${uri}: ${fields.length} drifted fields`);
+    return { statusCode: 200, body: liveResource, drift: { drifted: fields.length > 0, fields: fields.length, summary: driftSummary(fields) } };
+  }
+
+  async serverSideApply(krm, file, options = {}) {
+    // a conflict is over fields another field manager owns, applying again conflicts again
+    return await this._runApply('ServerSideApply', () => this._serverSideApply(krm, clone(file), options), { retryConflicts: false });
+  }
+
+  async _serverSideApply(krm, file, options = {}) {
+    // kube tracks field ownership itself, so none of the last-applied bookkeeping from apply() is needed here
+    let name = objectPath.get(file, 'metadata.name');
+    let namespace = objectPath.get(file, 'metadata.namespace');
+    let uri = krm.uri({ name: name, namespace: namespace });
+    const fieldManager = options.fieldManager || this._fieldManager;
+    this._logger.debug(`ServerSideApply ${uri}`);
+    let opt = { simple: false, resolveWithFullResponse: true };
+    let liveResource;
+    let get = await krm.get(name, namespace, opt);
+    if (get.statusCode === 200) {
+      liveResource = objectPath.get(get, 'body');
+      this._logger.debug(`Get ${get.statusCode} ${uri}: resourceVersion ${objectPath.get(get, 'body.metadata.resourceVersion')}`);
+    } else if (get.statusCode === 404) {
+      this._logger.debug(`Get ${get.statusCode} ${uri}`);
+    } else {
+      this._logger.debug(`Get ${get.statusCode} ${uri}`);
+      return Promise.reject(KubeApiError.fromResponse(get, uri, 'Get'));
+    }
+
+    if (liveResource && this._debugEnabled(liveResource)) {
+      return await this._addPendingConfiguration(krm, file, uri, liveResource);
+    }
+
+    let qs = { fieldManager: fieldManager };
+    if (options.force === true) {
+      qs.force = true;
+    }
+    let reqOpt = this._writeOptions({
+      uri: uri,
+      method: 'PATCH',
+      json: file,
+      qs: qs,
+      headers: { 'content-type': 'application/apply-patch+yaml' },
+      simple: false,
+      resolveWithFullResponse: true
+    });
+    let res = await krm.request(reqOpt);
+    this._logger.debug(`ServerSideApply ${res.statusCode} ${uri}`);
+    if (res.statusCode < 200 || res.statusCode >= 300) {
+      return Promise.reject(KubeApiError.fromResponse(res, uri));
+    }
+    if (this.dryRun) this.recordPlannedChange(uri, liveResource ? 'update' : 'create', { mode: 'ServerSideApply', statusCode: res.statusCode });
+
+    if (objectPath.has(liveResource, ['metadata', 'annotations', 'deploy.razee.io/pending-configuration'])) {
+      // the annotation was written by a merge patch while debugging, so apply-patch can not remove it
+      let patchObject = { metadata: { annotations: { 'deploy.razee.io/pending-configuration': null, 'deploy.razee.io/pending-configuration-diff': null } } };
+      await krm.mergePatch(name, namespace, patchObject, this._writeOptions({}));
+    }
+    return { statusCode: res.statusCode, body: res.body };
+  }
+
+  _debugEnabled(liveResource) {
+    let debug = objectPath.get(liveResource, ['metadata', 'labels', 'deploy.razee.io/debug'], 'false');
+    return (debug.toLowerCase() === 'true');
+  }
+
+  async _addPendingConfiguration(krm, file, uri, liveResource) {
+    this.log.warn(`${uri}: Debug enabled on resource: skipping modifying resource - adding annotation deploy.razee.io/pending-configuration.`);
+    let lastApplied;
+    try {
+      lastApplied = await this._readLastApplied(liveResource, uri);
+    } catch (e) {
+      // missing, or the AdditiveMergePatch warning: nothing would be removed
+    }
+    const changes = diff(liveResource, file, lastApplied);
+    const pendingDiff = {
+      added: changes.added.length,
+      changed: changes.changed.length,
+      removed: changes.removed.length,
+      summary: diffSummary(changes)
+    };
+    let patchObject = {
+      metadata: {
+        annotations: {
+          'deploy.razee.io/pending-configuration': JSON.stringify(file),
+          'deploy.razee.io/pending-configuration-diff': pendingDiff.summary || 'No changes'
+        }
+      }
+    };
+    let res = await krm.mergePatch(objectPath.get(file, 'metadata.name'), objectPath.get(file, 'metadata.namespace'), patchObject, this._writeOptions({}));
+    return { statusCode: 200, body: res, pendingDiff: pendingDiff };
+  }
+
+  async jsonPatch(krm, file, patchOps) {
+    // the operations are sent as they are, one setting the resourceVersion keeps conflicting once it is stale
+    const precondition = Array.isArray(patchOps) && patchOps.some(op => objectPath.get(op, 'path') === '/metadata/resourceVersion');
+    return await this._runApply('JSONPatch', () => this._jsonPatch(krm, clone(file), patchOps), { retryConflicts: !precondition });
+  }
+
+  async _jsonPatch(krm, file, patchOps) {
+    // applies RFC 6902 operations to an existing resource, file only identifies the resource to patch. The operations
+    // are sent as they are, the api server applies them in order against the resource as it is then (a 404 when it
+    // doesn't exist)
+    let name = objectPath.get(file, 'metadata.name');
+    let namespace = objectPath.get(file, 'metadata.namespace');
+    let uri = krm.uri({ name: name, namespace: namespace });
+    this._logger.debug(`JSONPatch ${uri}`);
+    let res = await krm.patch(name, namespace, patchOps, this._writeOptions());
+    this._logger.debug(`JSONPatch ${res.statusCode} ${uri}`);
+    if (res.statusCode < 200 || res.statusCode >= 300) {
+      return Promise.reject(KubeApiError.fromResponse(res, uri));
+    }
+    if (this.dryRun) this.recordPlannedChange(uri, 'update', { mode: 'JSONPatch', statusCode: res.statusCode });
+    return { statusCode: res.statusCode, body: res.body };
+  }
+
   async ensureExists(krm, file, options = {}) {
+    return await this._runApply('EnsureExists', () => this._ensureExists(krm, clone(file), options));
+  }
+
+  async _ensureExists(krm, file, options = {}) {
     let name = objectPath.get(file, 'metadata.name');
     let namespace = objectPath.get(file, 'metadata.namespace');
     let uri = krm.uri({ name: name, namespace: namespace, status: options.status });
     this._logger.debug(`EnsureExists ${uri}`);
     let response = {};
     let opt = { simple: false, resolveWithFullResponse: true };
+    let writeOpt = this._writeOptions();
 
     let get = await krm.get(name, namespace, opt);
     if (get.statusCode === 200) {
@@ -672,20 +1255,21 @@ module.exports = class BaseController {
       this._logger.debug(`Get ${get.statusCode} ${uri}`);
     } else {
       this._logger.debug(`Get ${get.statusCode} ${uri}`);
-      return Promise.reject({ statusCode: get.statusCode, body: get.body });
+      return Promise.reject(KubeApiError.fromResponse(get, uri, 'Get'));
     }
 
     this._logger.debug(`Post ${uri}`);
-    let post = await krm.post(file, opt);
+    let post = await krm.post(file, writeOpt);
     if (post.statusCode === 200 || post.statusCode === 201 || post.statusCode === 202) {
       this._logger.debug(`Post ${post.statusCode} ${uri}`);
+      if (this.dryRun) this.recordPlannedChange(uri, 'create', { mode: 'EnsureExists', statusCode: post.statusCode });
       return { statusCode: post.statusCode, body: post.body };
     } else if (post.statusCode === 409) { // already exists
       this._logger.debug(`Post ${post.statusCode} ${uri}`);
       response = { statusCode: 200, body: post.body };
     } else {
       this._logger.debug(`Post ${post.statusCode} ${uri}`);
-      return Promise.reject({ statusCode: post.statusCode, body: post.body });
+      return Promise.reject(KubeApiError.fromResponse(post, uri, 'Post'));
     }
     return response;
   }
@@ -21,6 +21,9 @@ const hash = require('object-hash');
 const clone = require('clone');
 
 const CompositeController = require('./CompositeController');
+const { RazeeError, KubeApiError, DownloadError, EnvResolutionError } = require('./errors');
+const Revisions = require('./revisions');
+const tracing = require('./tracing');
 
 
 module.exports = class BaseDownloadController extends CompositeController {
@@ -30,6 +33,22 @@ module.exports = class BaseDownloadController extends CompositeController {
   }
 
   async added() {
+    let pinned = await this.pinnedRevision();
+    if (pinned) {
+      return await this._applyPinnedRevision(pinned);
+    }
+    let rendered = []; // the files applied so far
+    try {
+      await this._downloadAndApply(rendered);
+    } catch (e) {
+      if (rendered.length > 0) {
+        await this.rollback(Revisions.hashChildren(rendered));
+      }
+      throw e;
+    }
+  }
+
+  async _downloadAndApply(rendered) {
     let requests = objectPath.get(this.data, ['object', 'spec', 'requests'], []);
 
     // when failure to download optional resource occurs, should continue to download other requests, but shouldnt reconcile children
@@ -72,15 +91,27 @@ module.exports = class BaseDownloadController extends CompositeController {
           this.log.debug(`skipping download for ${url}`);
           continue; // shouldnt continue to try to download if unable to get secret headers
         } else {
-          return Promise.reject(e.message);
+          return Promise.reject(e);
         }
       }
 
       try {
-        let res = await this.download(reqOpt);
+        const endTimer = this.metrics.downloadDuration.startTimer({ controller: objectPath.get(this.data, 'object.kind') });
+        let res;
+        try {
+          res = await this.trace('download', async (span) => {
+            const downloaded = await this.download(reqOpt);
+            span.setAttribute('http.status_code', objectPath.get(downloaded || {}, 'statusCode', 0));
+            return downloaded;
+          }, { 'razee.download.url': tracing.redactUrl(url), 'razee.download.optional': optional });
+        } catch (e) {
+          endTimer({ code: e.statusCode || 'error' });
+          throw e;
+        }
         if (res.toJSON instanceof Function) {
           res = res.toJSON();
         }
+        endTimer({ code: res.statusCode });
         if (res.statusCode >= 200 && res.statusCode < 300) {
           this.log.debug(`Download ${res.statusCode} ${url}`);
           file = yaml.loadAll(res.body);
@@ -99,7 +130,7 @@ module.exports = class BaseDownloadController extends CompositeController {
           newLastModifiedArray[i] = { hash: requestHash, url: url, 'last-modified': objectPath.get(imsObj, 'last-modified') };
         } else {
           this.log.debug(`Download failed: ${res.statusCode} | ${url}`);
-          throw { statusCode: res.statusCode, uri: url };
+          throw new DownloadError(`Download failed: ${res.statusCode}`, { statusCode: res.statusCode, resource: url });
         }
       } catch (e) {
         if (optional) {
@@ -110,11 +141,12 @@ module.exports = class BaseDownloadController extends CompositeController {
           newLastModifiedArray[i] = { hash: requestHash, url: url };
         } else {
           if (e.message === undefined) this.log.error(e);
-          return Promise.reject(`uri: ${reqOpt.uri || reqOpt.url}, statusCode: ${e.statusCode}, message: ${e.message}`);
+          return Promise.reject(e instanceof DownloadError ? e : new DownloadError(`uri: ${reqOpt.uri || reqOpt.url}, statusCode: ${e.statusCode}, message: ${e.message}`, { statusCode: e.statusCode, resource: url, cause: e }));
         }
       }
 
       try {
+        rendered.push(clone(file));
         await this._decomposeFile(file);
       } catch (e) {
         let msg = `Error applying file to kubernetes. StatusCode: ${e.statusCode} url: ${url} message: ${objectPath.get(e, 'body.message', e)}`;
@@ -123,7 +155,7 @@ module.exports = class BaseDownloadController extends CompositeController {
           this.log.warn(msg);
           this.updateRazeeLogs('warn', { controller: 'BaseDownload', warn: `Error applying file to kubernetes, see logs for details. StatusCode: ${e.statusCode}`, url: url });
         } else {
-          return Promise.reject(msg);
+          return Promise.reject(new RazeeError(msg, { code: objectPath.get(e, 'code') || objectPath.get(e, 'body.reason') || 'ApplyFailed', statusCode: e.statusCode, resource: url, retryable: objectPath.get(e, 'retryable', false), cause: e }));
         }
       }
 
@@ -142,39 +174,44 @@ module.exports = class BaseDownloadController extends CompositeController {
       this.log.warn(msg);
       this.updateRazeeLogs('warn', { controller: 'BaseDownload', warn: msg });
     } else {
+      await this.recordRevision(rendered, {
+        generation: objectPath.get(this.data, 'object.metadata.generation'),
+        requests: requests.map((request, i) => ({
+          url: tracing.redactUrl(objectPath.get(request, 'options.uri') || objectPath.get(request, 'options.url')),
+          'last-modified': objectPath.get(newLastModifiedArray, [i, 'last-modified'])
+        }))
+      });
       await this.reconcileChildren();
     }
 
   }
 
+  async _applyPinnedRevision(pinned) {
+    this.log.info(`${this.selfLink} is pinned to revision ${pinned.revision}, skipping downloads`);
+    await this.applyChildren(pinned.children, child => this._saveChild(child));
+    await this.recordRevision(pinned.children, pinned.sources, pinned.hash);
+    await this.keepRedactedChildren(pinned.redacted);
+    await this.reconcileChildren();
+  }
+
   // Helpers ==================================
   async _decomposeFile(file) {
+    // applied in waves, fanning out is bounded by applyChild where every child waits for a slot of the child limiter
+    let applied = await this.applyChildren(this._flattenFile(file), child => this._saveChild(child));
+    return applied.map(({ res }) => res);
+  }
+
+  _flattenFile(file) {
     let kind = objectPath.get(file, ['kind'], '');
     let items = objectPath.get(file, ['items']);
-
     if (Array.isArray(file)) {
-      let error;
-      let res = await Promise.all(file.map(async f => {
-        try {
-          return await this._decomposeFile(f);
-        } catch (e) {
-          error = error || e;
-        }
-      }));
-      return error ? Promise.reject(error) : res;
+      return file.reduce((children, f) => children.concat(this._flattenFile(f)), []);
     } else if (kind.toLowerCase() == 'list' && Array.isArray(items)) {
-      let error;
-      let res = await Promise.all(items.map(async f => {
-        try {
-          return await this._decomposeFile(f);
-        } catch (e) {
-          error = error || e;
-        }
-      }));
-      return error ? Promise.reject(error) : res;
+      return this._flattenFile(items);
     } else if (file) {
-      return await this._saveChild(file);
+      return [file];
     }
+    return [];
   }
 
   async _fetchHeaderSecrets(requestOptions) {
@@ -190,7 +227,7 @@ module.exports = class BaseDownloadController extends CompositeController {
           try {
             objectPath.set(headers, [hKey], await this._getSecretData(secretName, secretKey, secretNamespace));
           } catch (e) {
-            throw Error(`Unable to fetch header secret data. { name: ${secretName}, namespace: ${secretNamespace}, key: ${secretKey} }: ${objectPath.get(e, 'error.message')}`);
+            throw new EnvResolutionError(`Unable to fetch header secret data. { name: ${secretName}, namespace: ${secretNamespace}, key: ${secretKey} }: ${objectPath.get(e, 'error.message', e.message)}`, { resource: `/api/v1/namespaces/${secretNamespace}/secrets/${secretName}`, cause: e });
           }
         }
       }
@@ -203,21 +240,7 @@ module.exports = class BaseDownloadController extends CompositeController {
     let res = await this.kubeResourceMeta.request({ uri: `/api/v1/namespaces/${ns}/secrets/${name}`, json: true });
     let secret = Buffer.from(objectPath.get(res, ['data', key], ''), 'base64').toString();
     if (secret === '') {
-      throw {
-        name: 'StatusCodeError',
-        statusCode: 404,
-        message: `404 - key "${key}" not found in secret "${name}", in namespace "${ns}"`,
-        error: {
-          kind: 'Status',
-          apiVersion: 'v1',
-          metadata: {},
-          status: 'Failure',
-          message: `key "${key}" not found in secret "${name}", in namespace "${ns}"`,
-          reason: 'NotFound',
-          details: { 'name': name, 'namespace': ns, 'kind': 'secrets', 'key': key },
-          code: 404
-        }
-      };
+      throw new EnvResolutionError(`key "${key}" not found in secret "${name}", in namespace "${ns}"`, { code: 'NotFound', statusCode: 404, resource: `/api/v1/namespaces/${ns}/secrets/${name}` });
     }
     return secret;
   }
@@ -225,7 +248,7 @@ module.exports = class BaseDownloadController extends CompositeController {
   async _saveChild(child) {
     let res = await this.applyChild(child);
     if (!res.statusCode || res.statusCode < 200 || res.statusCode >= 300) {
-      return Promise.reject(res);
+      return Promise.reject(KubeApiError.fromResponse(res, { apiVersion: child.apiVersion, kind: child.kind, name: objectPath.get(child, 'metadata.name'), namespace: objectPath.get(child, 'metadata.namespace') }, 'Apply'));
     }
     return res;
   }
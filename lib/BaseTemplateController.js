@@ -15,9 +15,12 @@
  */
 
 const objectPath = require('object-path');
+const hash = require('object-hash');
 
 const CompositeController = require('./CompositeController');
 const FetchEnvs = require('./FetchEnvs');
+const Revisions = require('./revisions');
+const { RazeeError, KubeApiError } = require('./errors');
 
 module.exports = class BaseTemplateController extends CompositeController {
   constructor(params) {
@@ -26,33 +29,53 @@ module.exports = class BaseTemplateController extends CompositeController {
   }
 
   async added() {
-    let fetchEnvs = new FetchEnvs(this);
-    let env = await fetchEnvs.get('spec');
-    let objTemplates = objectPath.get(this.data, ['object', 'spec', 'templates'], []);
-    if (!Array.isArray(objTemplates)) objTemplates = [objTemplates];
-    let strTemplates = objectPath.get(this.data, ['object', 'spec', 'strTemplates'], []);
-    if (!Array.isArray(strTemplates)) strTemplates = [strTemplates];
-    let templates = objTemplates.concat(strTemplates);
-    templates = await this.processTemplate(templates, env);
+    let pinned = await this.pinnedRevision();
+    let templates;
+    let sources;
+    if (pinned) {
+      this.log.info(`${this.selfLink} is pinned to revision ${pinned.revision}`);
+      templates = pinned.children;
+      sources = pinned.sources;
+    } else {
+      let fetchEnvs = new FetchEnvs(this);
+      let env = await fetchEnvs.get('spec');
+      let objTemplates = objectPath.get(this.data, ['object', 'spec', 'templates'], []);
+      if (!Array.isArray(objTemplates)) objTemplates = [objTemplates];
+      let strTemplates = objectPath.get(this.data, ['object', 'spec', 'strTemplates'], []);
+      if (!Array.isArray(strTemplates)) strTemplates = [strTemplates];
+      templates = objTemplates.concat(strTemplates);
+      templates = await this.processTemplate(templates, env);
+      sources = { generation: objectPath.get(this.data, 'object.metadata.generation'), env: hash(env || {}) };
+    }
     if (!Array.isArray(templates) || templates.length == 0) {
       this.updateRazeeLogs('warn', { controller: 'BaseTemplate', message: 'No templates found to apply' });
     }
     this.log.debug(`${this.selfLink} rendered templates: '${JSON.stringify(templates)}'`);
-    for (var i = 0; i < templates.length; i++) {
-      let rsp = await this.applyChild(templates[i]);
-      if (!rsp.statusCode || rsp.statusCode < 200 || rsp.statusCode >= 300) {
-        this.log.error(rsp);
-        let kind = objectPath.get(rsp, 'body.details.kind') || objectPath.get(templates, [i, 'kind']);
-        let group = objectPath.get(rsp, 'body.details.group') || objectPath.get(templates, [i, 'apiVersion']);
-        let name = objectPath.get(rsp, 'body.details.name') || objectPath.get(templates, [i, 'metadata', 'name']);
-        let msg = `kind.group: "${kind}.${group}" name: "${name}"`;
-        if (rsp.statusCode) {
-          return Promise.reject(`${msg} statusCode: "${rsp.statusCode} message: ${objectPath.get(rsp, 'body.message')}"`);
-        } else {
-          return Promise.reject(`${msg} ${rsp.toString()}`);
-        }
+    // applying fills in defaults like the namespace, the revision is the set as rendered
+    let revisionHash = pinned ? pinned.hash : Revisions.hashChildren(templates);
+    let applied = await this.applyChildren(templates);
+    let failed = applied.find(({ res }) => !res.statusCode || res.statusCode < 200 || res.statusCode >= 300);
+    if (failed) {
+      let rsp = failed.res;
+      this.log.error(rsp);
+      if (!pinned) {
+        await this.rollback(revisionHash);
+      }
+      let kind = objectPath.get(rsp, 'body.details.kind') || objectPath.get(failed.child, 'kind');
+      let group = objectPath.get(rsp, 'body.details.group') || objectPath.get(failed.child, 'apiVersion');
+      let name = objectPath.get(rsp, 'body.details.name') || objectPath.get(failed.child, 'metadata.name');
+      let msg = `kind.group: "${kind}.${group}" name: "${name}"`;
+      let resource = { apiVersion: group, kind: kind, name: name, namespace: objectPath.get(failed.child, 'metadata.namespace') };
+      if (rsp.statusCode) {
+        return Promise.reject(new KubeApiError(rsp.statusCode, rsp.body, { resource: resource, message: `${msg} statusCode: "${rsp.statusCode} message: ${objectPath.get(rsp, 'body.message')}"` }));
+      } else {
+        return Promise.reject(new RazeeError(`${msg} ${rsp.toString()}`, { resource: resource }));
       }
     }
+    await this.recordRevision(templates, sources, revisionHash);
+    if (pinned) {
+      await this.keepRedactedChildren(pinned.redacted);
+    }
     await this.reconcileChildren();
   }
 
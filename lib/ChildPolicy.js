@@ -0,0 +1,122 @@
+/*
+ * Copyright 2022 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Guardrails on the children a parent may apply. Rules come from the config key child-policy (a rule or a list
+// of rules), and from the spec of every instance of the cluster scoped resource named by the config key
+// child-policy-resource (eg. deploy.razee.io/v1alpha2/ChildPolicy). '*' matches any run of characters.
+//   - namespaces: [ team-* ]                  # optional, parent namespaces the rule applies to, default all
+//     deniedKinds: [ Namespace, rbac.authorization.k8s.io/ClusterRoleBinding ]  # kind or group/kind
+//     allowedNamespaces: [ team-a, team-a-* ]  # namespaces namespaced children may target
+//     requiredLabels: { team: '*' }           # label -> allowed value, or a list of label keys
+//     forbiddenFields: [ spec.hostNetwork, spec.template.spec.containers.*.securityContext.privileged ]
+// A forbidden field is a violation when it is set to anything but null or false.
+
+const objectPath = require('object-path');
+const { globMatch } = require('./ImpersonationPolicy');
+
+function toRules(policy) {
+  if (policy === undefined || policy === null) {
+    return [];
+  }
+  const rules = Array.isArray(policy) ? policy : [policy];
+  rules.forEach((rule, i) => {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      throw Error(`child policy rule ${i} must be an object`);
+    }
+  });
+  return rules;
+}
+
+function fieldValues(object, path) {
+  // returns every value found at path, '*' matches any key or list index
+  const segments = Array.isArray(path) ? path : String(path).split('.');
+  if (segments.length === 0) {
+    return [object];
+  }
+  if (object === null || typeof object !== 'object') {
+    return [];
+  }
+  const [segment, ...rest] = segments;
+  const keys = segment === '*' ? Object.keys(object) : (Object.prototype.hasOwnProperty.call(object, segment) ? [segment] : []);
+  return keys.reduce((values, key) => values.concat(fieldValues(object[key], rest)), []);
+}
+
+function matchesKind(patterns, child) {
+  const kind = objectPath.get(child, 'kind', '');
+  const group = objectPath.get(child, 'apiVersion', '').split('/').slice(0, -1).join('/');
+  return patterns.some(p => globMatch(p, kind) || globMatch(p, `${group}/${kind}`));
+}
+
+// returns the list of violations of child against rules, empty when child is allowed.
+// options.parentNamespace scopes rules, options.namespaced tells whether allowedNamespaces applies to child.
+function evaluate(rules, child, options = {}) {
+  const violations = [];
+  toRules(rules).forEach(rule => {
+    if (Array.isArray(rule.namespaces) && rule.namespaces.length > 0 && !rule.namespaces.some(p => globMatch(p, options.parentNamespace))) {
+      return;
+    }
+    if (Array.isArray(rule.deniedKinds) && matchesKind(rule.deniedKinds, child)) {
+      violations.push(`kind ${objectPath.get(child, 'kind')} is denied`);
+    }
+    const namespace = objectPath.get(child, 'metadata.namespace');
+    if (Array.isArray(rule.allowedNamespaces) && options.namespaced !== false && !rule.allowedNamespaces.some(p => globMatch(p, namespace))) {
+      violations.push(`namespace ${namespace} is not allowed`);
+    }
+    const labels = objectPath.get(child, 'metadata.labels', {});
+    const requiredLabels = Array.isArray(rule.requiredLabels) ? Object.fromEntries(rule.requiredLabels.map(l => [l, '*'])) : (rule.requiredLabels || {});
+    Object.entries(requiredLabels).forEach(([label, pattern]) => {
+      if (labels[label] === undefined) {
+        violations.push(`label ${label} is required`);
+      } else if (!globMatch(pattern, labels[label])) {
+        violations.push(`label ${label}=${labels[label]} does not match ${pattern}`);
+      }
+    });
+    (rule.forbiddenFields || []).forEach(field => {
+      if (fieldValues(child, field).some(v => v !== null && v !== false)) {
+        violations.push(`field ${field} is forbidden`);
+      }
+    });
+  });
+  return [...new Set(violations)];
+}
+
+// loads the rules from configProvider and, when configured, the policy resources on the cluster
+async function load(configProvider, kubeClass) {
+  let rules = toRules(await configProvider.getYaml('child-policy'));
+  const resource = await configProvider.getString('child-policy-resource');
+  if (resource) {
+    const kind = resource.split('/').pop();
+    const apiVersion = resource.split('/').slice(0, -1).join('/');
+    const krm = await kubeClass.getKubeResourceMeta(apiVersion, kind, 'get');
+    if (!krm) {
+      throw Error(`child-policy-resource ${resource} not found on the cluster`);
+    }
+    const res = await krm.request({ uri: krm.uri({}), json: true, simple: false, resolveWithFullResponse: true, headers: { 'Impersonate-User': undefined, 'Impersonate-Group': undefined } });
+    if (res.statusCode !== 200) {
+      throw Error(`unable to list ${resource}: ${res.statusCode} ${objectPath.get(res, 'body.message', '')}`);
+    }
+    objectPath.get(res, 'body.items', []).forEach(item => {
+      rules = rules.concat(toRules(item.spec));
+    });
+  }
+  return rules;
+}
+
+module.exports = {
+  evaluate,
+  fieldValues,
+  load
+};
@@ -0,0 +1,221 @@
+/*
+ * Copyright 2022 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Evaluates scoped and scheduled cluster lock rules against a parent resource.
+// A rule looks like:
+//   - name: holiday-freeze                 # optional, identifies the rule in the parent's status
+//     reason: Holiday change freeze
+//     expires: '2022-12-27T00:00:00Z'      # optional, rule is ignored after this time
+//     namespaces: [ team-a, team-b ]        # optional, namespaces of the parent resource
+//     kinds: [ MustacheTemplate, deploy.razee.io/RemoteResource ]  # optional, kind or group/kind of the parent
+//     selector:                             # optional, label selector on the parent resource
+//       matchLabels: { tier: prod }
+//     schedule:                             # optional maintenance window, rule is always active without one
+//       cron: '0 22 * * 5'                  # window start, standard 5 field cron
+//       duration: 60h                       # window length, d/h/m/s units
+//       timezone: America/New_York          # IANA timezone the cron is evaluated in, defaults to UTC
+// A rule without any scope applies to every parent. Rules that can't be parsed lock (fail closed).
+
+const objectPath = require('object-path');
+
+const MAX_WINDOW_MINUTES = 7 * 24 * 60;
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw Error(`invalid cron "${expression}", expected 5 fields`);
+  }
+  const cron = {};
+  parts.forEach((part, i) => {
+    const field = CRON_FIELDS[i];
+    const values = new Set();
+    part.toLowerCase().split(',').forEach(item => {
+      let [range, step] = item.split('/');
+      step = step === undefined ? 1 : Number(step);
+      let start, end;
+      if (range === '*') {
+        start = field.min;
+        end = field.max;
+      } else {
+        [start, end] = range.split('-').map(v => cronValue(v, field));
+        if (end === undefined) end = (item.includes('/') ? field.max : start);
+      }
+      if (!Number.isInteger(start) || !Number.isInteger(end) || !Number.isInteger(step) || step < 1 || start < field.min || end > field.max || start > end) {
+        throw Error(`invalid cron "${expression}", bad ${field.name} "${item}"`);
+      }
+      for (let v = start; v <= end; v += step) {
+        values.add((field.name === 'dayOfWeek' && v === 7) ? 0 : v);
+      }
+    });
+    cron[field.name] = { values: values, wildcard: part === '*' };
+  });
+  return cron;
+}
+
+function cronValue(value, field) {
+  if (field.names && field.names.includes(value)) {
+    return field.names.indexOf(value) + (field.name === 'month' ? 1 : 0);
+  }
+  return /^\d+$/.test(value) ? Number(value) : NaN;
+}
+
+function cronMatches(cron, wallClock) {
+  // wallClock is a Date whose UTC fields hold the wall-clock time of the schedule's timezone
+  if (!cron.minute.values.has(wallClock.getUTCMinutes())) return false;
+  if (!cron.hour.values.has(wallClock.getUTCHours())) return false;
+  if (!cron.month.values.has(wallClock.getUTCMonth() + 1)) return false;
+  const dom = cron.dayOfMonth.values.has(wallClock.getUTCDate());
+  const dow = cron.dayOfWeek.values.has(wallClock.getUTCDay());
+  // standard cron: when both day fields are restricted, either one matching is enough
+  if (!cron.dayOfMonth.wildcard && !cron.dayOfWeek.wildcard) return dom || dow;
+  return dom && dow;
+}
+
+function parseDuration(duration) {
+  if (typeof duration === 'number') return duration * 1000;
+  const str = String(duration || '').trim();
+  const units = { d: 86400000, h: 3600000, m: 60000, s: 1000 };
+  let ms = 0;
+  let matched = '';
+  str.replace(/(\d+)([dhms])/g, (match, value, unit) => {
+    ms += Number(value) * units[unit];
+    matched += match;
+  });
+  if (!str || matched !== str) {
+    throw Error(`invalid duration "${duration}"`);
+  }
+  return ms;
+}
+
+function wallClock(date, timezone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(date).forEach(p => { parts[p.type] = p.value; });
+  return new Date(Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day), Number(parts.hour), Number(parts.minute), Number(parts.second)));
+}
+
+function activeWindow(schedule, now = new Date()) {
+  // returns the end of the maintenance window that contains now, or undefined when outside of any window.
+  // durations are measured in wall-clock time of the schedule's timezone.
+  const cron = parseCron(schedule.cron);
+  const durationMs = parseDuration(schedule.duration);
+  const timezone = schedule.timezone || 'UTC';
+  const nowWall = wallClock(now, timezone);
+  const minutes = Math.min(Math.ceil(durationMs / 60000), MAX_WINDOW_MINUTES);
+  const candidate = new Date(nowWall.getTime());
+  candidate.setUTCSeconds(0, 0);
+  for (let i = 0; i <= minutes; i++) {
+    if (cronMatches(cron, candidate) && nowWall.getTime() < candidate.getTime() + durationMs) {
+      return new Date(now.getTime() + (candidate.getTime() + durationMs - nowWall.getTime()));
+    }
+    candidate.setUTCMinutes(candidate.getUTCMinutes() - 1);
+  }
+}
+
+function matchesSelector(selector, labels = {}) {
+  if (!selector) return true;
+  const matchLabels = selector.matchLabels || {};
+  for (const [key, value] of Object.entries(matchLabels)) {
+    if (labels[key] !== String(value)) return false;
+  }
+  for (const exp of (selector.matchExpressions || [])) {
+    const has = Object.prototype.hasOwnProperty.call(labels, exp.key);
+    const values = (exp.values || []).map(String);
+    switch (exp.operator) {
+      case 'In':
+        if (!has || !values.includes(labels[exp.key])) return false;
+        break;
+      case 'NotIn':
+        if (has && values.includes(labels[exp.key])) return false;
+        break;
+      case 'Exists':
+        if (!has) return false;
+        break;
+      case 'DoesNotExist':
+        if (has) return false;
+        break;
+      default:
+        throw Error(`invalid selector operator "${exp.operator}"`);
+    }
+  }
+  return true;
+}
+
+function matchesKind(kinds, resource) {
+  if (!Array.isArray(kinds) || kinds.length === 0) return true;
+  const kind = objectPath.get(resource, 'kind', '');
+  const group = objectPath.get(resource, 'apiVersion', '').split('/').slice(0, -1).join('/');
+  return kinds.some(k => k === kind || k === `${group}/${kind}`);
+}
+
+function evaluateRule(rule, resource, now) {
+  if (rule.expires !== undefined) {
+    const expires = new Date(rule.expires);
+    if (isNaN(expires.getTime())) throw Error(`invalid expires "${rule.expires}"`);
+    if (now >= expires) return;
+  }
+  const namespaces = rule.namespaces;
+  if (Array.isArray(namespaces) && namespaces.length > 0 && !namespaces.includes(objectPath.get(resource, 'metadata.namespace'))) return;
+  if (!matchesKind(rule.kinds, resource)) return;
+  if (!matchesSelector(rule.selector, objectPath.get(resource, 'metadata.labels', {}))) return;
+
+  let expires = rule.expires !== undefined ? new Date(rule.expires) : undefined;
+  if (rule.schedule) {
+    const windowEnd = activeWindow(rule.schedule, now);
+    if (!windowEnd) return;
+    expires = (expires && expires < windowEnd) ? expires : windowEnd;
+  }
+  return {
+    locked: true,
+    reason: rule.reason || 'Cluster lock has been set',
+    expires: expires ? expires.toISOString() : undefined,
+    rule: rule.name
+  };
+}
+
+function evaluate(rules, resource, now = new Date()) {
+  // returns the first active lock that applies to resource, or undefined when resource is not locked
+  rules = Array.isArray(rules) ? rules : (rules ? [rules] : []);
+  for (let i = 0; i < rules.length; i++) {
+    let lock;
+    try {
+      lock = evaluateRule(rules[i] || {}, resource, now);
+    } catch (e) {
+      lock = { locked: true, reason: `Invalid cluster lock rule ${rules[i]?.name || i}: ${e.message}`, rule: rules[i]?.name };
+    }
+    if (lock) {
+      return lock;
+    }
+  }
+}
+
+module.exports = {
+  evaluate,
+  activeWindow,
+  matchesSelector,
+  parseCron,
+  parseDuration
+};
@@ -17,19 +17,62 @@
 const objectPath = require('object-path');
 const clone = require('clone');
 
+const applyWaves = require('./applyWaves');
 const BaseController = require('./BaseController');
+const ChildPolicy = require('./ChildPolicy');
+const { logMessage } = require('./conditions');
+const { RazeeError, KubeApiError, ValidationError } = require('./errors');
+const { ConcurrencyLimiter } = require('./limits');
+const Ownership = require('./ownership');
+const Readiness = require('./readiness');
+const Revisions = require('./revisions');
+
+function isList(child) {
+  return String(objectPath.get(child, 'apiVersion', '')).toLowerCase() === 'v1' && String(objectPath.get(child, 'kind', '')).toLowerCase() === 'list' && Array.isArray(objectPath.get(child, 'items'));
+}
+
+function flattenLists(children) {
+  return children.reduce((result, child) => result.concat(isList(child) ? flattenLists(child.items) : [child]), []);
+}
+
+function succeeded(res) {
+  return res && res.statusCode >= 200 && res.statusCode < 300;
+}
 
 
 module.exports = class CompositeController extends BaseController {
   constructor(params) {
     params.finalizerString = params.finalizerString || 'children.compositecontroller.deploy.razee.io';
     super(params);
+    // children applied at the same time during the cycle, config child-apply-concurrency unless passed in
+    this._childLimiter = new ConcurrencyLimiter(params.childConcurrency ?? 10);
+    this._childConcurrencyConfigurable = params.childConcurrency === undefined;
+    this._revisions = undefined; // the revision history companion, read once per cycle
+    this._readinessWaits = new Map(); // child -> readiness to wait for once its slot is released
+  }
+
+  get childLimiter() {
+    return this._childLimiter;
+  }
+
+  async _configureLimits() {
+    await super._configureLimits();
+    if (this._childConcurrencyConfigurable) {
+      this._childLimiter.concurrency = await this.config.getNumber('child-apply-concurrency', this._childLimiter.concurrency);
+    }
+  }
+
+  dataToHash(resource) {
+    // pinning a revision runs the cycle like a spec change does
+    let data = super.dataToHash(resource);
+    let pinned = objectPath.get(resource, ['metadata', 'annotations', Revisions.PIN_ANNOTATION]);
+    return pinned === undefined ? data : { ...data, revision: pinned };
   }
 
   async finalizerCleanup() {
     // if cleanup fails, do not return successful response => Promise.reject(err) or throw Error(err)
     let children = objectPath.get(this.data, ['object', 'status', 'children'], {});
-    let res = await Promise.all(Object.entries(children).map(async ([selfLink, child]) => {
+    const cleanupChild = async ([selfLink, child]) => {
       let reconcile = objectPath.get(child, ['deploy.razee.io/Reconcile'], this.reconcileDefault);
       if (reconcile.toLowerCase() == 'true') {
         try {
@@ -43,10 +86,24 @@ module.exports = class CompositeController extends BaseController {
           }, { status: true });
           objectPath.set(this.data, 'object', res);
         } catch (e) {
-          return Promise.reject({ selfLink: selfLink, action: 'delete', state: 'fail', error: e.message || e });
+          await this.recordEvent('Warning', 'DeleteFailed', `Failed to delete ${selfLink}: ${logMessage(objectPath.get(e, 'body') || e)}`);
+          return Promise.reject(new RazeeError(`Failed to delete ${selfLink}: ${e.message || e}`, {
+            code: 'DeleteFailed',
+            resource: selfLink,
+            statusCode: e.statusCode,
+            retryable: e.retryable ?? false,
+            cause: e,
+            details: { selfLink: selfLink, action: 'delete' }
+          }));
         }
       }
-    }));
+    };
+    let res = [];
+    // a wave is only deleted once the waves applied after it are gone
+    for (const wave of this._deleteWaves(children)) {
+      res = res.concat(await Promise.all(wave.map(cleanupChild)));
+    }
+    this._updateManagedChildrenMetric(0);
     return res;
   }
 
@@ -57,6 +114,11 @@ module.exports = class CompositeController extends BaseController {
     await Promise.all(children.map(async child => {
       let selfLink = child.selfLink;
       objectPath.del(child, 'selfLink');
+      if (this.dryRun) {
+        // dry-run must not change which children the real cycles reconcile against
+        objectPath.set(this.children, [selfLink], child);
+        return;
+      }
       let res = await this.patchSelf({
         status: {
           children: {
@@ -69,7 +131,54 @@ module.exports = class CompositeController extends BaseController {
     }));
   }
 
+  // applies children (Lists are applied item by item) in waves, see applyWaves. Returns the [{ child, res }] applied,
+  // stopping after a wave where a child failed as later waves likely depend on it. apply rejecting stops it too.
+  async applyChildren(children, apply = child => this.applyChild(child)) {
+    if (!Array.isArray(children)) {
+      children = [children];
+    }
+    const applied = [];
+    for (const wave of applyWaves.group(flattenLists(children))) {
+      const results = await Promise.allSettled(wave.map(child => apply(child)));
+      const rejected = results.find(r => r.status === 'rejected');
+      if (rejected) {
+        throw rejected.reason;
+      }
+      results.forEach((r, i) => applied.push({ child: wave[i], res: r.value }));
+      if (results.some(r => !succeeded(r.value))) {
+        break;
+      }
+    }
+    return applied;
+  }
+
+  _deleteWaves(children) {
+    return applyWaves.group(Object.entries(children), ([selfLink, child]) => applyWaves.statusOrder(selfLink, child)).reverse();
+  }
+
   async applyChild(child) {
+    const apply = () => this.trace('applyChild', async (span) => {
+      const res = await this._applyChild(child);
+      span.setAttribute('http.status_code', objectPath.get(res || {}, 'statusCode', 0));
+      return res;
+    }, {
+      'razee.child.api_version': objectPath.get(child, 'apiVersion'),
+      'razee.child.kind': objectPath.get(child, 'kind'),
+      'razee.child.name': objectPath.get(child, 'metadata.name'),
+      'razee.child.namespace': objectPath.get(child, 'metadata.namespace')
+    });
+    // a List holds no slot itself, each of its items waits for one, so nested Lists can't starve each other
+    const res = isList(child) ? await apply() : await this._childLimiter.run(apply);
+    // waiting for readiness holds no slot either, a slow child doesn't hold up the other children
+    const waiting = this._readinessWaits.get(child);
+    if (waiting) {
+      this._readinessWaits.delete(child);
+      await this._waitForReadiness(waiting);
+    }
+    return res;
+  }
+
+  async _applyChild(child) {
     const childApiVersion = objectPath.get(child, 'apiVersion');
     const childKind = objectPath.get(child, 'kind');
     const childName = objectPath.get(child, 'metadata.name');
@@ -77,7 +186,7 @@ module.exports = class CompositeController extends BaseController {
     let childUri = `${childApiVersion}/${childKind}/${childNamespace ? `namespace/${childNamespace}/` : ''}${childName}`;
 
     if (!childApiVersion || !childKind) {
-      return {
+      return await this._invalidChild({
         statusCode: 400,
         body: {
           kind: 'Status',
@@ -89,26 +198,17 @@ module.exports = class CompositeController extends BaseController {
           details: { apiVersion: `${childApiVersion}`, kind: `${childKind}`, uri: childUri },
           code: 400
         }
-      };
+      });
     }
 
-    if (childApiVersion.toLowerCase() === 'v1' && childKind.toLowerCase() === 'list' && Array.isArray(child.items)) {
-      try {
-        let res = await Promise.all(child.items.map(async item => {
-          let applyChildRes = await this.applyChild(item);
-          if (!applyChildRes.statusCode || applyChildRes.statusCode < 200 || applyChildRes.statusCode >= 300) {
-            return Promise.reject(applyChildRes);
-          }
-          return applyChildRes;
-        }));
-        return res[0];
-      } catch (e) {
-        return e;
-      }
+    if (isList(child)) {
+      let applied = await this.applyChildren(child.items);
+      let failed = applied.find(({ res }) => !succeeded(res));
+      return failed ? failed.res : objectPath.get(applied, [0, 'res']);
     }
 
     if (!childName) {
-      return {
+      return await this._invalidChild({
         statusCode: 400,
         body: {
           kind: 'Status',
@@ -120,12 +220,33 @@ module.exports = class CompositeController extends BaseController {
           details: { apiVersion: `${childApiVersion}`, kind: `${childKind}`, uri: childUri },
           code: 400
         }
-      };
+      });
+    }
+
+    let childWave;
+    let readinessMode;
+    try {
+      childWave = applyWaves.wave(child);
+      readinessMode = Readiness.mode(child, await this._defaultReadinessMode());
+    } catch (e) {
+      return await this._invalidChild({
+        statusCode: 400,
+        body: {
+          kind: 'Status',
+          apiVersion: 'v1',
+          metadata: {},
+          status: 'Failure',
+          message: e.message,
+          reason: 'BadRequest',
+          details: { apiVersion: `${childApiVersion}`, kind: `${childKind}`, uri: childUri },
+          code: 400
+        }
+      });
     }
 
     let krm = await this.kubeClass.getKubeResourceMeta(childApiVersion, childKind, 'update');
     if (!krm) {
-      return {
+      return await this._invalidChild({
         statusCode: 404,
         body: {
           kind: 'Status',
@@ -137,24 +258,46 @@ module.exports = class CompositeController extends BaseController {
           details: { apiVersion: `${childApiVersion}`, kind: `${childKind}`, uri: childUri },
           code: 404
         }
-      };
+      });
     }
 
-    let impersonateUser = this.processImpersonation(krm);
-
     let res;
-    let reconcile = objectPath.get(child, ['metadata', 'labels', 'deploy.razee.io/Reconcile'], this.reconcileDefault);
     let mode = objectPath.get(child, ['metadata', 'labels', 'deploy.razee.io/mode'], 'Apply');
+    if (this.detectDrift) {
+      mode = 'DetectDrift';
+    }
+    // a JSONPatch or DetectDrift child only looks at a resource it did not create, so it must not delete it by default
+    let reconcile = objectPath.get(child, ['metadata', 'labels', 'deploy.razee.io/Reconcile'], ['jsonpatch', 'detectdrift'].includes(mode.toLowerCase()) ? 'false' : this.reconcileDefault);
     let modeUsed = '';
     if (!objectPath.has(child, ['metadata', 'namespace']) && krm.namespaced) {
       objectPath.set(child, ['metadata', 'namespace'], this.namespace);
       childNamespace = objectPath.get(child, 'metadata.namespace');
     }
     childUri = krm.uri({ name: childName, namespace: childNamespace });
-    let childUid = objectPath.get(res, 'body.metadata.uid');
-
 
     try {
+      // an invalid clusterAuth or a denied identity fails the child like any other apply error
+      let impersonateUser = await this.processImpersonation(krm);
+
+      let violations;
+      try {
+        violations = ChildPolicy.evaluate(await this._loadChildPolicy(), child, { parentNamespace: this.namespace, namespaced: krm.namespaced });
+      } catch (e) {
+        violations = [`unable to load child policy: ${e.message}`]; // fail closed
+      }
+      if (violations.length > 0) {
+        return await this._forbiddenChild(child, childUri, violations);
+      }
+      // JSONPatch and DetectDrift children look at resources other parents (or nobody) manage
+      let claim = {};
+      if (!['jsonpatch', 'detectdrift'].includes(mode.toLowerCase())) {
+        claim = await this._claimChild(krm, child, childUri, mode.toLowerCase() === 'ensureexists');
+        if (claim.refused) {
+          return claim.refused;
+        }
+      }
+      let childUid = objectPath.get(res, 'body.metadata.uid');
+
       switch (mode.toLowerCase()) {
         case 'StrategicMergePatch'.toLowerCase():
           modeUsed = 'StrategicMergePatch';
@@ -164,22 +307,495 @@ module.exports = class CompositeController extends BaseController {
           modeUsed = 'AdditiveMergePatch';
           res = await this.apply(krm, child, { mode: 'AdditiveMergePatch' });
           break;
+        case 'ServerSideApply'.toLowerCase():
+          modeUsed = 'ServerSideApply';
+          res = await this.serverSideApply(krm, child, {
+            fieldManager: objectPath.get(child, ['metadata', 'annotations', 'deploy.razee.io/field-manager']),
+            force: String(objectPath.get(child, ['metadata', 'annotations', 'deploy.razee.io/force-conflicts'], 'false')).toLowerCase() === 'true'
+          });
+          break;
         case 'EnsureExists'.toLowerCase():
           modeUsed = 'EnsureExists';
           res = await this.ensureExists(krm, child);
           break;
+        case 'Replace'.toLowerCase():
+          modeUsed = 'Replace';
+          res = await this.replace(krm, child, {
+            hard: String(objectPath.get(child, ['metadata', 'annotations', 'deploy.razee.io/replace-hard'], 'false')).toLowerCase() === 'true',
+            force: String(objectPath.get(child, ['metadata', 'annotations', 'deploy.razee.io/replace-force'], 'true')).toLowerCase() !== 'false'
+          });
+          break;
+        case 'JSONPatch'.toLowerCase(): {
+          modeUsed = 'JSONPatch';
+          let jsonPatch = objectPath.get(child, 'jsonPatch');
+          if (typeof jsonPatch === 'string') {
+            try {
+              jsonPatch = JSON.parse(jsonPatch);
+            } catch (e) {
+              jsonPatch = undefined;
+            }
+          }
+          if (!Array.isArray(jsonPatch) || jsonPatch.length == 0) {
+            return await this._invalidChild({
+              statusCode: 400,
+              body: {
+                kind: 'Status',
+                apiVersion: 'v1',
+                metadata: {},
+                status: 'Failure',
+                message: 'Invalid JSONPatch child, "jsonPatch" must be a non-empty list of RFC 6902 operations',
+                reason: 'BadRequest',
+                details: { apiVersion: `${childApiVersion}`, kind: `${childKind}`, uri: childUri },
+                code: 400
+              }
+            });
+          }
+          violations = await this._jsonPatchViolations(krm, child, jsonPatch);
+          if (violations.length > 0) {
+            return await this._forbiddenChild(child, childUri, violations);
+          }
+          res = await this.jsonPatch(krm, child, jsonPatch);
+          break;
+        }
+        case 'DetectDrift'.toLowerCase():
+          modeUsed = 'DetectDrift';
+          res = await this.checkDrift(krm, child);
+          if (res.drift.drifted) {
+            await this.recordEvent('Warning', 'DriftDetected', `${childUri}: ${res.drift.summary}`);
+          }
+          break;
         default: // Apply - MergePatch
           modeUsed = 'Apply';
           res = await this.apply(krm, child);
       }
-      await this.addChildren({ uid: childUid, selfLink: childUri, 'deploy.razee.io/Reconcile': reconcile, 'Impersonate-User': impersonateUser });
+      if (modeUsed !== 'DetectDrift') {
+        await this._reconcileOwnerReference(krm, child, res, reconcile, claim.adoptedFrom);
+      }
+      let readiness = modeUsed === 'DetectDrift' ? null : await this._checkReadiness(krm, child, res, readinessMode);
+      // pendingConfigurationDiff, drift and readiness are only set while the child is being debugged or checked, null clears them from status
+      await this.addChildren({ uid: childUid, selfLink: childUri, 'deploy.razee.io/Reconcile': reconcile, 'Impersonate-User': impersonateUser, [applyWaves.ANNOTATION]: childWave ?? null, pendingConfigurationDiff: res.pendingDiff || null, drift: res.drift || null, readiness: readiness });
       this.log.info(`${modeUsed} ${res.statusCode} ${childUri}`);
+      // a child applied every cycle only gets an event when the apply created or changed it
+      let changed = !claim.liveVersion || objectPath.get(res, 'body.metadata.resourceVersion') !== claim.liveVersion;
+      if (!this.dryRun && modeUsed !== 'DetectDrift' && changed) {
+        await this.recordEvent('Normal', 'ChildApplied', `${modeUsed} ${res.statusCode} ${childUri}`);
+      }
+      if (readinessMode === 'Wait' && readiness && readiness.state === Readiness.IN_PROGRESS) {
+        this._readinessWaits.set(child, { krm: krm, child: child, childUri: childUri, readiness: readiness });
+      } else {
+        await this._childReadinessEvent(childUri, readiness);
+      }
     } catch (e) {
       res = e;
+      await this.recordEvent('Warning', 'ApplyFailed', `${modeUsed}${e.statusCode ? ` ${e.statusCode}` : ''} ${childUri}: ${logMessage(objectPath.get(e, 'body') || e)}`);
     }
     return res;
   }
 
+  async _conflictPolicy() {
+    return Ownership.policy(await this.config.getString('child-conflict-policy', 'Refuse'));
+  }
+
+  // stamps the child with this parent as its manager (see ownership). Returns { refused } with the response refusing
+  // the child when another parent manages it, unless the conflict policy is Warn or the child adopts it, in which case
+  // { adoptedFrom } names the previous manager. Ensuring a resource that exists changes nothing, so it claims nothing:
+  // several parents can ensure the same resource. { liveVersion } is the resourceVersion of the child before the apply.
+  async _claimChild(krm, child, childUri, ensureExists = false) {
+    let get = await krm.get(objectPath.get(child, 'metadata.name'), objectPath.get(child, 'metadata.namespace'), { simple: false, resolveWithFullResponse: true });
+    // anything but the live object is left to the apply to report
+    let live = get.statusCode === 200 ? get.body : undefined;
+    let liveVersion = objectPath.get(live, 'metadata.resourceVersion');
+    if (ensureExists && live) {
+      return { liveVersion: liveVersion };
+    }
+    let manager = Ownership.conflict(live, this.selfLink);
+    if (!manager) {
+      Ownership.stamp(child, this.selfLink, Ownership.adoptedFrom(live));
+      return { liveVersion: liveVersion };
+    } else if (Ownership.adopts(child, live, this.selfLink)) {
+      Ownership.stamp(child, this.selfLink, manager);
+      this.log.info(`Adopting ${childUri} from ${manager}`);
+      if (!this.dryRun) {
+        await this.recordEvent('Normal', 'ChildAdopted', `Adopted ${childUri} from ${manager}`);
+      }
+      return { adoptedFrom: manager, liveVersion: liveVersion };
+    } else if (await this._conflictPolicy() === 'Warn') {
+      // the child stays with its manager, so this parent never deletes or owns it
+      Ownership.stamp(child, manager, Ownership.adoptedFrom(live));
+      this.log.warn(`${childUri} is managed by ${manager}, applying anyway`);
+      await this.recordEvent('Warning', 'ChildConflict', `${childUri} is managed by ${manager}, applied anyway`);
+      return { liveVersion: liveVersion };
+    }
+    let refused = await this._invalidChild({
+      statusCode: 409,
+      body: {
+        kind: 'Status',
+        apiVersion: 'v1',
+        metadata: {},
+        status: 'Failure',
+        message: Ownership.adopting(child) ? `${childUri} is managed by ${manager}, which adopted it from this parent` : `${childUri} is managed by ${manager}, set the ${Ownership.ADOPT_ANNOTATION} annotation on the child to take it over`,
+        reason: 'Conflict',
+        details: { apiVersion: `${objectPath.get(child, 'apiVersion')}`, kind: `${objectPath.get(child, 'kind')}`, uri: childUri },
+        code: 409
+      }
+    });
+    return { refused: refused };
+  }
+
+  async _ownerReferences() {
+    let annotation = objectPath.get(this.data, ['object', 'metadata', 'annotations', 'deploy.razee.io/owner-references']);
+    if (annotation !== undefined && annotation !== null && String(annotation).trim() !== '') {
+      return String(annotation).trim().toLowerCase() === 'true';
+    }
+    return await this.config.getBoolean('child-owner-references', false);
+  }
+
+  // when enabled (config child-owner-references, or the deploy.razee.io/owner-references annotation of the parent), an
+  // applied child in the parent's namespace gets an ownerReference to the parent, so kubernetes garbage collects it even
+  // if the finalizer never runs. Children with Reconcile false, or managed by another parent, have it removed, deleting
+  // the parent orphans them. A child adopted from another parent loses that parent's ownerReference, so deleting the
+  // previous parent doesn't garbage collect it. Best effort, a failure is logged and retried next cycle.
+  async _reconcileOwnerReference(krm, child, res, reconcile, adoptedFrom) {
+    if (this.dryRun) {
+      return;
+    }
+    let owner = this._companionOwnerReference(objectPath.get(this.data, 'object'));
+    let name = objectPath.get(child, 'metadata.name');
+    let namespace = objectPath.get(child, 'metadata.namespace');
+    let childUri = krm.uri({ name: name, namespace: namespace });
+    try {
+      if (!owner.uid) {
+        return;
+      }
+      let live = objectPath.get(res, 'body.kind') === objectPath.get(child, 'kind') ? res.body : undefined;
+      if (!live) {
+        let get = await krm.get(name, namespace, { simple: false, resolveWithFullResponse: true });
+        live = get.statusCode === 200 ? get.body : undefined;
+      }
+      if (!objectPath.get(live, 'metadata.uid')) {
+        return;
+      }
+      // kubernetes only allows owners in the same namespace, or cluster scoped owners
+      let wanted = krm.namespaced && namespace === this.namespace && String(reconcile).toLowerCase() === 'true' &&
+        !Ownership.conflict(live, this.selfLink) && await this._ownerReferences();
+      let refs = objectPath.get(live, 'metadata.ownerReferences', []);
+      let previous = adoptedFrom ? await this._findOwnerReferences(refs, namespace, adoptedFrom) : [];
+      let owned = refs.some(ref => ref.uid === owner.uid);
+      if (wanted === owned && previous.length === 0) {
+        return;
+      }
+      let desired = refs.filter(ref => ref.uid !== owner.uid && !previous.includes(ref)).concat(wanted ? [owner] : []);
+      // a merge patch replaces the whole list, the resourceVersion keeps it from dropping references added meanwhile
+      let patch = { metadata: { resourceVersion: objectPath.get(live, 'metadata.resourceVersion'), ownerReferences: desired.length > 0 ? desired : null } };
+      let patched = await krm.mergePatch(name, namespace, patch, this._writeOptions({ simple: false, resolveWithFullResponse: true }));
+      if (patched.statusCode >= 200 && patched.statusCode < 300) {
+        if (wanted !== owned) {
+          this.log.info(`${wanted ? 'Added' : 'Removed'} ownerReference to ${this.selfLink} on ${childUri}`);
+        }
+        if (previous.length > 0) {
+          this.log.info(`Removed ownerReference to ${adoptedFrom} on ${childUri}`);
+        }
+        res.body = patched.body;
+      } else {
+        this.log.warn(`Unable to reconcile ownerReferences on ${childUri}: ${patched.statusCode} ${logMessage(patched.body)}`);
+      }
+    } catch (e) {
+      this.log.warn(`Unable to reconcile ownerReference on ${childUri}: ${e.message || e}`);
+    }
+  }
+
+  // the ownerReferences in refs pointing at the parent with selfLink parentLink
+  async _findOwnerReferences(refs, namespace, parentLink) {
+    let found = [];
+    for (let ref of refs) {
+      let krm = await this.kubeClass.getKubeResourceMeta(ref.apiVersion, ref.kind, 'get').catch(() => undefined);
+      if (krm && krm.uri({ name: ref.name, namespace: krm.namespaced ? namespace : undefined }) === parentLink) {
+        found.push(ref);
+      }
+    }
+    return found;
+  }
+
+  async _defaultReadinessMode() {
+    let value = await this.config.getString('child-readiness', 'None');
+    return Readiness.MODES.find(m => m.toLowerCase() === value.toLowerCase()) || 'None';
+  }
+
+  // the readiness of an applied child (see readiness), null when it isn't checked
+  async _checkReadiness(krm, child, res, mode) {
+    if (mode === 'None' || this.dryRun) {
+      return null;
+    }
+    // the apply response is the live object, unless the mode returned something else (eg. a Status)
+    let live = objectPath.get(res, 'body.kind') === objectPath.get(child, 'kind') ? res.body : await this._getLive(krm, child);
+    return Readiness.check(live);
+  }
+
+  async _getLive(krm, child) {
+    let get = await krm.get(objectPath.get(child, 'metadata.name'), objectPath.get(child, 'metadata.namespace'), { simple: false, resolveWithFullResponse: true });
+    return get.statusCode === 200 ? get.body : undefined;
+  }
+
+  // polls a Wait child still in progress every child-readiness-interval seconds, until it no longer is or
+  // child-readiness-timeout runs out, and records its readiness
+  async _waitForReadiness({ krm, child, childUri, readiness }) {
+    let interval = await this.config.getNumber('child-readiness-interval', 5) * 1000;
+    let deadline = Date.now() + await this.config.getNumber('child-readiness-timeout', 120) * 1000;
+    while (readiness.state === Readiness.IN_PROGRESS && Date.now() + interval <= deadline) {
+      await new Promise(resolve => setTimeout(resolve, interval));
+      readiness = Readiness.check(await this._getLive(krm, child));
+    }
+    if (readiness.state === Readiness.IN_PROGRESS) {
+      this.log.info(`Timed out waiting for ${childUri} to be ready: ${readiness.message}`);
+      return;
+    }
+    await this.addChildren({ ...this.children[childUri], selfLink: childUri, readiness: readiness });
+    await this._childReadinessEvent(childUri, readiness);
+  }
+
+  async _childReadinessEvent(childUri, readiness) {
+    if (readiness && readiness.state === Readiness.FAILED) {
+      await this.recordEvent('Warning', 'ChildFailed', `${childUri}: ${readiness.reason} ${readiness.message}`.trim());
+    }
+  }
+
+  _computeConditions() {
+    let computed = super._computeConditions();
+    let childrenReady = Readiness.rollup(this.children);
+    if (!childrenReady) {
+      // children were applied this cycle but none was checked
+      if (Object.keys(this.children).length > 0 && this.getCondition('ChildrenReady')) {
+        computed.ChildrenReady = { type: 'ChildrenReady', status: 'True', reason: 'ReadinessNotChecked', message: '' };
+      }
+      return computed;
+    }
+    computed = { ChildrenReady: { type: 'ChildrenReady', ...childrenReady }, ...computed };
+    if (childrenReady.status !== 'True' && computed.Ready.status === 'True' && !this._conditions.Ready) {
+      computed.Ready = { type: 'Ready', status: 'False', reason: childrenReady.reason, message: childrenReady.message };
+      if (childrenReady.reason !== 'ChildFailed' && !this._conditions.Reconciling) {
+        computed.Reconciling = { type: 'Reconciling', status: 'True', reason: 'WaitingForChildren', message: childrenReady.message };
+      }
+    }
+    return computed;
+  }
+
+  // Revision history ==========================
+  async _readRevisions() {
+    // read once per cycle, as the controller like the other bookkeeping
+    if (this._revisions === undefined) {
+      const krm = await this.kubeClass.getKubeResourceMeta('v1', 'ConfigMap', 'update');
+      const name = Revisions.companionName(this.selfLink);
+      const res = await krm.get(name, this.namespace, { simple: false, resolveWithFullResponse: true, headers: { 'Impersonate-User': undefined, 'Impersonate-Group': undefined } });
+      if (res.statusCode !== 200 && res.statusCode !== 404) {
+        return Promise.reject(KubeApiError.fromResponse(res, krm.uri({ name: name, namespace: this.namespace }), 'Get'));
+      }
+      this._revisions = res.statusCode === 200 ? res.body : null;
+    }
+    return this._revisions;
+  }
+
+  // the revision the parent is pinned to by its deploy.razee.io/revision annotation: { revision, hash, sources, children }
+  async pinnedRevision() {
+    let value = objectPath.get(this.data, ['object', 'metadata', 'annotations', Revisions.PIN_ANNOTATION]);
+    if (value === undefined || value === null || String(value).trim() === '') {
+      return undefined;
+    }
+    if (!/^\d+$/.test(String(value).trim())) {
+      throw new ValidationError(`Invalid ${Revisions.PIN_ANNOTATION} "${value}", must be a revision number`, { code: 'InvalidRevision', resource: this.selfLink });
+    }
+    let revision = parseInt(value, 10);
+    let configMap = await this._readRevisions();
+    let entry = Revisions.parse(configMap).find(r => r.revision === revision);
+    let data = objectPath.get(configMap, ['data', Revisions.dataKey(revision)]);
+    if (!entry || !data) {
+      throw new ValidationError(`Revision ${revision} not found in the revision history`, { code: 'RevisionNotFound', resource: this.selfLink });
+    }
+    let stored = Revisions.decode(data);
+    return { revision: revision, hash: entry.hash, sources: entry.sources, children: Revisions.restorable(stored), redacted: Revisions.redacted(stored) };
+  }
+
+  // the Secrets of a stored revision (see revisions) are left as they are when it is applied again, they stay children
+  // of this cycle so reconcileChildren doesn't prune them
+  async keepRedactedChildren(redacted) {
+    if (!redacted || redacted.length === 0) {
+      return;
+    }
+    let oldChildren = objectPath.get(this.data, ['object', 'status', 'children'], {});
+    let krm = await this.kubeClass.getKubeResourceMeta('v1', 'Secret', 'update');
+    redacted.forEach(child => {
+      let selfLink = krm.uri({ name: objectPath.get(child, 'metadata.name'), namespace: objectPath.get(child, 'metadata.namespace') || this.namespace });
+      if (objectPath.has(oldChildren, [selfLink]) && !objectPath.has(this.children, [selfLink])) {
+        this.log.info(`Keeping ${selfLink}, revisions don't keep secret data to apply it again`);
+        objectPath.set(this.children, [selfLink], oldChildren[selfLink]);
+      }
+    });
+  }
+
+  // records children, applied successfully, as the latest revision (config revision-history-limit revisions are
+  // kept, 0 disables the history). hash is the hash of children before they were applied, a pinned revision passes its own. Best effort, it
+  // only logs failures.
+  async recordRevision(children, sources = {}, hash = Revisions.hashChildren(children)) {
+    if (this.dryRun) {
+      return;
+    }
+    let limit = await this.config.getNumber('revision-history-limit', Revisions.HISTORY_LIMIT);
+    if (limit <= 0) {
+      return; // history disabled
+    }
+    try {
+      let configMap = await this._readRevisions();
+      let pinned = parseInt(objectPath.get(this.data, ['object', 'metadata', 'annotations', Revisions.PIN_ANNOTATION]), 10);
+      let { index, entry, dropped } = Revisions.record(Revisions.parse(configMap), { hash: hash, sources: sources }, {
+        limit: limit,
+        keep: Number.isNaN(pinned) ? undefined : pinned
+      });
+      let data = { [Revisions.INDEX_KEY]: JSON.stringify(index) };
+      if (!objectPath.has(configMap, ['data', Revisions.dataKey(entry.revision)])) {
+        data[Revisions.dataKey(entry.revision)] = Revisions.encode(children);
+      }
+      dropped.forEach(r => { data[Revisions.dataKey(r)] = null; });
+      await this._writeRevisions(configMap, data);
+      this._revisions = undefined;
+
+      let current = { revision: entry.revision, hash: entry.hash, pinned: entry.revision === pinned };
+      if (JSON.stringify(objectPath.get(this.data, 'object.status.revision')) !== JSON.stringify(current)) {
+        let res = await this.patchSelf({ status: { revision: current } }, { status: true });
+        objectPath.set(this.data, 'object', res);
+      }
+      return entry.revision;
+    } catch (e) {
+      this.log.warn(`Unable to record the revision of ${this.selfLink}: ${e.message || e}`);
+      await this.updateRazeeLogs('warn', { controller: 'Revisions', warn: `Unable to record the revision: ${e.message || e}` });
+    }
+  }
+
+  async _writeRevisions(configMap, data) {
+    const krm = await this.kubeClass.getKubeResourceMeta('v1', 'ConfigMap', 'update');
+    const name = Revisions.companionName(this.selfLink);
+    const opt = this._writeOptions({ simple: false, resolveWithFullResponse: true, headers: { 'Impersonate-User': undefined, 'Impersonate-Group': undefined } });
+    let res;
+    if (configMap) {
+      res = await krm.mergePatch(name, this.namespace, { data: data }, opt);
+    } else {
+      Object.keys(data).forEach(key => { if (data[key] === null) delete data[key]; });
+      res = await krm.post({
+        apiVersion: 'v1',
+        kind: 'ConfigMap',
+        metadata: {
+          name: name,
+          namespace: this.namespace,
+          labels: { 'deploy.razee.io/revision-history': 'true' },
+          annotations: { 'deploy.razee.io/revisions-for': this.selfLink },
+          // garbage collected together with the parent
+          ownerReferences: [this._companionOwnerReference(objectPath.get(this.data, 'object'))]
+        },
+        data: data
+      }, opt);
+    }
+    if (res.statusCode < 200 || res.statusCode >= 300) {
+      return Promise.reject(KubeApiError.fromResponse(res, krm.uri({ name: name, namespace: this.namespace }), configMap ? 'Patch' : 'Post'));
+    }
+  }
+
+  async _autoRollback() {
+    let annotation = objectPath.get(this.data, ['object', 'metadata', 'annotations', Revisions.AUTO_ROLLBACK_ANNOTATION]);
+    if (annotation !== undefined && annotation !== null && String(annotation).trim() !== '') {
+      return String(annotation).trim().toLowerCase() === 'true';
+    }
+    return await this.config.getBoolean('auto-rollback', false);
+  }
+
+  // when applying the children hashed failedHash (see revisions.hashChildren) failed partway, re-applies the last
+  // known-good revision in their place (config auto-rollback, or the deploy.razee.io/auto-rollback annotation of the
+  // parent) and prunes what it doesn't have. Returns the revision rolled back to, undefined when there was none.
+  async rollback(failedHash) {
+    if (this.dryRun || !(await this._autoRollback())) {
+      return;
+    }
+    let good;
+    try {
+      let configMap = await this._readRevisions();
+      good = Revisions.lastGood(Revisions.parse(configMap), failedHash);
+      if (!good || !objectPath.has(configMap, ['data', Revisions.dataKey(good.revision)])) {
+        this.log.info(`No known-good revision to roll back ${this.selfLink} to`);
+        return;
+      }
+      let stored = Revisions.decode(configMap.data[Revisions.dataKey(good.revision)]);
+      let children = Revisions.restorable(stored);
+      this.log.warn(`Rolling back ${this.selfLink} to revision ${good.revision}`);
+      this._children = {}; // children applied by the failed attempt are pruned unless the revision has them too
+      let applied = await this.applyChildren(children);
+      let failed = applied.find(({ res }) => !succeeded(res));
+      if (failed) {
+        throw Error(`${objectPath.get(failed.res, 'body.message') || failed.res.message || failed.res.statusCode}`);
+      }
+      await this.keepRedactedChildren(Revisions.redacted(stored));
+      await this.reconcileChildren();
+      await this.recordRevision(children, good.sources, good.hash);
+      await this.recordEvent('Warning', 'RolledBack', `Applying failed, rolled back to revision ${good.revision}`);
+      await this.updateRazeeLogs('warn', { controller: 'Revisions', warn: `Applying failed, rolled back to revision ${good.revision}` });
+      return good.revision;
+    } catch (e) {
+      let msg = `Rollback${good ? ` to revision ${good.revision}` : ''} failed: ${e.message || e}`;
+      this.log.error(msg);
+      await this.updateRazeeLogs('error', { controller: 'Revisions', error: msg });
+    }
+  }
+
+  async _loadChildPolicy() {
+    // loaded once per cycle, every child of the cycle is checked against the same rules
+    if (!this._childPolicy) {
+      this._childPolicy = ChildPolicy.load(this.config, this.kubeClass);
+    }
+    return await this._childPolicy;
+  }
+
+  // the child policy violations the operations of a JSONPatch child would introduce, checked against a server-side
+  // dry-run of the patch, so a field the policy forbids can't be set through the operations. Violations the target
+  // resource already has are left to whoever manages it.
+  async _jsonPatchViolations(krm, child, jsonPatch) {
+    let rules;
+    try {
+      rules = await this._loadChildPolicy();
+    } catch (e) {
+      return [`unable to load child policy: ${e.message}`]; // fail closed
+    }
+    if (!rules || rules.length === 0) {
+      return [];
+    }
+    let name = objectPath.get(child, 'metadata.name');
+    let namespace = objectPath.get(child, 'metadata.namespace');
+    let options = { parentNamespace: this.namespace, namespaced: krm.namespaced };
+    let get = await krm.get(name, namespace, { simple: false, resolveWithFullResponse: true });
+    let patched = await krm.patch(name, namespace, jsonPatch, { simple: false, resolveWithFullResponse: true, qs: { dryRun: 'All' } });
+    if (get.statusCode !== 200 || patched.statusCode < 200 || patched.statusCode >= 300) {
+      return []; // the patch fails, applying it reports why
+    }
+    let existing = ChildPolicy.evaluate(rules, get.body, options);
+    return ChildPolicy.evaluate(rules, patched.body, options).filter(v => !existing.includes(v));
+  }
+
+  async _forbiddenChild(child, childUri, violations) {
+    return await this._invalidChild({
+      statusCode: 403,
+      body: {
+        kind: 'Status',
+        apiVersion: 'v1',
+        metadata: {},
+        status: 'Failure',
+        message: `${childUri} is forbidden by child policy: ${violations.join('; ')}`,
+        reason: 'Forbidden',
+        details: { apiVersion: `${objectPath.get(child, 'apiVersion')}`, kind: `${objectPath.get(child, 'kind')}`, uri: childUri, causes: violations.map(v => ({ message: v })) },
+        code: 403
+      }
+    });
+  }
+
+  async _invalidChild(res) {
+    await this.recordEvent('Warning', 'ApplyFailed', `${objectPath.get(res, 'body.details.uri')}: ${objectPath.get(res, 'body.message')}`);
+    return res;
+  }
+
   async reconcileChildren() {
     let newChildren = this.children; // children that were computed this cycle
     let oldChildren = objectPath.get(this.data, ['object', 'status', 'children'], {}); // children that existed at the start of the cycle
@@ -188,22 +804,24 @@ module.exports = class CompositeController extends BaseController {
       this.log.info(`Less children found this cycle then previously (${Object.entries(newChildren).length} < ${Object.entries(oldChildren).length}).. ReconcileChildren called by ${objectPath.get(this.data, ['object', 'metadata', 'selfLink'])}`);
     }
 
-    let res = await Promise.all(Object.entries(oldChildren).map(async ([selfLink, child]) => {
+    const reconcileChild = async ([selfLink, child]) => {
       const newChild = clone(child);
       let reconcile = objectPath.get(child, ['deploy.razee.io/Reconcile'], this.reconcileDefault);
       let exists = objectPath.has(newChildren, [selfLink]);
-      if (!exists && reconcile.toLowerCase() == 'true') {
+      if (!exists && reconcile.toLowerCase() == 'true' && !this.detectDrift) {
         this.log.info(`${selfLink} no longer applied.. Reconcile ${reconcile.toLowerCase()}.. removing from cluster`);
         try {
           await this._deleteChild(selfLink);
-          let res = await this.patchSelf({
-            status: {
-              children: {
-                [selfLink]: null
+          if (!this.dryRun) {
+            let res = await this.patchSelf({
+              status: {
+                children: {
+                  [selfLink]: null
+                }
               }
-            }
-          }, { status: true });
-          objectPath.set(this.data, 'object', res);
+            }, { status: true });
+            objectPath.set(this.data, 'object', res);
+          }
         } catch (e) {
           // if fail to delete, keep as a child until next cycle to retry
           newChild.action = 'delete';
@@ -211,8 +829,11 @@ module.exports = class CompositeController extends BaseController {
           newChild.selfLink = selfLink;
           newChild.error = e.message || e;
           this.log.error(newChild);
+          await this.recordEvent('Warning', 'DeleteFailed', `Failed to delete ${selfLink}: ${logMessage(objectPath.get(e, 'body') || e)}`);
           await this.addChildren(newChild);
         }
+      } else if (!exists && (this.dryRun || this.detectDrift)) {
+        this.log.info(`${selfLink} no longer applied.. Reconcile ${reconcile.toLowerCase()}.. would be left on cluster`);
       } else if (!exists) {
         this.log.info(`${selfLink} no longer applied.. Reconcile ${reconcile.toLowerCase()}.. leaving on cluster`);
         let res = await this.patchSelf({
@@ -224,24 +845,52 @@ module.exports = class CompositeController extends BaseController {
         }, { status: true });
         objectPath.set(this.data, 'object', res);
       }
-    }));
+    };
+    let res = [];
+    // children are removed in the reverse order they were applied in, dependents before what they depend on
+    for (const wave of this._deleteWaves(oldChildren)) {
+      res = res.concat(await Promise.all(wave.map(reconcileChild)));
+    }
+    this._updateManagedChildrenMetric(Object.keys(newChildren).length);
     return res;
 
   }
 
+  _updateManagedChildrenMetric(count) {
+    const labels = { controller: objectPath.get(this.data, 'object.kind'), namespace: this.namespace, name: this.name };
+    if (count > 0) {
+      this.metrics.managedChildren.set(labels, count);
+    } else {
+      this.metrics.managedChildren.remove(labels);
+    }
+  }
+
   async _deleteChild(child) {
-    this.log.info(`Delete ${child}`);
-    let opt = { uri: child, simple: false, resolveWithFullResponse: true, method: 'DELETE' };
+    let get = await this.kubeResourceMeta.request({ uri: child, simple: false, resolveWithFullResponse: true, method: 'GET' });
+    let manager = get.statusCode === 200 ? Ownership.conflict(get.body, this.selfLink) : undefined;
+    if (manager) {
+      // handed over to (or taken by) another parent, which deletes it when it's done with it
+      this.log.info(`Not deleting ${child}, managed by ${manager}`);
+      return { statusCode: get.statusCode, body: get.body };
+    }
+    this.log.info(`Delete ${child}${this.dryRun ? ' (dry-run)' : ''}`);
+    let opt = this._writeOptions({ uri: child, simple: false, resolveWithFullResponse: true, method: 'DELETE' });
 
     let res = await this.kubeResourceMeta.request(opt);
+    this.metrics.childDeletes.inc({ controller: objectPath.get(this.data, 'object.kind'), code: res.statusCode });
     if (res.statusCode === 404) {
       this.log.debug(`Delete ${res.statusCode} ${opt.uri || opt.url}`);
       return { statusCode: res.statusCode, body: res.body };
     } else if (res.statusCode !== 200) {
       this.log.debug(`Delete ${res.statusCode} ${opt.uri || opt.url}`);
-      return Promise.reject({ statusCode: res.statusCode, body: res.body });
+      return Promise.reject(KubeApiError.fromResponse(res, child, 'Delete'));
     }
     this.log.debug(`Delete ${res.statusCode} ${opt.uri || opt.url}`);
+    if (this.dryRun) {
+      this.recordPlannedChange(child, 'delete', { statusCode: res.statusCode });
+    } else {
+      await this.recordEvent('Normal', 'ChildDeleted', `Deleted ${child}`);
+    }
     return { statusCode: res.statusCode, body: res.body };
   }
 };
@@ -0,0 +1,201 @@
+/*
+ * Copyright 2022 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const objectPath = require('object-path');
+const yaml = require('js-yaml');
+
+let defaultProvider;
+
+// Reads controller settings by key (eg. 'lock-cluster'), looking in order at:
+//   1. environment variables: envPrefix + key upper cased with non alphanumerics as '_' (eg. RAZEE_LOCK_CLUSTER)
+//   2. files in a mounted directory: dir/key (eg. ./config/lock-cluster)
+//   3. keys of a ConfigMap: configMap: { name, namespace } read through kubeClass
+// The first source that has the key wins. Directory and ConfigMap values are cached, the directory is watched
+// so changes to mounted files are picked up straight away; cacheTTL (ms) bounds how stale a value can get when
+// the directory can't be watched and for the ConfigMap.
+module.exports = class ConfigProvider {
+
+  get [Symbol.toStringTag]() {
+    return 'ConfigProvider';
+  }
+
+  constructor(options = {}) {
+    this._dir = options.dir === undefined ? './config' : options.dir;
+    this._envPrefix = options.envPrefix === undefined ? 'RAZEE_' : options.envPrefix;
+    this._env = options.env || process.env;
+    this._configMap = options.configMap;
+    this._kc = options.kubeClass;
+    this._logger = options.logger;
+    this._cacheTTL = options.cacheTTL ?? 10000;
+    this._watch = options.watch ?? true;
+
+    this._fileCache = {}; // key -> { value, time }
+    this._configMapCache = undefined; // { data, time }
+    this._watcher = undefined;
+    this._watching = false;
+  }
+
+  // shared instance reading ./config and RAZEE_ env vars, used when a controller isn't given its own provider
+  static get default() {
+    if (!defaultProvider) {
+      defaultProvider = new ConfigProvider();
+    }
+    return defaultProvider;
+  }
+
+  static set default(provider) {
+    defaultProvider = provider;
+  }
+
+  // returns the raw string value of key, or undefined when no source has it
+  async get(key) {
+    if (typeof key !== 'string' || key === '' || key.includes('/') || key.startsWith('.')) {
+      throw Error(`Invalid config key "${key}"`);
+    }
+    if (this._envPrefix !== false) {
+      const envValue = this._env[this.envName(key)];
+      if (envValue !== undefined) {
+        return envValue;
+      }
+    }
+    const fileValue = await this._getFile(key);
+    if (fileValue !== undefined) {
+      return fileValue;
+    }
+    return await this._getConfigMap(key);
+  }
+
+  envName(key) {
+    return `${this._envPrefix || ''}${key.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+  }
+
+  async getString(key, defaultValue) {
+    const value = await this.get(key);
+    return value === undefined ? defaultValue : value.trim();
+  }
+
+  async getBoolean(key, defaultValue = false) {
+    const value = await this.get(key);
+    if (value === undefined || value.trim() === '') {
+      return defaultValue;
+    }
+    return value.trim().toLowerCase() === 'true';
+  }
+
+  async getNumber(key, defaultValue) {
+    const value = await this.get(key);
+    const number = (value === undefined || value.trim() === '') ? NaN : Number(value);
+    return isNaN(number) ? defaultValue : number;
+  }
+
+  // parses the value as yaml (or json), parse errors are thrown so callers can decide how to fail
+  async getYaml(key, defaultValue) {
+    const value = await this.get(key);
+    if (value === undefined || value.trim() === '') {
+      return defaultValue;
+    }
+    try {
+      return yaml.load(value);
+    } catch (e) {
+      throw Error(`Unable to parse config ${key}: ${e.message}`);
+    }
+  }
+
+  // drops cached values so the next read goes back to the source
+  invalidate() {
+    this._fileCache = {};
+    this._configMapCache = undefined;
+  }
+
+  close() {
+    if (this._watcher) {
+      this._watcher.close();
+    }
+    this._watcher = undefined;
+    this._watching = false;
+    this.invalidate();
+  }
+
+  _fresh(entry) {
+    return entry && (this._watching || Date.now() - entry.time < this._cacheTTL);
+  }
+
+  async _getFile(key) {
+    if (!this._dir) {
+      return;
+    }
+    this._startWatch();
+    const cached = this._fileCache[key];
+    if (this._fresh(cached)) {
+      return cached.value;
+    }
+    let value;
+    try {
+      value = await fs.readFile(path.join(this._dir, key), 'utf8');
+    } catch (e) {
+      if (e.code !== 'ENOENT' && e.code !== 'ENOTDIR') {
+        throw e;
+      }
+    }
+    this._fileCache[key] = { value: value, time: Date.now() };
+    return value;
+  }
+
+  _startWatch() {
+    if (!this._watch || this._watching || this._watcher === null) {
+      return;
+    }
+    try {
+      // mounted ConfigMaps/Secrets are updated by swapping a ..data symlink, which shows up as a rename on the dir
+      this._watcher = fs.watch(this._dir, { persistent: false }, () => this.invalidate());
+      this._watcher.on('error', (e) => {
+        this._logger?.debug(`Stopped watching ${this._dir}: ${e.message}`);
+        this.close();
+        this._watcher = null;
+      });
+      this._watching = true;
+    } catch (e) {
+      // dir doesn't exist (yet), fall back to cacheTTL
+      this._watcher = null;
+    }
+  }
+
+  async _getConfigMap(key) {
+    if (!this._configMap || !this._kc) {
+      return;
+    }
+    if (!this._configMapCache || Date.now() - this._configMapCache.time >= this._cacheTTL) {
+      let data = {};
+      try {
+        const krm = await this._kc.getKubeResourceMeta('v1', 'ConfigMap', 'get');
+        const res = await krm.get(this._configMap.name, this._configMap.namespace, { simple: false, resolveWithFullResponse: true });
+        if (res.statusCode === 200) {
+          data = objectPath.get(res, 'body.data', {});
+        } else if (res.statusCode !== 404) {
+          throw Error(`${res.statusCode} ${objectPath.get(res, 'body.message', '')}`);
+        }
+      } catch (e) {
+        this._logger?.warn(`Unable to read config ConfigMap ${this._configMap.namespace}/${this._configMap.name}: ${e.message}`);
+        // keep serving the last known values until the api is reachable again
+        data = objectPath.get(this._configMapCache || {}, 'data', {});
+      }
+      this._configMapCache = { data: data, time: Date.now() };
+    }
+    return this._configMapCache.data[key];
+  }
+};
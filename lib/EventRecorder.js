@@ -0,0 +1,127 @@
+/*
+ * Copyright 2022 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const objectPath = require('object-path');
+const hash = require('object-hash');
+const { KubeApiError } = require('./errors');
+
+const MAX_MESSAGE_LENGTH = 1024;
+const MAX_CACHED_EVENTS = 1024;
+
+module.exports = class EventRecorder {
+
+  get [Symbol.toStringTag]() {
+    return 'EventRecorder';
+  }
+
+  constructor(params = {}) {
+    if (!params.kubeClass) {
+      throw Error('EventRecorder must have: kubeClass');
+    }
+    this._kc = params.kubeClass;
+    this._logger = params.logger;
+    this._component = params.component || 'razeedeploy';
+    this._host = params.host || process.env.HOSTNAME;
+    this._counts = new Map(); // namespace/name -> count of the events this recorder wrote, oldest first
+  }
+
+  // Creates a core/v1 Event on involvedObject. Identical events (same object, type, reason and message)
+  // share one Event whose count and lastTimestamp are bumped, the same way kubelet aggregates its events.
+  // The count of an event this recorder wrote is kept, so recording it again is a single patch.
+  // Events are best effort, failures are logged and never thrown.
+  async record(involvedObject, type, reason, message) {
+    try {
+      return await this._record(involvedObject, type, reason, message);
+    } catch (e) {
+      this._logger?.debug(`Failed to record event ${reason}: ${e.message || JSON.stringify(e)}`);
+    }
+  }
+
+  async _record(involvedObject, type, reason, message) {
+    const krm = await this._kc.getKubeResourceMeta('v1', 'Event', 'update');
+    if (!krm) {
+      return;
+    }
+    const ref = {
+      apiVersion: objectPath.get(involvedObject, 'apiVersion'),
+      kind: objectPath.get(involvedObject, 'kind'),
+      name: objectPath.get(involvedObject, 'metadata.name'),
+      namespace: objectPath.get(involvedObject, 'metadata.namespace'),
+      uid: objectPath.get(involvedObject, 'metadata.uid'),
+      resourceVersion: objectPath.get(involvedObject, 'metadata.resourceVersion')
+    };
+    message = String(message || '');
+    if (message.length > MAX_MESSAGE_LENGTH) {
+      message = `${message.slice(0, MAX_MESSAGE_LENGTH - 3)}...`;
+    }
+    const namespace = ref.namespace || 'default';
+    const name = `${ref.name}.${hash({ uid: ref.uid, kind: ref.kind, name: ref.name, type: type, reason: reason, message: message }).slice(0, 16)}`;
+    const now = new Date().toISOString();
+    // events are written as the controller, never as the impersonated user
+    const opt = { simple: false, resolveWithFullResponse: true, headers: { 'Impersonate-User': undefined, 'Impersonate-Group': undefined } };
+
+    const eventRef = { apiVersion: 'v1', kind: 'Event', name: name, namespace: namespace };
+    const key = `${namespace}/${name}`;
+    let count = this._counts.get(key);
+    if (count === undefined) {
+      const get = await krm.get(name, namespace, opt);
+      if (get.statusCode === 200) {
+        count = objectPath.get(get, 'body.count', 1);
+      } else if (get.statusCode !== 404) {
+        return Promise.reject(KubeApiError.fromResponse(get, eventRef, 'Get'));
+      }
+    }
+    if (count !== undefined) {
+      const res = await krm.mergePatch(name, namespace, { count: count + 1, lastTimestamp: now, involvedObject: { resourceVersion: ref.resourceVersion } }, opt);
+      if (res.statusCode === 200) {
+        this._remember(key, count + 1);
+        return { statusCode: res.statusCode, body: res.body };
+      } else if (res.statusCode !== 404) {
+        return Promise.reject(KubeApiError.fromResponse(res, eventRef, 'Patch'));
+      }
+      // the event expired since, it is created again
+    }
+
+    const event = {
+      apiVersion: 'v1',
+      kind: 'Event',
+      metadata: { name: name, namespace: namespace },
+      involvedObject: ref,
+      type: type,
+      reason: reason,
+      message: message,
+      count: 1,
+      firstTimestamp: now,
+      lastTimestamp: now,
+      source: { component: this._component, host: this._host },
+      reportingComponent: this._component,
+      reportingInstance: this._host || ''
+    };
+    const res = await krm.post(event, opt);
+    if (res.statusCode === 201) {
+      this._remember(key, 1);
+    }
+    return { statusCode: res.statusCode, body: res.body };
+  }
+
+  _remember(key, count) {
+    this._counts.delete(key);
+    this._counts.set(key, count);
+    if (this._counts.size > MAX_CACHED_EVENTS) {
+      this._counts.delete(this._counts.keys().next().value);
+    }
+  }
+};
@@ -16,6 +16,9 @@
 
 const merge = require('deepmerge');
 const log = require('./bunyan-api').createLogger('fetchEnvs');
+const metrics = require('./metrics');
+const { EnvResolutionError, ValidationError } = require('./errors');
+const tracing = require('./tracing');
 
 const STRING = 'string';
 const OBJECT = 'object';
@@ -41,10 +44,14 @@ module.exports = class FetchEnvs {
     this.namespace = this.data?.object?.metadata?.namespace;
     this.kubeResourceMeta = controllerObject.kubeResourceMeta;
     this.kubeClass = controllerObject.kubeClass;
+    this.metrics = controllerObject.metrics || metrics.coreMetrics(metrics.registry);
     this.api = this.kubeResourceMeta.request.bind(this.kubeResourceMeta);
     this.updateRazeeLogs = controllerObject.updateRazeeLogs ?
       ((logLevel, log) => { controllerObject.updateRazeeLogs(logLevel, log); }) :
       (() => { log.debug('\'updateRazeeLogs()\' not passed to fetchEnvs. will not update razeeLogs on failure to fetch envs'); });
+    this.trace = controllerObject.trace ?
+      ((name, fn, attributes) => controllerObject.trace(name, fn, attributes)) :
+      ((name, fn, attributes) => tracing.withSpan(undefined, name, attributes, fn));
   }
 
   #secretMapRef(conf) {
@@ -89,8 +96,9 @@ module.exports = class FetchEnvs {
     const data = resource?.data;
 
     if (!data) {
+      this.metrics.fetchEnvsFailures.inc({ kind: kind, optional: optional });
       const msg = `failed to get envFrom: ${JSON.stringify(conf)}. ${kubeError}`;
-      if (!optional) throw new Error(msg);
+      if (!optional) throw new EnvResolutionError(msg, { resource: { apiVersion, kind, namespace, name } });
       log.warn(msg);
       this.updateRazeeLogs('warn', { controller: 'FetchEnvs', message: msg });
       return { ...conf, data };
@@ -155,9 +163,10 @@ module.exports = class FetchEnvs {
     }
 
     if (value === undefined) {
+      this.metrics.fetchEnvsFailures.inc({ kind: kind, optional: optional });
       if (defaultValue === undefined) {
         const msg = `failed to get env: ${JSON.stringify(conf)}. ${kubeError}`;
-        if (!optional) throw new Error(msg);
+        if (!optional) throw new EnvResolutionError(msg, { resource: { apiVersion, kind, namespace, name } });
         log.warn(msg);
         this.updateRazeeLogs('warn', { controller: 'FetchEnvs', message: msg });
       } else {
@@ -183,12 +192,20 @@ module.exports = class FetchEnvs {
       const { configMapRef, secretMapRef, genericMapRef } = element;
 
       if (!configMapRef && !secretMapRef && !genericMapRef) {
-        throw new Error(`oneOf configMapRef, secretMapRef, genericMapRef must be defined. Got: ${JSON.stringify(element)}`);
+        throw new ValidationError(`oneOf configMapRef, secretMapRef, genericMapRef must be defined. Got: ${JSON.stringify(element)}`);
       }
 
-      if (configMapRef) return this.#configMapRef(element);
-      if (secretMapRef) return this.#secretMapRef(element);
-      return this.#genericMapRef(element);
+      const refType = configMapRef ? 'configMapRef' : secretMapRef ? 'secretMapRef' : 'genericMapRef';
+      const ref = element[refType];
+      return this.trace('fetchEnvs.envFrom', () => {
+        if (configMapRef) return this.#configMapRef(element);
+        if (secretMapRef) return this.#secretMapRef(element);
+        return this.#genericMapRef(element);
+      }, {
+        'razee.ref.kind': ref.kind || KIND_MAP.get(refType),
+        'razee.ref.namespace': ref.namespace || this.namespace,
+        'razee.ref.name': ref.name
+      });
     }));
   }
 
@@ -199,13 +216,24 @@ module.exports = class FetchEnvs {
       const { genericKeyRef, configMapKeyRef, secretKeyRef } = valueFrom;
 
       if (!genericKeyRef && !configMapKeyRef && !secretKeyRef) {
-        throw new Error(`oneOf genericKeyRef, configMapKeyRef, secretKeyRef must be defined. Got: ${JSON.stringify(env)}`);
+        throw new ValidationError(`oneOf genericKeyRef, configMapKeyRef, secretKeyRef must be defined. Got: ${JSON.stringify(env)}`);
       }
 
-      let value;
-      if (secretKeyRef) value = await this.#secretKeyRef(env);
-      if (configMapKeyRef) value = await this.#configMapKeyRef(env);
-      if (genericKeyRef) value = await this.#genericKeyRef(env);
+      const refType = genericKeyRef ? 'genericKeyRef' : configMapKeyRef ? 'configMapKeyRef' : 'secretKeyRef';
+      const ref = valueFrom[refType];
+      const value = await this.trace('fetchEnvs.env', async () => {
+        let result;
+        if (secretKeyRef) result = await this.#secretKeyRef(env);
+        if (configMapKeyRef) result = await this.#configMapKeyRef(env);
+        if (genericKeyRef) result = await this.#genericKeyRef(env);
+        return result;
+      }, {
+        'razee.env.name': env.name,
+        'razee.ref.kind': ref.kind || KIND_MAP.get(refType),
+        'razee.ref.namespace': ref.namespace || this.namespace,
+        'razee.ref.name': ref.name,
+        'razee.ref.key': ref.key
+      });
 
       return { ...env, value };
     }));
@@ -292,7 +320,7 @@ function typeCast(name, value, type) {
         try {
           return JSON.parse(value);
         } catch (error) {
-          throw new Error(`JSON invalid in ref ${name}: ${value}. Parse error: (${error})`);
+          throw new ValidationError(`JSON invalid in ref ${name}: ${value}. Parse error: (${error})`);
         }
       }
       return {};
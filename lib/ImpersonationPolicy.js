@@ -0,0 +1,117 @@
+/*
+ * Copyright 2022 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Resolves spec.clusterAuth into the identity a parent impersonates, and checks it against the operator's
+// impersonation policy (config key impersonation-policy). The policy maps parent namespaces to the identities
+// parents in that namespace may impersonate, '*' matches any run of characters:
+//   team-a:
+//     users: [ team-a-deployer ]
+//     groups: [ team-a, team-a-* ]
+//     serviceAccounts: [ team-a/* ]        # <namespace>/<name>
+//   '*':
+//     serviceAccounts: [ shared/deployer ]
+// Entries of every namespace key matching the parent's namespace are combined. Without a policy every identity is
+// allowed, as before policies existed. That is deprecated: set a policy, or allow-all to keep allowing everyone
+// (enable-impersonation still decides whether impersonation happens at all).
+
+const objectPath = require('object-path');
+const { ValidationError } = require('./errors');
+
+const CONTROLLER_USER = 'razeedeploy';
+const ALLOW_ALL = 'allow-all';
+
+function globMatch(pattern, value) {
+  const regex = String(pattern).split('*').map(s => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${regex}$`).test(String(value));
+}
+
+// returns { user, groups, serviceAccount } or throws when clusterAuth is inconsistent.
+// user is 'razeedeploy' when the controller should act as itself.
+function resolveIdentity(clusterAuth = {}, parentNamespace) {
+  const user = clusterAuth.impersonateUser;
+  const groups = clusterAuth.impersonateGroups ?? [];
+  const sa = clusterAuth.impersonateServiceAccount;
+  if (!Array.isArray(groups) || groups.some(g => typeof g !== 'string' || g === '')) {
+    throw new ValidationError('spec.clusterAuth.impersonateGroups must be a list of group names', { code: 'InvalidClusterAuth' });
+  }
+
+  if (sa) {
+    const name = typeof sa === 'string' ? sa : sa.name;
+    const namespace = (typeof sa === 'string' ? undefined : sa.namespace) || parentNamespace;
+    if (!name || typeof name !== 'string') {
+      throw new ValidationError('spec.clusterAuth.impersonateServiceAccount must be a name or { name, namespace }', { code: 'InvalidClusterAuth' });
+    }
+    if (user && user !== CONTROLLER_USER) {
+      throw new ValidationError('spec.clusterAuth.impersonateUser and impersonateServiceAccount can not both be set', { code: 'InvalidClusterAuth' });
+    }
+    return {
+      user: `system:serviceaccount:${namespace}:${name}`,
+      // the groups kube itself gives every service account, so RBAC bound to them still applies
+      groups: ['system:serviceaccounts', `system:serviceaccounts:${namespace}`, ...groups],
+      serviceAccount: `${namespace}/${name}`,
+      explicitGroups: groups
+    };
+  }
+
+  if (groups.length > 0 && (!user || user === CONTROLLER_USER)) {
+    throw new ValidationError('spec.clusterAuth.impersonateGroups requires impersonateUser or impersonateServiceAccount', { code: 'InvalidClusterAuth' });
+  }
+  return { user: user || CONTROLLER_USER, groups: groups, explicitGroups: groups };
+}
+
+// whether the operator set an impersonation-policy at all
+function configured(policy) {
+  return policy !== undefined && policy !== null && policy !== '';
+}
+
+// returns undefined when identity is allowed for a parent in namespace, or the reason it was denied
+function check(policy, namespace, identity) {
+  if (!configured(policy) || (typeof policy === 'string' && policy.trim() === ALLOW_ALL)) {
+    return;
+  }
+  if (typeof policy !== 'object' || Array.isArray(policy)) {
+    return `impersonation-policy must map namespaces to allowed users, groups and serviceAccounts, or be ${ALLOW_ALL}`;
+  }
+  const allowed = { users: [], groups: [], serviceAccounts: [] };
+  Object.entries(policy).forEach(([nsPattern, entry]) => {
+    if (globMatch(nsPattern, namespace)) {
+      Object.keys(allowed).forEach(key => {
+        allowed[key] = allowed[key].concat(objectPath.get(entry || {}, key, []));
+      });
+    }
+  });
+
+  if (identity.serviceAccount) {
+    if (!allowed.serviceAccounts.some(p => globMatch(p, identity.serviceAccount))) {
+      return `service account ${identity.serviceAccount} is not allowed for parents in namespace ${namespace}`;
+    }
+  } else if (!allowed.users.some(p => globMatch(p, identity.user))) {
+    return `user ${identity.user} is not allowed for parents in namespace ${namespace}`;
+  }
+  const deniedGroups = identity.explicitGroups.filter(g => !allowed.groups.some(p => globMatch(p, g)));
+  if (deniedGroups.length > 0) {
+    return `groups ${deniedGroups.join(', ')} are not allowed for parents in namespace ${namespace}`;
+  }
+}
+
+module.exports = {
+  CONTROLLER_USER,
+  ALLOW_ALL,
+  resolveIdentity,
+  configured,
+  check,
+  globMatch
+};
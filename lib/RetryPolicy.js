@@ -0,0 +1,76 @@
+/*
+ * Copyright 2022 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const objectPath = require('object-path');
+
+module.exports = class RetryPolicy {
+
+  get [Symbol.toStringTag]() {
+    return 'RetryPolicy';
+  }
+
+  // maxAttempts: total attempts including the first one, 1 disables retries
+  // baseDelay/maxDelay: milliseconds, delay doubles every attempt and is capped at maxDelay
+  // jitter: 0..1, fraction of the delay that is randomized to keep busy controllers from retrying in lockstep
+  constructor(options = {}) {
+    this.maxAttempts = Math.max(1, options.maxAttempts ?? 3);
+    this.baseDelay = options.baseDelay ?? 200;
+    this.maxDelay = options.maxDelay ?? 5000;
+    this.jitter = Math.min(1, Math.max(0, options.jitter ?? 0.5));
+    this.retryableStatusCodes = options.retryableStatusCodes || [409, 429];
+  }
+
+  isRetryable(err) {
+    const statusCode = objectPath.get(err || {}, 'statusCode');
+    if (statusCode === undefined && typeof objectPath.get(err || {}, 'retryable') === 'boolean') {
+      // errors without a status code (eg. network or validation errors) say for themselves, see ./errors
+      return err.retryable;
+    }
+    return this.retryableStatusCodes.includes(statusCode) || (statusCode >= 500 && statusCode < 600);
+  }
+
+  delay(attempt, err) {
+    // honor the server when it tells us how long to back off for (429/503). KubeApiErrors and simple: false
+    // responses carry the headers themselves, request-promise errors on their response
+    const retryAfter = Number(objectPath.get(err || {}, ['headers', 'retry-after']) ?? objectPath.get(err || {}, ['response', 'headers', 'retry-after']));
+    if (retryAfter > 0) {
+      return Math.min(this.maxDelay, retryAfter * 1000);
+    }
+    const backoff = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempt - 1));
+    return Math.round(backoff * (1 - this.jitter) + backoff * this.jitter * Math.random());
+  }
+
+  // fn is called with the attempt number (starting at 1), so it can re-read live state before trying again.
+  // options.shouldRetry(err, attempt) can narrow or widen which errors are retried.
+  // options.onRetry(err, attempt, delay) is called before waiting for the next attempt.
+  async run(fn, options = {}) {
+    const shouldRetry = options.shouldRetry || ((err) => this.isRetryable(err));
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await fn(attempt);
+      } catch (e) {
+        if (attempt >= this.maxAttempts || !shouldRetry(e, attempt)) {
+          throw e;
+        }
+        const delay = this.delay(attempt, e);
+        if (options.onRetry) {
+          options.onRetry(e, attempt, delay);
+        }
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+};
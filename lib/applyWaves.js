@@ -0,0 +1,123 @@
+/*
+ * Copyright 2022 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Children are applied in waves, each wave is done before the next one starts. A child's place is
+//   [deploy.razee.io/apply-wave annotation (integer, default 0), tier of its kind]
+// so an explicit wave always wins and within a wave kinds go in the order of KIND_TIERS. Deletes go in reverse.
+
+const objectPath = require('object-path');
+
+const { ValidationError } = require('./errors');
+
+const ANNOTATION = 'deploy.razee.io/apply-wave';
+
+// the kinds other kinds usually depend on, from first to last. Kinds not listed (workloads, services, custom
+// resources..) are applied after these, webhooks and api services last as they can block requests until their
+// backend runs.
+const KIND_TIERS = [
+  ['Namespace'],
+  ['CustomResourceDefinition', 'PriorityClass', 'StorageClass'],
+  ['ServiceAccount', 'ClusterRole', 'ClusterRoleBinding', 'Role', 'RoleBinding', 'PodSecurityPolicy', 'NetworkPolicy', 'ResourceQuota', 'LimitRange'],
+  ['ConfigMap', 'Secret', 'PersistentVolume', 'PersistentVolumeClaim'],
+  [],
+  ['APIService', 'MutatingWebhookConfiguration', 'ValidatingWebhookConfiguration']
+];
+const DEFAULT_TIER = 4;
+
+const tiers = {};
+const pluralTiers = {};
+KIND_TIERS.forEach((kinds, tier) => kinds.forEach(kind => {
+  tiers[kind.toLowerCase()] = tier;
+  pluralTiers[pluralize(kind)] = tier;
+}));
+
+// the resource name of a built-in kind, eg. NetworkPolicy -> networkpolicies (custom resources name their own plural)
+function pluralize(kind) {
+  const lower = kind.toLowerCase();
+  if (/[^aeiou]y$/.test(lower)) return `${lower.slice(0, -1)}ies`;
+  if (/(s|x|z|ch|sh)$/.test(lower)) return `${lower}es`;
+  return `${lower}s`;
+}
+
+function kindTier(kind) {
+  return tiers[String(kind || '').toLowerCase()] ?? DEFAULT_TIER;
+}
+
+// the tier of the child a status.children selfLink points to, eg. /api/v1/namespaces/ns/configmaps/name
+function selfLinkTier(selfLink) {
+  const segments = String(selfLink || '').split('?')[0].split('/').filter(s => s);
+  return pluralTiers[segments[segments.length - 2]] ?? DEFAULT_TIER;
+}
+
+// the explicit wave of a child, undefined when it has none
+function wave(child) {
+  const value = objectPath.get(child, ['metadata', 'annotations', ANNOTATION]);
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  if (!/^[-+]?\d+$/.test(String(value).trim())) {
+    const resource = `${objectPath.get(child, 'kind')}/${objectPath.get(child, 'metadata.name')}`;
+    throw new ValidationError(`Invalid ${ANNOTATION} "${value}" on ${resource}, must be an integer`, { code: 'InvalidApplyWave', resource: resource });
+  }
+  return parseInt(value, 10);
+}
+
+function order(child) {
+  let childWave;
+  try {
+    childWave = wave(child);
+  } catch (e) {
+    childWave = undefined; // applying the child fails on it
+  }
+  return [childWave ?? 0, kindTier(objectPath.get(child, 'kind'))];
+}
+
+// the order of a child from its status.children entry, which keeps the wave it was applied in
+function statusOrder(selfLink, entry) {
+  const stored = parseInt(objectPath.get(entry, [ANNOTATION]), 10);
+  return [Number.isNaN(stored) ? 0 : stored, selfLinkTier(selfLink)];
+}
+
+function compare(a, b) {
+  return a[0] - b[0] || a[1] - b[1];
+}
+
+// returns items split in waves, first to apply first. Items of a wave keep their order.
+function group(items, orderOf = order) {
+  const waves = [];
+  items.forEach(item => {
+    const itemOrder = orderOf(item);
+    const existing = waves.find(w => compare(w.order, itemOrder) === 0);
+    if (existing) {
+      existing.items.push(item);
+    } else {
+      waves.push({ order: itemOrder, items: [item] });
+    }
+  });
+  return waves.sort((a, b) => compare(a.order, b.order)).map(w => w.items);
+}
+
+module.exports = {
+  ANNOTATION,
+  KIND_TIERS,
+  pluralize,
+  kindTier,
+  selfLinkTier,
+  wave,
+  order,
+  statusOrder,
+  group
+};
@@ -0,0 +1,92 @@
+/*
+ * Copyright 2022 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Helpers for kubernetes style status.conditions
+// https://github.com/kubernetes/community/blob/master/contributors/devel/sig-architecture/api-conventions.md#typical-status-properties
+
+const MAX_MESSAGE_LENGTH = 1024;
+
+function findCondition(conditions, type) {
+  if (!Array.isArray(conditions)) return;
+  return conditions.find(c => c && c.type === type);
+}
+
+function setCondition(conditions, condition, now = new Date()) {
+  // returns a new conditions array with condition added or updated.
+  // lastTransitionTime only moves when the status of the condition actually changes.
+  conditions = Array.isArray(conditions) ? conditions : [];
+  const existing = findCondition(conditions, condition.type);
+  const status = normalizeStatus(condition.status);
+  const updated = {
+    type: condition.type,
+    status: status,
+    reason: condition.reason || '',
+    message: truncate(condition.message || ''),
+    lastTransitionTime: (existing && existing.status === status && existing.lastTransitionTime) ? existing.lastTransitionTime : now.toISOString()
+  };
+  if (condition.observedGeneration !== undefined) {
+    updated.observedGeneration = condition.observedGeneration;
+  }
+
+  const result = conditions.filter(c => c && c.type !== condition.type);
+  const index = conditions.indexOf(existing);
+  if (index > -1) {
+    result.splice(index, 0, updated);
+  } else {
+    result.push(updated);
+  }
+  return result;
+}
+
+function isConditionTrue(conditions, type) {
+  const condition = findCondition(conditions, type);
+  return !!condition && condition.status === 'True';
+}
+
+function logMessage(log) {
+  // razee-logs entries can be strings or objects, pick out something human readable
+  if (log === undefined || log === null) return '';
+  if (typeof log !== 'object') return String(log);
+  if (log.message) return String(log.message);
+  if (log.error) return String(log.error);
+  if (log.warn) return String(log.warn);
+  try {
+    return JSON.stringify(log);
+  } catch (e) {
+    return String(log);
+  }
+}
+
+function normalizeStatus(status) {
+  if (status === true) return 'True';
+  if (status === false) return 'False';
+  const str = String(status).toLowerCase();
+  if (str === 'true') return 'True';
+  if (str === 'false') return 'False';
+  return 'Unknown';
+}
+
+function truncate(message) {
+  message = String(message);
+  return message.length > MAX_MESSAGE_LENGTH ? `${message.slice(0, MAX_MESSAGE_LENGTH - 3)}...` : message;
+}
+
+module.exports = {
+  findCondition,
+  setCondition,
+  isConditionTrue,
+  logMessage
+};
@@ -0,0 +1,197 @@
+/*
+ * Copyright 2022 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Field level diff between a live resource and the configuration that would be applied to it.
+// Only fields of the desired configuration are compared, so fields defaulted by the api server don't show up.
+// Fields that were applied last time (deploy.razee.io/last-applied-configuration) but are no longer desired are
+// reported as removed, the same fields reconcileFields would null. Lists are compared as a whole, the way a merge
+// patch replaces them.
+// drift() is the read-only reverse: which applied fields were changed on the live resource since, eg. by kubectl edit.
+// The values of a Secret's data and stringData are redacted, the diff only tells which keys changed.
+
+const objectPath = require('object-path');
+const { mergeKey, mergeKeyRules } = require('./listMap');
+
+const MAX_SUMMARY_LINES = 100;
+
+// razee bookkeeping, never part of the diff
+const IGNORED_ANNOTATIONS = [
+  'deploy.razee.io/last-applied-configuration',
+  'deploy.razee.io/pending-configuration',
+  'deploy.razee.io/pending-configuration-diff'
+];
+
+const REDACTED = '<redacted>';
+const SECRET_FIELDS = ['data', 'stringData'];
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((v, i) => isEqual(v, b[i]));
+  }
+  if (isObject(a) && isObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(k => Object.prototype.hasOwnProperty.call(b, k) && isEqual(a[k], b[k]));
+  }
+  return false;
+}
+
+function formatPath(path) {
+  // list elements are numbers (index) or { key, value } (list-map element)
+  return path.map((segment, i) => {
+    if (typeof segment === 'number') return `[${segment}]`;
+    if (typeof segment === 'object') return `[${segment.key}=${JSON.stringify(segment.value)}]`;
+    return /^[A-Za-z_$][\w$-]*$/.test(segment) ? `${i > 0 ? '.' : ''}${segment}` : `[${JSON.stringify(segment)}]`;
+  }).join('');
+}
+
+function ignored(path) {
+  return path.length === 3 && path[0] === 'metadata' && path[1] === 'annotations' && IGNORED_ANNOTATIONS.includes(path[2]);
+}
+
+function has(object, key) {
+  return isObject(object) && Object.prototype.hasOwnProperty.call(object, key);
+}
+
+// returns mask(path, value), the value to report for a field of resource
+function masker(resource) {
+  const secret = objectPath.get(resource, 'kind') === 'Secret' && String(objectPath.get(resource, 'apiVersion')) === 'v1';
+  return (path, value) => secret && value !== undefined && value !== null && SECRET_FIELDS.includes(path[0]) ? REDACTED : value;
+}
+
+function compare(live, desired, lastApplied, path, result, mask) {
+  Object.keys(desired).forEach(key => {
+    const keyPath = path.concat(key);
+    if (ignored(keyPath)) return;
+    const desiredValue = desired[key];
+    const liveValue = has(live, key) ? live[key] : undefined;
+    if (desiredValue === null) {
+      // null deletes the field in a merge patch
+      if (liveValue !== undefined && liveValue !== null) {
+        result.removed.push({ path: formatPath(keyPath), value: mask(keyPath, liveValue) });
+      }
+    } else if (liveValue === undefined || liveValue === null) {
+      result.added.push({ path: formatPath(keyPath), value: mask(keyPath, desiredValue) });
+    } else if (isObject(desiredValue) && isObject(liveValue)) {
+      compare(liveValue, desiredValue, has(lastApplied, key) ? lastApplied[key] : undefined, keyPath, result, mask);
+    } else if (!isEqual(liveValue, desiredValue)) {
+      result.changed.push({ path: formatPath(keyPath), from: mask(keyPath, liveValue), to: mask(keyPath, desiredValue) });
+    }
+  });
+  if (isObject(lastApplied)) {
+    Object.keys(lastApplied).forEach(key => {
+      const keyPath = path.concat(key);
+      if (has(desired, key) || ignored(keyPath) || !has(live, key) || live[key] === null) return;
+      result.removed.push({ path: formatPath(keyPath), value: mask(keyPath, live[key]) });
+    });
+  }
+  return result;
+}
+
+// returns { added: [{ path, value }], changed: [{ path, from, to }], removed: [{ path, value }] }
+function diff(live, desired, lastApplied) {
+  const mask = masker(isObject(desired) && desired.kind ? desired : live);
+  return compare(isObject(live) ? live : {}, isObject(desired) ? desired : {}, lastApplied, [], { added: [], changed: [], removed: [] }, mask);
+}
+
+function driftCompare(live, expected, path, options, result) {
+  if (ignored(path) || expected === null || expected === undefined) {
+    return result;
+  }
+  if (isObject(expected)) {
+    if (live !== undefined && live !== null && !isObject(live)) {
+      result.push({ path: formatPath(path), expected: options.mask(path, expected), actual: options.mask(path, live) });
+    } else {
+      // a missing object is reported field by field
+      Object.keys(expected).forEach(key => driftCompare(has(live, key) ? live[key] : undefined, expected[key], path.concat(key), options, result));
+    }
+  } else if (Array.isArray(expected)) {
+    const key = mergeKey(path.map(segment => typeof segment === 'string' ? segment : '*'), options.kind, options.rules);
+    if (!Array.isArray(live)) {
+      result.push({ path: formatPath(path), expected: options.mask(path, expected), actual: options.mask(path, live) });
+    } else if (key && expected.every(element => has(element, key))) {
+      // list-map: elements are matched by merge key, elements added by others are not drift
+      expected.forEach(element => {
+        const liveElement = live.find(l => has(l, key) && isEqual(l[key], element[key]));
+        driftCompare(liveElement, element, path.concat({ key: key, value: element[key] }), options, result);
+      });
+    } else if (live.length !== expected.length) {
+      result.push({ path: formatPath(path), expected: options.mask(path, expected), actual: options.mask(path, live) });
+    } else {
+      expected.forEach((element, i) => driftCompare(live[i], element, path.concat(i), options, result));
+    }
+  } else if (!isEqual(live, expected)) {
+    result.push({ path: formatPath(path), expected: options.mask(path, expected), actual: options.mask(path, live) });
+  }
+  return result;
+}
+
+// returns the fields of lastApplied whose live value differs, [{ path, expected, actual }]. Only applied fields are
+// compared, so fields defaulted by the api server or added by others (eg. injected containers) are not drift. Lists
+// are matched by the same merge keys reconcileFields uses, including the child's deploy.razee.io/list-merge-keys.
+function drift(live, lastApplied) {
+  const options = {
+    kind: objectPath.get(lastApplied, 'kind'),
+    rules: mergeKeyRules(lastApplied),
+    mask: masker(objectPath.get(lastApplied, 'kind') ? lastApplied : live)
+  };
+  return driftCompare(live, lastApplied, [], options, []);
+}
+
+// one drifted field per line, eg. "~ spec.replicas: expected 3, found 5"
+function driftSummary(fields, maxLines = MAX_SUMMARY_LINES) {
+  const lines = fields.map(f => `~ ${f.path}: expected ${formatValue(f.expected)}, found ${f.actual === undefined ? 'nothing' : formatValue(f.actual)}`);
+  if (lines.length > maxLines) {
+    const more = lines.length - maxLines;
+    lines.splice(maxLines, more, `... and ${more} more`);
+  }
+  return lines.join('\n');
+}
+
+function formatValue(value) {
+  if (value === REDACTED) return REDACTED;
+  const str = JSON.stringify(value);
+  return str.length > 80 ? `${str.slice(0, 77)}...` : str;
+}
+
+// readable one change per line summary, eg.
+//   + spec.paused: true
+//   ~ spec.replicas: 1 -> 3
+//   - metadata.labels.tier: "dev"
+function summary(result, maxLines = MAX_SUMMARY_LINES) {
+  const lines = [].concat(
+    result.added.map(c => `+ ${c.path}: ${formatValue(c.value)}`),
+    result.changed.map(c => `~ ${c.path}: ${formatValue(c.from)} -> ${formatValue(c.to)}`),
+    result.removed.map(c => `- ${c.path}: ${formatValue(c.value)}`)
+  );
+  if (lines.length > maxLines) {
+    const more = lines.length - maxLines;
+    lines.splice(maxLines, more, `... and ${more} more`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  diff,
+  summary,
+  drift,
+  driftSummary,
+  isEqual
+};
@@ -0,0 +1,115 @@
+/*
+ * Copyright 2022 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const objectPath = require('object-path');
+
+function retryableStatus(statusCode) {
+  return statusCode === 409 || statusCode === 429 || (statusCode >= 500 && statusCode < 600);
+}
+
+// Base of the errors thrown by the core.
+//   code: short machine readable reason, eg. NotFound, Conflict, Forbidden
+//   retryable: whether trying again later can succeed, honoured by RetryPolicy
+//   resource: the resource (uri, or { apiVersion, kind, name, namespace }) the error is about
+//   statusCode: http status code, when the error came from an http response
+//   details: more about the failure, eg. { selfLink, action } of a child that failed to delete
+class RazeeError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = options.code || 'Error';
+    this.retryable = options.retryable ?? false;
+    if (options.resource !== undefined) this.resource = options.resource;
+    if (options.statusCode !== undefined) this.statusCode = options.statusCode;
+    if (options.cause !== undefined) this.cause = options.cause;
+    if (options.details !== undefined) this.details = options.details;
+  }
+
+  // what is written to razee-logs and logged by errorHandler
+  toJSON() {
+    const json = { name: this.name, code: this.code, message: this.message, retryable: this.retryable };
+    if (this.statusCode !== undefined) json.statusCode = this.statusCode;
+    if (this.resource !== undefined) json.resource = this.resource;
+    if (this.details !== undefined) json.details = this.details;
+    return json;
+  }
+}
+
+// A failed kubernetes api request. options.message replaces the generated message. Keeps statusCode and the Status body like the { statusCode, body } objects it
+// replaces, so existing res.statusCode / objectPath.get(e, 'body.message') checks keep working. options.headers keeps the
+// response headers, eg. retry-after for RetryPolicy.
+class KubeApiError extends RazeeError {
+  constructor(statusCode, body, options = {}) {
+    const reason = objectPath.get(body || {}, 'reason');
+    const detail = objectPath.get(body || {}, 'message') || reason || (typeof body === 'string' ? body : '');
+    const resource = options.resource;
+    const message = options.message || `${options.action ? `${options.action} ` : ''}${statusCode}${resource ? ` ${typeof resource === 'string' ? resource : JSON.stringify(resource)}` : ''}${detail ? `: ${detail}` : ''}`;
+    super(message, {
+      code: reason || (statusCode ? `HTTP${statusCode}` : 'Error'),
+      retryable: options.retryable ?? retryableStatus(statusCode),
+      resource: resource,
+      statusCode: statusCode
+    });
+    this.body = body;
+    if (options.headers !== undefined) this.headers = options.headers;
+  }
+
+  static fromResponse(res, resource, action) {
+    return new KubeApiError(objectPath.get(res, 'statusCode'), objectPath.get(res, 'body'), { resource: resource, action: action, headers: objectPath.get(res, 'headers') });
+  }
+}
+
+// A failed download of a remote resource
+class DownloadError extends RazeeError {
+  constructor(message, options = {}) {
+    super(message, {
+      ...options,
+      code: options.code || (options.statusCode ? `HTTP${options.statusCode}` : 'DownloadFailed'),
+      // network errors have no statusCode and are worth trying again
+      retryable: options.retryable ?? (options.statusCode === undefined || retryableStatus(options.statusCode))
+    });
+  }
+}
+
+// An env, envFrom or secret reference that could not be resolved
+class EnvResolutionError extends RazeeError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: options.code || 'EnvResolutionFailed' });
+  }
+}
+
+// Invalid input: a malformed child, spec or argument. Never retryable, the input has to change first.
+class ValidationError extends RazeeError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: options.code || 'Invalid', retryable: false });
+  }
+}
+
+// renders any error the same way for logs and razee-logs: RazeeErrors as their json, Errors as their message
+function renderError(err) {
+  if (err instanceof RazeeError) return err.toJSON();
+  if (err instanceof Error) return err.message;
+  return err;
+}
+
+module.exports = {
+  RazeeError,
+  KubeApiError,
+  DownloadError,
+  EnvResolutionError,
+  ValidationError,
+  renderError
+};
@@ -0,0 +1,89 @@
+/*
+ * Copyright 2022 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Encodings of the deploy.razee.io/last-applied-configuration annotation:
+//   {"apiVersion":...}                         plain json, as written by older versions
+//   gzip+base64:H4sIAAAA...                    gzipped json
+//   ref:ConfigMap/<namespace>/<name>           the (gzipped) value is stored in a companion ConfigMap, or Secret
+//                                              for Secret children, under the key last-applied-configuration
+
+const zlib = require('zlib');
+const hash = require('object-hash');
+
+const GZIP_PREFIX = 'gzip+base64:';
+const REF_PREFIX = 'ref:';
+const COMPANION_KEY = 'last-applied-configuration';
+
+function compress(json) {
+  return `${GZIP_PREFIX}${zlib.gzipSync(json).toString('base64')}`;
+}
+
+function isRef(value) {
+  return typeof value === 'string' && value.startsWith(REF_PREFIX);
+}
+
+// returns the parsed configuration of a plain or gzipped value, refs must be read from their companion first
+function decode(value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  if (isRef(value)) {
+    throw Error(`last-applied-configuration ${value} must be read from its companion resource`);
+  }
+  if (value.startsWith(GZIP_PREFIX)) {
+    value = zlib.gunzipSync(Buffer.from(value.slice(GZIP_PREFIX.length), 'base64')).toString('utf8');
+  }
+  return JSON.parse(value);
+}
+
+function parseRef(value) {
+  const [kind, namespace, name] = value.slice(REF_PREFIX.length).split('/');
+  if (!['ConfigMap', 'Secret'].includes(kind) || !namespace || !name) {
+    throw Error(`invalid last-applied-configuration reference ${value}`);
+  }
+  return { kind: kind, namespace: namespace, name: name };
+}
+
+function formatRef(ref) {
+  return `${REF_PREFIX}${ref.kind}/${ref.namespace}/${ref.name}`;
+}
+
+// companions are named after the child's uri, so every child gets its own
+function companionName(uri) {
+  return `razeedeploy-last-applied-${hash(uri).slice(0, 16)}`;
+}
+
+// returns the annotation value for json, and the companion ref when the value has to live outside the annotation
+function encode(json, options = {}) {
+  const compressThreshold = options.compressThreshold ?? 16384;
+  const companionThreshold = options.companionThreshold ?? 131072;
+  let value = json.length >= compressThreshold ? compress(json) : json;
+  if (value.length >= companionThreshold) {
+    return { value: value, companion: true };
+  }
+  return { value: value, companion: false };
+}
+
+module.exports = {
+  COMPANION_KEY,
+  compress,
+  decode,
+  encode,
+  isRef,
+  parseRef,
+  formatRef,
+  companionName
+};
@@ -0,0 +1,152 @@
+/*
+ * Copyright 2022 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Limits on how hard a reconcile cycle can hit the api server:
+//   ConcurrencyLimiter: at most `concurrency` tasks in flight, the rest wait their turn in order
+//   RateLimiter: token bucket, `qps` requests per second on average with bursts of up to `burst`
+// throttle() wraps a KubeResourceMeta (and throttleKubeClass() the ones a KubeClass returns) so every api request
+// it makes waits for the rate limiter first.
+
+const THROTTLED = Symbol('throttled');
+const REQUEST_METHODS = ['get', 'post', 'put', 'patch', 'mergePatch', 'strategicMergePatch', 'request', 'delete'];
+
+class ConcurrencyLimiter {
+  get [Symbol.toStringTag]() {
+    return 'ConcurrencyLimiter';
+  }
+
+  // concurrency: 0 or less disables the limit
+  constructor(concurrency = 10) {
+    this.concurrency = concurrency;
+    this._active = 0;
+    this._queue = [];
+  }
+
+  get active() {
+    return this._active;
+  }
+
+  get pending() {
+    return this._queue.length;
+  }
+
+  async run(fn) {
+    if (this.concurrency > 0 && this._active >= this.concurrency) {
+      await new Promise(resolve => this._queue.push(resolve));
+    } else {
+      this._active++;
+    }
+    try {
+      return await fn();
+    } finally {
+      const next = this._queue.shift();
+      if (next) {
+        next(); // hand the slot over
+      } else {
+        this._active--;
+      }
+    }
+  }
+}
+
+class RateLimiter {
+  get [Symbol.toStringTag]() {
+    return 'RateLimiter';
+  }
+
+  // qps: 0 or less disables the limit
+  constructor(options = {}) {
+    this._now = options.now || Date.now;
+    this.configure(options);
+    this._tokens = this.burst;
+    this._last = this._now();
+  }
+
+  configure(options = {}) {
+    this.qps = options.qps ?? this.qps ?? 50;
+    this.burst = Math.max(1, options.burst ?? this.burst ?? 100);
+  }
+
+  // the delay in ms before the next request may be sent, reserving its token
+  reserve() {
+    if (!(this.qps > 0)) {
+      return 0;
+    }
+    const now = this._now();
+    this._tokens = Math.min(this.burst, this._tokens + (now - this._last) / 1000 * this.qps);
+    this._last = now;
+    this._tokens -= 1;
+    // tokens go negative while requests are waiting, each waits for the tokens reserved before it to refill
+    return this._tokens >= 0 ? 0 : Math.ceil(-this._tokens / this.qps * 1000);
+  }
+
+  async acquire() {
+    const delay = this.reserve();
+    if (delay > 0) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+function throttle(krm, rateLimiter) {
+  if (!krm || !rateLimiter || krm[THROTTLED]) {
+    return krm;
+  }
+  return new Proxy(krm, {
+    get(target, prop) {
+      if (prop === THROTTLED) {
+        return true;
+      }
+      const value = Reflect.get(target, prop, target);
+      if (typeof value !== 'function') {
+        return value;
+      }
+      if (REQUEST_METHODS.includes(prop)) {
+        // calls between the methods of krm itself (eg. get calling request) are not throttled twice
+        return async (...args) => {
+          await rateLimiter.acquire();
+          return await value.apply(target, args);
+        };
+      }
+      return value.bind(target);
+    }
+  });
+}
+
+function throttleKubeClass(kubeClass, rateLimiter) {
+  if (!kubeClass || !rateLimiter || kubeClass[THROTTLED]) {
+    return kubeClass;
+  }
+  return new Proxy(kubeClass, {
+    get(target, prop) {
+      if (prop === THROTTLED) {
+        return true;
+      }
+      const value = Reflect.get(target, prop, target);
+      if (prop === 'getKubeResourceMeta' && typeof value === 'function') {
+        return async (...args) => throttle(await value.apply(target, args), rateLimiter);
+      }
+      return typeof value === 'function' ? value.bind(target) : value;
+    }
+  });
+}
+
+module.exports = {
+  ConcurrencyLimiter,
+  RateLimiter,
+  throttle,
+  throttleKubeClass
+};
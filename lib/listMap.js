@@ -0,0 +1,192 @@
+/*
+ * Copyright 2022 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Element by element reconciliation of list-maps, lists whose elements are identified by a merge key (eg. containers
+// by name). A merge patch replaces lists as a whole, and a strategic merge patch merges them but never removes
+// elements on its own. reconcile() rewrites the desired lists so that:
+//   strategic: elements that were applied last time but are no longer desired get a $patch: delete directive, and
+//              fields removed from a desired element are nulled
+//   merge:     the list sent is the desired elements, keeping fields of the live elements that were never applied by
+//              us (eg. defaulted or injected by another controller), followed by live elements we never applied
+// Merge keys of well-known kubernetes lists are built in. Other lists can be declared on the child with the
+// annotation deploy.razee.io/list-merge-keys, a json/yaml map of path to merge key, '*' matching any list index:
+//   deploy.razee.io/list-merge-keys: '{"spec.endpoints": "port", "spec.rules.*.backends": "name"}'
+
+const yaml = require('js-yaml');
+
+const ANNOTATION = 'deploy.razee.io/list-merge-keys';
+const CONTAINER_LISTS = ['containers', 'initContainers', 'ephemeralContainers'];
+
+// path is matched against the end of a field's path, unless anchored
+const BUILTIN_KEYS = [].concat(
+  CONTAINER_LISTS.map(list => ({ path: [list], key: 'name' })),
+  CONTAINER_LISTS.map(list => ({ path: [list, '*', 'env'], key: 'name' })),
+  CONTAINER_LISTS.map(list => ({ path: [list, '*', 'ports'], key: 'containerPort' })),
+  CONTAINER_LISTS.map(list => ({ path: [list, '*', 'volumeMounts'], key: 'mountPath' })),
+  CONTAINER_LISTS.map(list => ({ path: [list, '*', 'volumeDevices'], key: 'devicePath' })),
+  [
+    { path: ['volumes'], key: 'name' },
+    { path: ['imagePullSecrets'], key: 'name' },
+    { path: ['hostAliases'], key: 'ip' },
+    { path: ['spec', 'ports'], key: 'port', kinds: ['Service'], anchored: true },
+    { path: ['metadata', 'ownerReferences'], key: 'uid', anchored: true }
+  ]
+);
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function has(object, key) {
+  return isObject(object) && Object.prototype.hasOwnProperty.call(object, key);
+}
+
+function pathMatches(rule, path) {
+  if (rule.anchored ? rule.path.length !== path.length : rule.path.length > path.length) {
+    return false;
+  }
+  const offset = path.length - rule.path.length;
+  return rule.path.every((segment, i) => segment === '*' || segment === path[offset + i]);
+}
+
+// returns the custom merge key rules declared on resource, throws when the annotation can't be parsed
+function customKeys(resource) {
+  const value = resource?.metadata?.annotations?.[ANNOTATION];
+  if (!value) {
+    return [];
+  }
+  let keys;
+  try {
+    keys = yaml.load(value);
+  } catch (e) {
+    throw Error(`Invalid ${ANNOTATION}: ${e.message}`);
+  }
+  if (!isObject(keys) || Object.values(keys).some(k => typeof k !== 'string')) {
+    throw Error(`Invalid ${ANNOTATION}: must map field paths to merge keys`);
+  }
+  return Object.entries(keys).map(([path, key]) => ({ path: path.split('.'), key: key, anchored: true }));
+}
+
+// the merge key rules for the lists of resource, its custom keys first
+function mergeKeyRules(resource) {
+  return customKeys(resource).concat(BUILTIN_KEYS);
+}
+
+function mergeKey(path, kind, rules = BUILTIN_KEYS) {
+  const rule = rules.find(r => (!r.kinds || r.kinds.includes(kind)) && pathMatches(r, path));
+  return rule?.key;
+}
+
+function elementId(element, key) {
+  return has(element, key) ? JSON.stringify(element[key]) : undefined;
+}
+
+function index(list, key) {
+  const byId = new Map();
+  (Array.isArray(list) ? list : []).forEach(element => {
+    const id = elementId(element, key);
+    if (id !== undefined) byId.set(id, element);
+  });
+  return byId;
+}
+
+function nullRemoved(desired, lastApplied) {
+  // same as BaseController.reconcileFields, for the fields of one list element
+  Object.keys(lastApplied).forEach(key => {
+    if (!has(desired, key)) {
+      if (lastApplied[key] !== null && lastApplied[key] !== undefined && !isObject(lastApplied[key])) {
+        desired[key] = null;
+      } else if (isObject(lastApplied[key])) {
+        desired[key] = {};
+        nullRemoved(desired[key], lastApplied[key]);
+      }
+    } else if (isObject(desired[key]) && isObject(lastApplied[key])) {
+      nullRemoved(desired[key], lastApplied[key]);
+    }
+  });
+}
+
+function reconcileList(desired, live, lastApplied, key, path, options) {
+  const liveById = index(live, key);
+  const lastById = index(lastApplied, key);
+  const desiredIds = new Set(desired.map(element => elementId(element, key)));
+
+  const result = desired.map(element => {
+    const id = elementId(element, key);
+    const liveElement = liveById.get(id);
+    const lastElement = lastById.get(id);
+    walk(element, liveElement, lastElement, path.concat('*'), options);
+    if (options.strategic) {
+      if (isObject(lastElement)) nullRemoved(element, lastElement);
+    } else if (isObject(liveElement)) {
+      Object.keys(liveElement).forEach(field => {
+        if (!has(element, field) && !has(lastElement, field)) {
+          element[field] = liveElement[field];
+        }
+      });
+    }
+    return element;
+  });
+
+  if (options.strategic) {
+    lastById.forEach((element, id) => {
+      if (!desiredIds.has(id)) {
+        result.push({ [key]: element[key], $patch: 'delete' });
+      }
+    });
+  } else {
+    liveById.forEach((element, id) => {
+      if (!desiredIds.has(id) && !lastById.has(id)) {
+        result.push(element);
+      }
+    });
+  }
+  return result;
+}
+
+function walk(desired, live, lastApplied, path, options) {
+  if (!isObject(desired)) {
+    return;
+  }
+  Object.keys(desired).forEach(field => {
+    const value = desired[field];
+    const fieldPath = path.concat(field);
+    const liveValue = has(live, field) ? live[field] : undefined;
+    const lastValue = has(lastApplied, field) ? lastApplied[field] : undefined;
+    if (Array.isArray(value)) {
+      const key = mergeKey(fieldPath, options.kind, options.rules);
+      if (key && value.every(element => elementId(element, key) !== undefined)) {
+        desired[field] = reconcileList(value, liveValue, lastValue, key, fieldPath, options);
+      }
+    } else if (isObject(value)) {
+      walk(value, liveValue, lastValue, fieldPath, options);
+    }
+  });
+}
+
+// rewrites the list-maps of desired in place, see above. options.strategic selects strategic merge patch directives
+function reconcile(desired, live, lastApplied, options = {}) {
+  walk(desired, live, lastApplied, [], { strategic: options.strategic === true, kind: desired?.kind, rules: mergeKeyRules(desired) });
+  return desired;
+}
+
+module.exports = {
+  ANNOTATION,
+  reconcile,
+  mergeKey,
+  mergeKeyRules,
+  customKeys
+};
@@ -0,0 +1,210 @@
+/*
+ * Copyright 2022 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Minimal prometheus style metrics registry, rendered in the text exposition format:
+// https://prometheus.io/docs/instrumenting/exposition_formats/#text-based-format
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+class Metric {
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this._values = new Map(); // serialized labels -> value
+  }
+
+  _key(labels = {}) {
+    return JSON.stringify(this.labelNames.map(l => (labels[l] === undefined || labels[l] === null) ? '' : String(labels[l])));
+  }
+
+  _labels(key, extra = []) {
+    const values = JSON.parse(key);
+    const pairs = this.labelNames.map((l, i) => [l, values[i]]).concat(extra);
+    if (pairs.length === 0) return '';
+    return `{${pairs.map(([l, v]) => `${l}="${escapeLabel(v)}"`).join(',')}}`;
+  }
+
+  remove(labels) {
+    this._values.delete(this._key(labels));
+  }
+
+  reset() {
+    this._values.clear();
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const [key, value] of this._values) {
+      lines.push(`${this.name}${this._labels(key)} ${value}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+class Counter extends Metric {
+  get type() {
+    return 'counter';
+  }
+
+  inc(labels, value = 1) {
+    const key = this._key(labels);
+    this._values.set(key, (this._values.get(key) || 0) + value);
+  }
+
+  get(labels) {
+    return this._values.get(this._key(labels)) || 0;
+  }
+}
+
+class Gauge extends Counter {
+  get type() {
+    return 'gauge';
+  }
+
+  set(labels, value) {
+    this._values.set(this._key(labels), value);
+  }
+
+  dec(labels, value = 1) {
+    this.inc(labels, -value);
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    super(name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  get type() {
+    return 'histogram';
+  }
+
+  observe(labels, value) {
+    const key = this._key(labels);
+    let entry = this._values.get(key);
+    if (!entry) {
+      entry = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this._values.set(key, entry);
+    }
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) entry.counts[i]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  startTimer(labels = {}) {
+    // returns a function that observes the elapsed seconds, optionally with extra labels known only at the end
+    const start = process.hrtime.bigint();
+    return (endLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...endLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  get(labels) {
+    const entry = this._values.get(this._key(labels));
+    return entry ? { sum: entry.sum, count: entry.count } : { sum: 0, count: 0 };
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const [key, entry] of this._values) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${this._labels(key, [['le', String(bound)]])} ${entry.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${this._labels(key, [['le', '+Inf']])} ${entry.count}`);
+      lines.push(`${this.name}_sum${this._labels(key)} ${entry.sum}`);
+      lines.push(`${this.name}_count${this._labels(key)} ${entry.count}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+class Registry {
+  constructor() {
+    this._metrics = new Map();
+  }
+
+  get contentType() {
+    return 'text/plain; version=0.0.4; charset=utf-8';
+  }
+
+  _getOrCreate(MetricClass, name, help, labelNames, ...args) {
+    let metric = this._metrics.get(name);
+    if (!metric) {
+      metric = new MetricClass(name, help, labelNames, ...args);
+      this._metrics.set(name, metric);
+    } else if (metric.constructor !== MetricClass) {
+      throw Error(`Metric ${name} is already registered as a ${metric.type}`);
+    }
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this._getOrCreate(Counter, name, help, labelNames);
+  }
+
+  gauge(name, help, labelNames) {
+    return this._getOrCreate(Gauge, name, help, labelNames);
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this._getOrCreate(Histogram, name, help, labelNames, buckets);
+  }
+
+  getMetric(name) {
+    return this._metrics.get(name);
+  }
+
+  reset() {
+    this._metrics.forEach(m => m.reset());
+  }
+
+  render() {
+    return `${[...this._metrics.values()].map(m => m.render()).join('\n')}\n`;
+  }
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+// the metrics recorded by the core controllers
+function coreMetrics(registry) {
+  return {
+    reconcileDuration: registry.histogram('razeedeploy_reconcile_duration_seconds', 'Duration of a controller reconcile cycle.', ['controller', 'event', 'result']),
+    childApplies: registry.counter('razeedeploy_child_apply_total', 'Child apply requests by mode and response status code.', ['controller', 'mode', 'code']),
+    childDeletes: registry.counter('razeedeploy_child_delete_total', 'Child delete requests by response status code.', ['controller', 'code']),
+    downloadDuration: registry.histogram('razeedeploy_download_duration_seconds', 'Latency of downloads made by download controllers.', ['controller', 'code']),
+    fetchEnvsFailures: registry.counter('razeedeploy_fetchenvs_failures_total', 'Failed FetchEnvs lookups by referenced kind.', ['kind', 'optional']),
+    managedChildren: registry.gauge('razeedeploy_managed_children', 'Children currently managed by a parent resource.', ['controller', 'namespace', 'name'])
+  };
+}
+
+const registry = new Registry();
+
+module.exports = {
+  Counter,
+  Gauge,
+  Histogram,
+  Registry,
+  registry,
+  coreMetrics
+};
@@ -0,0 +1,87 @@
+/*
+ * Copyright 2022 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Which parent manages a child. Applied children are stamped with the selfLink of their parent:
+//   metadata.annotations['deploy.razee.io/managed-by']: /apis/deploy.razee.io/v1alpha2/namespaces/a/mustachetemplates/b
+// A child managed by another parent is not applied, or applied with a warning when the config child-conflict-policy
+// is Warn, and is never deleted by anyone but its manager. A child with the deploy.razee.io/adopt annotation set to
+// true is taken over from its current manager, for handing a child from one parent to another. The child then records
+// the parent it was taken from in deploy.razee.io/adopted-from, and that parent's own adopt annotation is ignored, so two
+// parents adopting the same child don't take it from each other on every cycle.
+
+const objectPath = require('object-path');
+
+const ANNOTATION = 'deploy.razee.io/managed-by';
+const ADOPT_ANNOTATION = 'deploy.razee.io/adopt';
+const ADOPTED_FROM_ANNOTATION = 'deploy.razee.io/adopted-from';
+const POLICIES = ['Refuse', 'Warn'];
+
+// the selfLink of the parent managing object, undefined when it isn't stamped
+function managedBy(object) {
+  const value = objectPath.get(object, ['metadata', 'annotations', ANNOTATION]);
+  return typeof value === 'string' && value.trim() !== '' ? value.trim() : undefined;
+}
+
+function adopting(child) {
+  return String(objectPath.get(child, ['metadata', 'annotations', ADOPT_ANNOTATION], 'false')).trim().toLowerCase() === 'true';
+}
+
+// the parent live was adopted from, undefined when it never changed hands
+function adoptedFrom(live) {
+  const value = objectPath.get(live, ['metadata', 'annotations', ADOPTED_FROM_ANNOTATION]);
+  return typeof value === 'string' && value.trim() !== '' ? value.trim() : undefined;
+}
+
+// whether the parent selfLink takes live over with child, never once live was adopted away from it
+function adopts(child, live, selfLink) {
+  return adopting(child) && adoptedFrom(live) !== selfLink;
+}
+
+// the other parent managing live, undefined when selfLink may manage it
+function conflict(live, selfLink) {
+  const manager = managedBy(live);
+  return manager && manager !== selfLink ? manager : undefined;
+}
+
+// the conflict policy named by value, Refuse when it names none
+function policy(value) {
+  return POLICIES.find(p => p.toLowerCase() === String(value).trim().toLowerCase()) || 'Refuse';
+}
+
+function stamp(child, selfLink, from) {
+  if (!objectPath.get(child, ['metadata', 'annotations'])) {
+    objectPath.set(child, ['metadata', 'annotations'], {});
+  }
+  objectPath.set(child, ['metadata', 'annotations', ANNOTATION], selfLink);
+  if (from) {
+    objectPath.set(child, ['metadata', 'annotations', ADOPTED_FROM_ANNOTATION], from);
+  }
+  return child;
+}
+
+module.exports = {
+  ANNOTATION,
+  ADOPT_ANNOTATION,
+  ADOPTED_FROM_ANNOTATION,
+  POLICIES,
+  managedBy,
+  adopting,
+  adoptedFrom,
+  adopts,
+  conflict,
+  policy,
+  stamp
+};
@@ -0,0 +1,109 @@
+/*
+ * Copyright 2022 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Entries of status.razee-logs, keyed by level and hash of the log:
+//   razee-logs:
+//     error:
+//       <hash>: { log: <the log>, firstSeen: <iso date>, lastSeen: <iso date>, count: 3 }
+// Entries that were not logged again during a cycle are resolved: they move to status.razee-logs-history, newest
+// first, which keeps the last few so it is still visible what went wrong and when.
+
+const { logMessage } = require('./conditions');
+
+const MAX_ENTRIES = 50; // per level
+const HISTORY_SIZE = 10;
+const MAX_LOG_LENGTH = 2048; // of the json of a log
+
+function isEntry(value) {
+  return value !== null && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, 'log') && typeof value.count === 'number';
+}
+
+// keeps a noisy log from bloating the status, the message is kept (truncated) and the rest dropped
+function truncate(log, maxLength = MAX_LOG_LENGTH) {
+  let json;
+  try {
+    json = JSON.stringify(log);
+  } catch (e) {
+    json = undefined;
+  }
+  if (json !== undefined && json.length <= maxLength) {
+    return log;
+  }
+  const message = logMessage(log);
+  return { message: message.length > maxLength ? `${message.slice(0, maxLength - 3)}...` : message, truncated: true };
+}
+
+// returns the entry for log, counting one more occurrence of existing. Entries written by older versions are the log
+// itself, they start over.
+function record(existing, log, options = {}) {
+  const now = (options.now || new Date()).toISOString();
+  const previous = isEntry(existing) ? existing : undefined;
+  return {
+    log: truncate(log, options.maxLogLength),
+    firstSeen: previous?.firstSeen || now,
+    lastSeen: now,
+    count: (previous?.count || 0) + 1
+  };
+}
+
+// returns the merge patch that replaces existing with entry, fields of entries written by older versions are nulled
+function entryPatch(existing, entry) {
+  const patch = { ...entry };
+  if (existing !== null && typeof existing === 'object' && !isEntry(existing)) {
+    Object.keys(existing).forEach(key => {
+      if (!Object.prototype.hasOwnProperty.call(patch, key)) patch[key] = null;
+    });
+  }
+  return patch;
+}
+
+// returns the hashes of entries to drop so that at most max remain, least recently seen first. keep is never dropped.
+function evict(entries, max = MAX_ENTRIES, keep) {
+  const hashes = Object.keys(entries || {}).filter(h => h !== keep && entries[h] !== null && entries[h] !== undefined);
+  max = keep !== undefined && entries?.[keep] ? max - 1 : max;
+  if (hashes.length <= max) {
+    return [];
+  }
+  const lastSeen = (h) => isEntry(entries[h]) ? entries[h].lastSeen || '' : '';
+  return hashes.sort((a, b) => lastSeen(a).localeCompare(lastSeen(b))).slice(0, hashes.length - max);
+}
+
+// returns history with the resolved entries ([{ level, hash, entry }]) added in front, bounded to size
+function resolve(history, resolved, options = {}) {
+  const size = options.size ?? HISTORY_SIZE;
+  const now = (options.now || new Date()).toISOString();
+  const added = resolved.map(({ level, hash, entry }) => ({
+    level: level,
+    hash: hash,
+    ...(isEntry(entry) ? entry : { log: entry, firstSeen: null, lastSeen: null, count: 1 }),
+    resolved: now
+  }));
+  const hashes = new Set(added.map(h => `${h.level}/${h.hash}`));
+  const kept = (Array.isArray(history) ? history : []).filter(h => h && !hashes.has(`${h.level}/${h.hash}`));
+  return added.concat(kept).slice(0, Math.max(0, size));
+}
+
+module.exports = {
+  MAX_ENTRIES,
+  HISTORY_SIZE,
+  MAX_LOG_LENGTH,
+  isEntry,
+  truncate,
+  record,
+  entryPatch,
+  evict,
+  resolve
+};
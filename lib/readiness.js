@@ -0,0 +1,217 @@
+/*
+ * Copyright 2022 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Readiness of applied children, checked the way kubectl rollout status does:
+//   Deployment, StatefulSet, DaemonSet: the rollout of the current generation is complete
+//   Job: Complete, or Failed
+//   CustomResourceDefinition: Established
+//   anything else: its Ready condition if it has one, otherwise ready once it exists
+// check() returns { state: Ready | InProgress | Failed, reason, message }. Whether a child is checked is set by its
+// deploy.razee.io/readiness annotation, or the config child-readiness:
+//   None: the child is done once applied (default)
+//   Poll: checked every cycle, without waiting
+//   Wait: the cycle waits for the child, up to child-readiness-timeout seconds
+
+const objectPath = require('object-path');
+
+const { findCondition } = require('./conditions');
+const { ValidationError } = require('./errors');
+
+const ANNOTATION = 'deploy.razee.io/readiness';
+const MODES = ['None', 'Poll', 'Wait'];
+
+const READY = 'Ready';
+const IN_PROGRESS = 'InProgress';
+const FAILED = 'Failed';
+
+function result(state, reason, message = '') {
+  return { state: state, reason: reason, message: message };
+}
+
+function group(object) {
+  return String(objectPath.get(object, 'apiVersion', '')).split('/').slice(0, -1).join('/');
+}
+
+function conditionStatus(object, type) {
+  return findCondition(objectPath.get(object, 'status.conditions'), type);
+}
+
+function generationObserved(object) {
+  const generation = objectPath.get(object, 'metadata.generation');
+  const observed = objectPath.get(object, 'status.observedGeneration');
+  return generation === undefined || (observed !== undefined && observed >= generation);
+}
+
+function deployment(object) {
+  if (!generationObserved(object)) {
+    return result(IN_PROGRESS, 'RolloutPending', 'waiting for the deployment spec update to be observed');
+  }
+  const progressing = conditionStatus(object, 'Progressing');
+  if (progressing && progressing.reason === 'ProgressDeadlineExceeded') {
+    return result(FAILED, 'ProgressDeadlineExceeded', progressing.message || 'deployment exceeded its progress deadline');
+  }
+  const replicas = objectPath.get(object, 'spec.replicas', 1);
+  const updated = objectPath.get(object, 'status.updatedReplicas', 0);
+  const total = objectPath.get(object, 'status.replicas', 0);
+  const available = objectPath.get(object, 'status.availableReplicas', 0);
+  if (updated < replicas) {
+    return result(IN_PROGRESS, 'RolloutInProgress', `${updated} of ${replicas} updated replicas`);
+  } else if (total > updated) {
+    return result(IN_PROGRESS, 'RolloutInProgress', `${total - updated} old replicas are pending termination`);
+  } else if (available < updated) {
+    return result(IN_PROGRESS, 'RolloutInProgress', `${available} of ${updated} updated replicas are available`);
+  }
+  return result(READY, 'RolloutComplete');
+}
+
+function statefulSet(object) {
+  if (objectPath.get(object, 'spec.updateStrategy.type') === 'OnDelete') {
+    return result(READY, 'OnDeleteStrategy');
+  }
+  if (!generationObserved(object)) {
+    return result(IN_PROGRESS, 'RolloutPending', 'waiting for the statefulset spec update to be observed');
+  }
+  const replicas = objectPath.get(object, 'spec.replicas', 1);
+  const ready = objectPath.get(object, 'status.readyReplicas', 0);
+  if (ready < replicas) {
+    return result(IN_PROGRESS, 'RolloutInProgress', `${ready} of ${replicas} replicas are ready`);
+  }
+  const partition = objectPath.get(object, 'spec.updateStrategy.rollingUpdate.partition');
+  if (partition !== undefined) {
+    const updated = objectPath.get(object, 'status.updatedReplicas', 0);
+    if (updated < replicas - partition) {
+      return result(IN_PROGRESS, 'RolloutInProgress', `${updated} of ${replicas - partition} replicas above the partition are updated`);
+    }
+  } else if (objectPath.get(object, 'status.updateRevision') !== objectPath.get(object, 'status.currentRevision')) {
+    return result(IN_PROGRESS, 'RolloutInProgress', 'waiting for the rolling update to complete');
+  }
+  return result(READY, 'RolloutComplete');
+}
+
+function daemonSet(object) {
+  if (objectPath.get(object, 'spec.updateStrategy.type') === 'OnDelete') {
+    return result(READY, 'OnDeleteStrategy');
+  }
+  if (!generationObserved(object)) {
+    return result(IN_PROGRESS, 'RolloutPending', 'waiting for the daemonset spec update to be observed');
+  }
+  const desired = objectPath.get(object, 'status.desiredNumberScheduled', 0);
+  const updated = objectPath.get(object, 'status.updatedNumberScheduled', 0);
+  const available = objectPath.get(object, 'status.numberAvailable', 0);
+  if (updated < desired) {
+    return result(IN_PROGRESS, 'RolloutInProgress', `${updated} of ${desired} updated pods are scheduled`);
+  } else if (available < desired) {
+    return result(IN_PROGRESS, 'RolloutInProgress', `${available} of ${desired} updated pods are available`);
+  }
+  return result(READY, 'RolloutComplete');
+}
+
+function job(object) {
+  const failed = conditionStatus(object, 'Failed');
+  if (failed && failed.status === 'True') {
+    return result(FAILED, failed.reason || 'JobFailed', failed.message || '');
+  }
+  const complete = conditionStatus(object, 'Complete');
+  if (complete && complete.status === 'True') {
+    return result(READY, 'JobComplete');
+  }
+  return result(IN_PROGRESS, 'JobRunning', `${objectPath.get(object, 'status.succeeded', 0)} of ${objectPath.get(object, 'spec.completions', 1)} completions`);
+}
+
+function customResourceDefinition(object) {
+  const namesAccepted = conditionStatus(object, 'NamesAccepted');
+  if (namesAccepted && namesAccepted.status === 'False') {
+    return result(FAILED, namesAccepted.reason || 'NamesNotAccepted', namesAccepted.message || '');
+  }
+  const established = conditionStatus(object, 'Established');
+  if (established && established.status === 'True') {
+    return result(READY, 'Established');
+  }
+  return result(IN_PROGRESS, 'NotEstablished', 'waiting for the CustomResourceDefinition to be established');
+}
+
+function generic(object) {
+  const observed = objectPath.get(object, 'status.observedGeneration');
+  if (observed !== undefined && !generationObserved(object)) {
+    return result(IN_PROGRESS, 'UpdatePending', 'waiting for the spec update to be observed');
+  }
+  const ready = conditionStatus(object, 'Ready');
+  if (!ready) {
+    return result(READY, 'Exists');
+  } else if (ready.status === 'True') {
+    return result(READY, ready.reason || 'Ready');
+  }
+  return result(IN_PROGRESS, ready.reason || 'NotReady', ready.message || '');
+}
+
+function check(object) {
+  if (!object || typeof object !== 'object') {
+    return result(IN_PROGRESS, 'NotFound', 'waiting for the resource to exist');
+  }
+  const kind = objectPath.get(object, 'kind');
+  const apiGroup = group(object);
+  if (apiGroup === 'apps' && kind === 'Deployment') {
+    return deployment(object);
+  } else if (apiGroup === 'apps' && kind === 'StatefulSet') {
+    return statefulSet(object);
+  } else if (apiGroup === 'apps' && kind === 'DaemonSet') {
+    return daemonSet(object);
+  } else if (apiGroup === 'batch' && kind === 'Job') {
+    return job(object);
+  } else if (apiGroup === 'apiextensions.k8s.io' && kind === 'CustomResourceDefinition') {
+    return customResourceDefinition(object);
+  }
+  return generic(object);
+}
+
+// the readiness mode of a child, defaultMode when it has no annotation
+function mode(child, defaultMode = 'None') {
+  const value = objectPath.get(child, ['metadata', 'annotations', ANNOTATION], defaultMode);
+  const found = MODES.find(m => m.toLowerCase() === String(value).trim().toLowerCase());
+  if (!found) {
+    const resource = `${objectPath.get(child, 'kind')}/${objectPath.get(child, 'metadata.name')}`;
+    throw new ValidationError(`Invalid ${ANNOTATION} "${value}" on ${resource}, must be one of ${MODES.join(', ')}`, { code: 'InvalidReadiness', resource: resource });
+  }
+  return found;
+}
+
+// rolls the readiness of status.children entries up into a ChildrenReady condition, undefined when none was checked
+function rollup(children) {
+  const checked = Object.entries(children || {}).filter(([, child]) => objectPath.get(child, 'readiness.state'));
+  if (checked.length === 0) {
+    return undefined;
+  }
+  const failed = checked.filter(([, child]) => child.readiness.state === FAILED);
+  const notReady = checked.filter(([, child]) => child.readiness.state !== READY);
+  const describe = ([selfLink, child], others) => `${selfLink}: ${child.readiness.message || child.readiness.reason}${others > 0 ? ` (and ${others} more)` : ''}`;
+  if (failed.length > 0) {
+    return { status: 'False', reason: 'ChildFailed', message: describe(failed[0], failed.length - 1) };
+  } else if (notReady.length > 0) {
+    return { status: 'False', reason: 'ChildrenNotReady', message: `${checked.length - notReady.length} of ${checked.length} ready, waiting for ${describe(notReady[0], notReady.length - 1)}` };
+  }
+  return { status: 'True', reason: 'ChildrenReady', message: `${checked.length} of ${checked.length} ready` };
+}
+
+module.exports = {
+  ANNOTATION,
+  MODES,
+  READY,
+  IN_PROGRESS,
+  FAILED,
+  check,
+  mode,
+  rollup
+};
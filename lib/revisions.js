@@ -0,0 +1,154 @@
+/*
+ * Copyright 2022 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// The revision history of a parent: every child set it applied successfully, kept in a companion ConfigMap
+//   data:
+//     index: [{ revision: 3, hash, created, applied, sources }, ...]   most recently applied first
+//     revision-3: gzip+base64:H4sIAAAA...                              the children of revision 3
+// Secret children are kept without their data, secret data must not end up in a ConfigMap. They are left as they
+// are when a revision is applied again.
+
+const clone = require('clone');
+const hash = require('object-hash');
+const objectPath = require('object-path');
+
+const LastApplied = require('./lastApplied');
+
+const PIN_ANNOTATION = 'deploy.razee.io/revision';
+const AUTO_ROLLBACK_ANNOTATION = 'deploy.razee.io/auto-rollback';
+const HISTORY_LIMIT = 10;
+const INDEX_KEY = 'index';
+const REDACTED = '$redacted';
+
+function companionName(selfLink) {
+  return `razeedeploy-revisions-${hash(selfLink).slice(0, 16)}`;
+}
+
+function dataKey(revision) {
+  return `revision-${revision}`;
+}
+
+function hashChildren(children) {
+  return hash(children || []);
+}
+
+function isList(child) {
+  return String(objectPath.get(child, 'kind', '')).toLowerCase() === 'list' && Array.isArray(objectPath.get(child, 'items'));
+}
+
+function isSecret(child) {
+  return objectPath.get(child, 'kind') === 'Secret' && String(objectPath.get(child, 'apiVersion', '')) === 'v1';
+}
+
+function redact(children) {
+  return (children || []).map(child => {
+    if (isList(child)) {
+      return { ...child, items: redact(child.items) };
+    } else if (isSecret(child)) {
+      const stripped = clone(child);
+      delete stripped.data;
+      delete stripped.stringData;
+      stripped[REDACTED] = true;
+      return stripped;
+    }
+    return child;
+  });
+}
+
+// the children of a stored revision that can be applied again, redacted Secrets are left out
+function restorable(children) {
+  return (children || []).filter(child => !objectPath.get(child, [REDACTED])).map(child => isList(child) ? { ...child, items: restorable(child.items) } : child);
+}
+
+// the redacted Secrets of a stored revision, Lists flattened
+function redacted(children) {
+  return (children || []).reduce((found, child) => {
+    if (isList(child)) {
+      return found.concat(redacted(child.items));
+    }
+    return objectPath.get(child, [REDACTED]) ? found.concat([child]) : found;
+  }, []);
+}
+
+function encode(children) {
+  return LastApplied.compress(JSON.stringify(redact(children)));
+}
+
+function decode(value) {
+  return LastApplied.decode(value);
+}
+
+function parse(configMap) {
+  try {
+    const index = JSON.parse(objectPath.get(configMap, ['data', INDEX_KEY], '[]'));
+    return Array.isArray(index) ? index.filter(r => r && Number.isInteger(r.revision)) : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+// returns the index with applied ({ hash, sources, now }) recorded as the most recently applied revision, and the
+// revisions dropped to keep it to limit entries. keep (a revision) is never dropped.
+function record(index, applied, options = {}) {
+  const limit = Math.max(1, options.limit ?? HISTORY_LIMIT);
+  const now = (applied.now || new Date()).toISOString();
+  const existing = index.find(r => r.hash === applied.hash);
+  const entry = existing ?
+    { ...existing, applied: now } :
+    { revision: index.reduce((max, r) => Math.max(max, r.revision), 0) + 1, hash: applied.hash, created: now, applied: now, sources: applied.sources || {} };
+  const rest = index.filter(r => r !== existing);
+  const kept = [entry];
+  const dropped = [];
+  rest.forEach(r => {
+    if (kept.length < limit || r.revision === options.keep) {
+      kept.push(r);
+    } else {
+      dropped.push(r.revision);
+    }
+  });
+  if (kept.length > limit) {
+    // the kept revision took a place, the oldest other one goes instead
+    const last = kept.map(r => r.revision).filter(r => r !== entry.revision && r !== options.keep).pop();
+    if (last !== undefined) {
+      kept.splice(kept.findIndex(r => r.revision === last), 1);
+      dropped.push(last);
+    }
+  }
+  return { index: kept, entry: entry, dropped: dropped };
+}
+
+// the most recently applied revision with another hash than excludeHash
+function lastGood(index, excludeHash) {
+  return index.find(r => r.hash !== excludeHash);
+}
+
+module.exports = {
+  PIN_ANNOTATION,
+  AUTO_ROLLBACK_ANNOTATION,
+  HISTORY_LIMIT,
+  INDEX_KEY,
+  companionName,
+  dataKey,
+  hashChildren,
+  redact,
+  restorable,
+  redacted,
+  encode,
+  decode,
+  parse,
+  record,
+  lastGood
+};
@@ -0,0 +1,783 @@
+/*
+ * Copyright 2022 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// In-memory stand-in for the kubernetes api, to test controllers built on the core without a cluster:
+//   const api = new FakeKubeApi();
+//   api.register({ apiVersion: 'deploy.razee.io/v1alpha2', kind: 'MustacheTemplate' });
+//   const parent = api.create({ apiVersion: 'deploy.razee.io/v1alpha2', kind: 'MustacheTemplate', metadata: { name: 'mt', namespace: 'default' }, spec: {} });
+//   const controller = new MyController({ eventData: { type: 'ADDED', object: parent }, kubeResourceMeta: api.kubeResourceMeta(parent.apiVersion, parent.kind), kubeClass: api.kubeClass, logger: logger });
+//   await controller.execute();
+//   api.read('v1', 'ConfigMap', 'child', 'default');
+// FakeKubeResourceMeta and FakeKubeClass have the methods of KubeResourceMeta and KubeClass from
+// @razee/kubernetes-util, with the same request-promise conventions (simple, resolveWithFullResponse).
+// The server keeps resourceVersion, generation and uid, rejects stale resourceVersions with 409, honours the status
+// subresource, finalizers and deletionTimestamp, garbage collects owned resources and server-side dry-run. Strategic
+// merge patch is supported for the built-in kinds only (415 for registered kinds, like custom resources). Server-side
+// apply is approximated by a merge patch, field ownership is not tracked. Every request is recorded in api.requests.
+// controllerParams() builds the constructor params of a controller under test, ChildSetController is a parent applying
+// its spec.children, for tests of what CompositeController does with children:
+//   await new ChildSetController(controllerParams(api, { apiVersion, kind, name: 'set', env: { RAZEE_API_QPS: '0' } })).execute();
+
+const clone = require('clone');
+const objectPath = require('object-path');
+const { mergeKey } = require('./listMap');
+const { pluralize } = require('./applyWaves');
+const CompositeController = require('./CompositeController');
+const ConfigProvider = require('./ConfigProvider');
+const metrics = require('./metrics');
+
+const CONTENT_TYPES = {
+  merge: 'application/merge-patch+json',
+  strategic: 'application/strategic-merge-patch+json',
+  json: 'application/json-patch+json',
+  apply: 'application/apply-patch+yaml'
+};
+
+const BUILTIN_TYPES = [
+  { apiVersion: 'v1', kind: 'ConfigMap', status: false },
+  { apiVersion: 'v1', kind: 'Secret', status: false },
+  { apiVersion: 'v1', kind: 'Event', status: false },
+  { apiVersion: 'v1', kind: 'ServiceAccount', status: false },
+  { apiVersion: 'v1', kind: 'Service' },
+  { apiVersion: 'v1', kind: 'Pod' },
+  { apiVersion: 'v1', kind: 'Namespace', namespaced: false },
+  { apiVersion: 'apps/v1', kind: 'Deployment' },
+  { apiVersion: 'rbac.authorization.k8s.io/v1', kind: 'Role', status: false },
+  { apiVersion: 'rbac.authorization.k8s.io/v1', kind: 'ClusterRole', namespaced: false, status: false }
+].map(type => ({ ...type, strategic: true }));
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function status(statusCode, reason, message, details) {
+  const body = { kind: 'Status', apiVersion: 'v1', metadata: {}, status: 'Failure', message: message, reason: reason, code: statusCode };
+  if (details) body.details = details;
+  return { statusCode: statusCode, body: body };
+}
+
+function mergePatch(target, patch) {
+  // RFC 7386
+  if (!isObject(patch)) {
+    return clone(patch);
+  }
+  const result = isObject(target) ? clone(target) : {};
+  Object.entries(patch).forEach(([key, value]) => {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = mergePatch(result[key], value);
+    }
+  });
+  return result;
+}
+
+function strategicMergePatch(target, patch, path, kind) {
+  if (!isObject(patch)) {
+    return clone(patch);
+  }
+  if (patch.$patch === 'replace') {
+    const replacement = clone(patch);
+    delete replacement.$patch;
+    return replacement;
+  }
+  const result = isObject(target) ? clone(target) : {};
+  Object.entries(patch).forEach(([key, value]) => {
+    if (key.startsWith('$')) {
+      return; // directives like $setElementOrder/ and $retainKeys only affect ordering and pruning
+    }
+    const keyPath = path.concat(key);
+    const listKey = Array.isArray(value) ? mergeKey(keyPath, kind) : undefined;
+    if (value === null) {
+      delete result[key];
+    } else if (listKey && value.every(element => isObject(element) && element[listKey] !== undefined)) {
+      const list = Array.isArray(result[key]) ? result[key] : [];
+      value.forEach(element => {
+        const index = list.findIndex(live => isObject(live) && isEqual(live[listKey], element[listKey]));
+        if (element.$patch === 'delete') {
+          if (index > -1) list.splice(index, 1);
+        } else if (index > -1) {
+          list[index] = strategicMergePatch(list[index], element, keyPath.concat('*'), kind);
+        } else {
+          list.push(strategicMergePatch({}, element, keyPath.concat('*'), kind));
+        }
+      });
+      result[key] = list;
+    } else {
+      result[key] = strategicMergePatch(result[key], value, keyPath, kind);
+    }
+  });
+  return result;
+}
+
+function parsePointer(pointer) {
+  if (pointer === '') return [];
+  if (!pointer.startsWith('/')) throw Error(`invalid json pointer ${pointer}`);
+  return pointer.slice(1).split('/').map(s => s.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function jsonPatch(target, ops) {
+  // RFC 6902
+  let doc = clone(target);
+  const parent = (path) => {
+    let node = doc;
+    path.slice(0, -1).forEach(segment => {
+      if (node === null || typeof node !== 'object' || !(segment in node)) throw Error(`path /${path.join('/')} does not exist`);
+      node = node[segment];
+    });
+    return node;
+  };
+  const read = (path) => {
+    const node = parent(path);
+    const last = path[path.length - 1];
+    if (path.length === 0) return doc;
+    if (node === null || typeof node !== 'object' || !(last in node)) throw Error(`path /${path.join('/')} does not exist`);
+    return node[last];
+  };
+  const add = (path, value) => {
+    if (path.length === 0) {
+      doc = value;
+      return;
+    }
+    const node = parent(path);
+    const last = path[path.length - 1];
+    if (Array.isArray(node)) {
+      const index = last === '-' ? node.length : Number(last);
+      if (!Number.isInteger(index) || index < 0 || index > node.length) throw Error(`invalid array index ${last}`);
+      node.splice(index, 0, value);
+    } else if (isObject(node)) {
+      node[last] = value;
+    } else {
+      throw Error(`path /${path.join('/')} does not exist`);
+    }
+  };
+  const remove = (path) => {
+    read(path);
+    const node = parent(path);
+    const last = path[path.length - 1];
+    if (Array.isArray(node)) {
+      node.splice(Number(last), 1);
+    } else {
+      delete node[last];
+    }
+  };
+  (Array.isArray(ops) ? ops : []).forEach(op => {
+    const path = parsePointer(op.path || '');
+    switch (op.op) {
+      case 'add': add(path, clone(op.value)); break;
+      case 'remove': remove(path); break;
+      case 'replace': remove(path); add(path, clone(op.value)); break;
+      case 'move': { const value = read(parsePointer(op.from)); remove(parsePointer(op.from)); add(path, value); break; }
+      case 'copy': add(path, clone(read(parsePointer(op.from)))); break;
+      case 'test':
+        if (!isEqual(read(path), op.value)) throw Error(`test operation for path ${op.path} failed`);
+        break;
+      default: throw Error(`unknown json patch operation ${op.op}`);
+    }
+  });
+  return doc;
+}
+
+// "a=b,c!=d,e,!f"
+function matchesLabels(labels, selector) {
+  if (!selector) return true;
+  labels = labels || {};
+  return selector.split(',').map(s => s.trim()).filter(s => s).every(requirement => {
+    let match = requirement.match(/^([^!=]+)!=(.*)$/);
+    if (match) return labels[match[1].trim()] !== match[2].trim();
+    match = requirement.match(/^([^!=]+)==?(.*)$/);
+    if (match) return labels[match[1].trim()] === match[2].trim();
+    if (requirement.startsWith('!')) return !(requirement.slice(1) in labels);
+    return requirement in labels;
+  });
+}
+
+function timestamp(date) {
+  return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+class FakeKubeApi {
+  get [Symbol.toStringTag]() {
+    return 'FakeKubeApi';
+  }
+
+  // options.now: () => Date, to control timestamps
+  constructor(options = {}) {
+    this._now = options.now || (() => new Date());
+    this._types = [];
+    this._objects = new Map();
+    this._resourceVersion = 0;
+    this._uid = 0;
+    this._reactors = [];
+    this.requests = [];
+    BUILTIN_TYPES.forEach(type => this.register(type));
+  }
+
+  // type: { apiVersion, kind, plural, namespaced = true, status = true (has a status subresource), strategic = false }
+  register(type) {
+    if (!type || !type.apiVersion || !type.kind) {
+      throw Error('register requires apiVersion and kind');
+    }
+    const [group, version] = type.apiVersion.includes('/') ? type.apiVersion.split('/') : ['', type.apiVersion];
+    const registered = {
+      apiVersion: type.apiVersion,
+      group: group,
+      version: version,
+      kind: type.kind,
+      plural: type.plural || pluralize(type.kind),
+      namespaced: type.namespaced !== false,
+      status: type.status !== false,
+      strategic: type.strategic === true
+    };
+    this._types = this._types.filter(t => !(t.apiVersion === registered.apiVersion && t.kind === registered.kind));
+    this._types.push(registered);
+    return registered;
+  }
+
+  type(apiVersion, kind) {
+    return this._types.find(t => t.apiVersion === apiVersion && t.kind === kind);
+  }
+
+  get kubeClass() {
+    if (!this._kubeClass) {
+      this._kubeClass = new FakeKubeClass(this);
+    }
+    return this._kubeClass;
+  }
+
+  kubeResourceMeta(apiVersion, kind) {
+    const type = this.type(apiVersion, kind);
+    return type ? new FakeKubeResourceMeta(this, type) : undefined;
+  }
+
+  // intercepts requests: fn(request) returns a response ({ statusCode, body }) to send instead, or undefined to let
+  // the request through. Returns a function that removes the reactor.
+  react(fn) {
+    this._reactors.push(fn);
+    return () => { this._reactors = this._reactors.filter(r => r !== fn); };
+  }
+
+  // direct access to the store, not recorded in requests and never intercepted
+  create(object) {
+    const type = this.type(object?.apiVersion, object?.kind);
+    if (!type) throw Error(`${object?.apiVersion} ${object?.kind} is not registered`);
+    const res = this._create(type, object?.metadata?.namespace, object, {});
+    if (res.statusCode >= 300) throw Error(res.body.message);
+    return res.body;
+  }
+
+  read(apiVersion, kind, name, namespace) {
+    const type = this.type(apiVersion, kind);
+    const object = type && this._objects.get(this._key(type, namespace, name));
+    return object ? clone(object) : undefined;
+  }
+
+  list(apiVersion, kind, namespace) {
+    const type = this.type(apiVersion, kind);
+    return type ? this._list(type, namespace).map(o => clone(o)) : [];
+  }
+
+  delete(apiVersion, kind, name, namespace) {
+    const type = this.type(apiVersion, kind);
+    if (!type) throw Error(`${apiVersion} ${kind} is not registered`);
+    return this._delete(type, namespace, name, {}).body;
+  }
+
+  // request: { method, uri, qs, headers, body }, returns { statusCode, body, headers }
+  handle(request) {
+    const method = (request.method || 'GET').toUpperCase();
+    const headers = {};
+    Object.entries(request.headers || {}).forEach(([k, v]) => { if (v !== undefined) headers[k.toLowerCase()] = v; });
+    let [path, query] = String(request.uri || '').split('?');
+    const qs = { ...Object.fromEntries(new URLSearchParams(query || '')), ...request.qs };
+    const recorded = { method: method, uri: path, qs: qs, headers: headers, body: clone(request.body) };
+    this.requests.push(recorded);
+
+    for (const reactor of this._reactors) {
+      const reaction = reactor(clone(recorded));
+      if (reaction) return { headers: {}, ...clone(reaction) };
+    }
+
+    let res;
+    try {
+      res = this._route(method, path, qs, headers, clone(request.body));
+    } catch (e) {
+      res = status(500, 'InternalError', e.message);
+    }
+    return { statusCode: res.statusCode, body: clone(res.body), headers: {} };
+  }
+
+  _route(method, path, qs, headers, body) {
+    const parsed = this._parse(path);
+    if (!parsed) {
+      return status(404, 'NotFound', `the server could not find the requested resource (${method} ${path})`);
+    }
+    const { type, namespace, name, subresource } = parsed;
+    if (subresource && (subresource !== 'status' || !type.status)) {
+      return status(404, 'NotFound', `the server could not find the requested resource (${method} ${path})`);
+    }
+    const options = { dryRun: qs.dryRun === 'All', subresource: subresource };
+    const contentType = String(headers['content-type'] || '').split(';')[0].trim();
+
+    switch (method) {
+      case 'GET':
+        if (name) {
+          const object = this._objects.get(this._key(type, namespace, name));
+          return object ? { statusCode: 200, body: object } : this._notFound(type, name);
+        }
+        return {
+          statusCode: 200,
+          body: {
+            apiVersion: type.apiVersion,
+            kind: `${type.kind}List`,
+            metadata: { resourceVersion: String(this._resourceVersion) },
+            items: this._list(type, namespace).filter(o => matchesLabels(o.metadata.labels, qs.labelSelector))
+          }
+        };
+      case 'POST':
+        if (name) {
+          return status(405, 'MethodNotAllowed', `the server does not allow this method on the requested resource (${method} ${path})`);
+        }
+        return this._create(type, namespace, body, options);
+      case 'PUT':
+        return this._update(type, namespace, name, () => body, options);
+      case 'PATCH':
+        return this._patch(type, namespace, name, contentType, body, qs, options);
+      case 'DELETE':
+        return this._delete(type, namespace, name, options);
+      default:
+        return status(405, 'MethodNotAllowed', `the server does not allow this method on the requested resource (${method} ${path})`);
+    }
+  }
+
+  _parse(path) {
+    // /api/v1[/namespaces/<ns>]/<plural>[/<name>[/<subresource>]] or /apis/<group>/<version>/...
+    const parts = path.split('/').filter(p => p);
+    let apiVersion;
+    if (parts[0] === 'api' && parts.length >= 2) {
+      apiVersion = parts[1];
+      parts.splice(0, 2);
+    } else if (parts[0] === 'apis' && parts.length >= 3) {
+      apiVersion = `${parts[1]}/${parts[2]}`;
+      parts.splice(0, 3);
+    } else {
+      return;
+    }
+    let namespace;
+    if (parts[0] === 'namespaces' && parts.length >= 3) {
+      namespace = parts[1];
+      parts.splice(0, 2);
+    }
+    const type = this._types.find(t => t.apiVersion === apiVersion && t.plural === parts[0]);
+    if (!type || (namespace && !type.namespaced)) {
+      return;
+    }
+    return { type: type, namespace: namespace, name: parts[1], subresource: parts[2] };
+  }
+
+  _key(type, namespace, name) {
+    return `${type.apiVersion}/${type.kind}/${type.namespaced ? namespace || '' : ''}/${name}`;
+  }
+
+  _list(type, namespace) {
+    const prefix = `${type.apiVersion}/${type.kind}/${namespace && type.namespaced ? `${namespace}/` : ''}`;
+    return [...this._objects.entries()].filter(([key]) => key.startsWith(prefix)).map(([, object]) => object);
+  }
+
+  _notFound(type, name) {
+    return status(404, 'NotFound', `${type.plural}${type.group ? `.${type.group}` : ''} "${name}" not found`, { name: name, group: type.group, kind: type.plural });
+  }
+
+  _conflict(type, name) {
+    return status(409, 'Conflict', `Operation cannot be fulfilled on ${type.plural}${type.group ? `.${type.group}` : ''} "${name}": the object has been modified; please apply your changes to the latest version and try again`, { name: name, group: type.group, kind: type.plural });
+  }
+
+  _invalid(type, name, message) {
+    return status(422, 'Invalid', `${type.kind} "${name}" is invalid: ${message}`, { name: name, group: type.group, kind: type.kind });
+  }
+
+  _nextResourceVersion() {
+    this._resourceVersion += 1;
+    return String(this._resourceVersion);
+  }
+
+  _create(type, namespace, object, options) {
+    if (!isObject(object)) {
+      return status(400, 'BadRequest', 'the body of the request was in an unknown format');
+    }
+    if ((object.apiVersion && object.apiVersion !== type.apiVersion) || (object.kind && object.kind !== type.kind)) {
+      return status(400, 'BadRequest', `the API version in the data (${object.apiVersion}) does not match the expected API version (${type.apiVersion})`);
+    }
+    const metadata = isObject(object.metadata) ? object.metadata : {};
+    if (type.namespaced) {
+      namespace = namespace || metadata.namespace;
+      if (!namespace) {
+        return status(400, 'BadRequest', 'the namespace of the object is required');
+      }
+      if (metadata.namespace && metadata.namespace !== namespace) {
+        return status(400, 'BadRequest', 'the namespace of the provided object does not match the namespace sent on the request');
+      }
+    }
+    let name = metadata.name;
+    if (!name && metadata.generateName) {
+      name = `${metadata.generateName}${(this._uid + 1).toString(36).padStart(5, '0')}`;
+    }
+    if (!name) {
+      return this._invalid(type, '', 'metadata.name: Required value: name or generateName is required');
+    }
+    const key = this._key(type, namespace, name);
+    if (this._objects.has(key)) {
+      return status(409, 'AlreadyExists', `${type.plural}${type.group ? `.${type.group}` : ''} "${name}" already exists`, { name: name, group: type.group, kind: type.plural });
+    }
+
+    const created = clone(object);
+    created.apiVersion = type.apiVersion;
+    created.kind = type.kind;
+    created.metadata = { ...clone(metadata), name: name };
+    if (type.namespaced) {
+      created.metadata.namespace = namespace;
+    }
+    if (type.status) {
+      delete created.status; // set through the status subresource only
+    }
+    delete created.metadata.deletionTimestamp;
+    this._uid += 1;
+    created.metadata.uid = `00000000-0000-4000-8000-${String(this._uid).padStart(12, '0')}`;
+    created.metadata.creationTimestamp = timestamp(this._now());
+    created.metadata.generation = 1;
+    created.metadata.resourceVersion = options.dryRun ? String(this._resourceVersion) : this._nextResourceVersion();
+    if (!options.dryRun) {
+      this._objects.set(key, created);
+    }
+    return { statusCode: 201, body: created };
+  }
+
+  _update(type, namespace, name, build, options) {
+    if (!name) {
+      return status(405, 'MethodNotAllowed', 'the server does not allow this method on the requested resource');
+    }
+    const key = this._key(type, namespace, name);
+    const live = this._objects.get(key);
+    if (!live) {
+      return this._notFound(type, name);
+    }
+    let next;
+    try {
+      next = build(clone(live));
+    } catch (e) {
+      return this._invalid(type, name, e.message);
+    }
+    if (!isObject(next)) {
+      return status(400, 'BadRequest', 'the body of the request was in an unknown format');
+    }
+    const requestedVersion = next?.metadata?.resourceVersion;
+    if (requestedVersion !== undefined && requestedVersion !== live.metadata.resourceVersion) {
+      return this._conflict(type, name);
+    }
+    if ((next.metadata?.name && next.metadata.name !== name) || (type.namespaced && next.metadata?.namespace && next.metadata.namespace !== namespace)) {
+      return status(400, 'BadRequest', 'the name or namespace of the provided object does not match the request');
+    }
+
+    let updated;
+    if (options.subresource === 'status') {
+      updated = { ...clone(live), status: clone(next.status) };
+      if (updated.status === undefined) delete updated.status;
+    } else {
+      updated = clone(next);
+      updated.apiVersion = type.apiVersion;
+      updated.kind = type.kind;
+      updated.metadata = { ...(isObject(next.metadata) ? next.metadata : {}) };
+      ['name', 'namespace', 'uid', 'creationTimestamp', 'deletionTimestamp', 'deletionGracePeriodSeconds', 'generation'].forEach(field => {
+        if (live.metadata[field] === undefined) {
+          delete updated.metadata[field];
+        } else {
+          updated.metadata[field] = live.metadata[field];
+        }
+      });
+      if (type.status) {
+        if (live.status === undefined) {
+          delete updated.status;
+        } else {
+          updated.status = clone(live.status);
+        }
+      }
+      if (live.metadata.deletionTimestamp) {
+        const added = (updated.metadata.finalizers || []).filter(f => !(live.metadata.finalizers || []).includes(f));
+        if (added.length > 0) {
+          return this._invalid(type, name, `metadata.finalizers: Forbidden: no new finalizers can be added if the object is being deleted, found new finalizers ${JSON.stringify(added)}`);
+        }
+      }
+      const spec = (o) => Object.fromEntries(Object.entries(o).filter(([k]) => k !== 'metadata' && k !== 'status'));
+      if (!isEqual(spec(updated), spec(live))) {
+        updated.metadata.generation = (live.metadata.generation || 0) + 1;
+      }
+    }
+    updated.metadata.resourceVersion = live.metadata.resourceVersion;
+    if (Array.isArray(updated.metadata.finalizers) && updated.metadata.finalizers.length === 0) {
+      delete updated.metadata.finalizers;
+    }
+
+    if (isEqual(updated, live)) {
+      return { statusCode: 200, body: live }; // no-op updates keep their resourceVersion
+    }
+    updated.metadata.resourceVersion = options.dryRun ? live.metadata.resourceVersion : this._nextResourceVersion();
+    if (!options.dryRun) {
+      this._objects.set(key, updated);
+      if (updated.metadata.deletionTimestamp && !(updated.metadata.finalizers || []).length) {
+        this._remove(type, key);
+      }
+    }
+    return { statusCode: 200, body: updated };
+  }
+
+  _patch(type, namespace, name, contentType, body, qs, options) {
+    if (contentType === CONTENT_TYPES.apply) {
+      if (!qs.fieldManager) {
+        return status(400, 'BadRequest', 'fieldManager is required for apply requests');
+      }
+      if (!this._objects.has(this._key(type, namespace, name))) {
+        return this._create(type, namespace, body, options);
+      }
+      return this._update(type, namespace, name, (live) => mergePatch(live, body), options);
+    }
+    if (contentType === CONTENT_TYPES.merge) {
+      return this._update(type, namespace, name, (live) => mergePatch(live, body), options);
+    }
+    if (contentType === CONTENT_TYPES.strategic) {
+      if (!type.strategic) {
+        return status(415, 'UnsupportedMediaType', `the body of the request was in an unknown format - accepted media types include: ${CONTENT_TYPES.json}, ${CONTENT_TYPES.merge}, ${CONTENT_TYPES.apply}`);
+      }
+      return this._update(type, namespace, name, (live) => strategicMergePatch(live, body, [], type.kind), options);
+    }
+    if (contentType === CONTENT_TYPES.json) {
+      return this._update(type, namespace, name, (live) => jsonPatch(live, body), options);
+    }
+    return status(415, 'UnsupportedMediaType', `the body of the request was in an unknown format - accepted media types include: ${Object.values(CONTENT_TYPES).join(', ')}`);
+  }
+
+  _delete(type, namespace, name, options) {
+    const key = this._key(type, namespace, name);
+    const live = this._objects.get(key);
+    if (!name || !live) {
+      return this._notFound(type, name);
+    }
+    if ((live.metadata.finalizers || []).length > 0) {
+      if (live.metadata.deletionTimestamp) {
+        return { statusCode: 202, body: live };
+      }
+      const deleting = clone(live);
+      deleting.metadata.deletionTimestamp = timestamp(this._now());
+      deleting.metadata.deletionGracePeriodSeconds = 0;
+      deleting.metadata.resourceVersion = options.dryRun ? live.metadata.resourceVersion : this._nextResourceVersion();
+      if (!options.dryRun) {
+        this._objects.set(key, deleting);
+      }
+      return { statusCode: 202, body: deleting };
+    }
+    if (!options.dryRun) {
+      this._remove(type, key);
+    }
+    return { statusCode: 200, body: live };
+  }
+
+  _remove(type, key) {
+    const removed = this._objects.get(key);
+    this._objects.delete(key);
+    // background garbage collection of the resources it owned
+    const uid = removed?.metadata?.uid;
+    const uids = new Set([...this._objects.values()].map(o => o.metadata.uid));
+    [...this._objects.entries()].forEach(([dependentKey, dependent]) => {
+      const owners = dependent.metadata.ownerReferences || [];
+      if (owners.some(o => o.uid === uid) && owners.every(o => !uids.has(o.uid))) {
+        const dependentType = this.type(dependent.apiVersion, dependent.kind);
+        if (this._objects.has(dependentKey)) {
+          this._delete(dependentType, dependent.metadata.namespace, dependent.metadata.name, {});
+        }
+      }
+    });
+  }
+}
+
+class FakeKubeResourceMeta {
+  get [Symbol.toStringTag]() {
+    return 'FakeKubeResourceMeta';
+  }
+
+  constructor(api, type) {
+    this._api = api;
+    this._type = type;
+    this._headers = {};
+  }
+
+  get apiVersion() {
+    return this._type.apiVersion;
+  }
+  get group() {
+    return this._type.group;
+  }
+  get version() {
+    return this._type.version;
+  }
+  get kind() {
+    return this._type.kind;
+  }
+  get name() {
+    return this._type.plural;
+  }
+  get namespaced() {
+    return this._type.namespaced;
+  }
+
+  addHeader(name, value) {
+    this._headers[name] = value;
+  }
+
+  uri(options = {}) {
+    let uri = this._type.group ? `/apis/${this._type.apiVersion}` : `/api/${this._type.version}`;
+    if (this._type.namespaced && options.namespace) {
+      uri += `/namespaces/${options.namespace}`;
+    }
+    uri += `/${this._type.plural}`;
+    if (options.name) {
+      uri += `/${options.name}`;
+      if (options.status) {
+        uri += '/status';
+      }
+    }
+    return uri;
+  }
+
+  async request(reqOpt = {}) {
+    const headers = { ...this._headers, ...reqOpt.headers };
+    const body = reqOpt.body !== undefined ? reqOpt.body : (isObject(reqOpt.json) || Array.isArray(reqOpt.json) ? reqOpt.json : undefined);
+    const res = this._api.handle({ method: reqOpt.method, uri: reqOpt.uri || reqOpt.url, qs: reqOpt.qs, headers: headers, body: body });
+    if (reqOpt.resolveWithFullResponse) {
+      return res;
+    }
+    if (reqOpt.simple !== false && (res.statusCode < 200 || res.statusCode >= 300)) {
+      // same as the StatusCodeError of request-promise
+      const err = Error(`${res.statusCode} - ${JSON.stringify(res.body)}`);
+      err.name = 'StatusCodeError';
+      err.statusCode = res.statusCode;
+      err.error = res.body;
+      err.response = res;
+      throw err;
+    }
+    return res.body;
+  }
+
+  async get(name, namespace, reqOpt = {}) {
+    return await this.request({ ...reqOpt, uri: this.uri({ name: name, namespace: namespace }), method: 'GET', json: true });
+  }
+
+  async post(file, reqOpt = {}) {
+    return await this.request({ ...reqOpt, uri: this.uri({ namespace: file?.metadata?.namespace }), method: 'POST', json: file });
+  }
+
+  async put(file, reqOpt = {}) {
+    const { status: statusSubresource, ...opt } = reqOpt;
+    return await this.request({ ...opt, uri: this.uri({ name: file?.metadata?.name, namespace: file?.metadata?.namespace, status: statusSubresource }), method: 'PUT', json: file });
+  }
+
+  async mergePatch(name, namespace, patch, reqOpt = {}) {
+    return await this._patch(name, namespace, patch, CONTENT_TYPES.merge, reqOpt);
+  }
+
+  async strategicMergePatch(name, namespace, patch, reqOpt = {}) {
+    return await this._patch(name, namespace, patch, CONTENT_TYPES.strategic, reqOpt);
+  }
+
+  async patch(name, namespace, ops, reqOpt = {}) {
+    return await this._patch(name, namespace, ops, CONTENT_TYPES.json, reqOpt);
+  }
+
+  async delete(name, namespace, reqOpt = {}) {
+    return await this.request({ ...reqOpt, uri: this.uri({ name: name, namespace: namespace }), method: 'DELETE', json: true });
+  }
+
+  async _patch(name, namespace, body, contentType, reqOpt) {
+    const { status: statusSubresource, ...opt } = reqOpt;
+    return await this.request({
+      ...opt,
+      uri: this.uri({ name: name, namespace: namespace, status: statusSubresource }),
+      method: 'PATCH',
+      json: body,
+      headers: { ...opt.headers, 'content-type': contentType }
+    });
+  }
+}
+
+class FakeKubeClass {
+  get [Symbol.toStringTag]() {
+    return 'FakeKubeClass';
+  }
+
+  constructor(api) {
+    this._api = api;
+  }
+
+  // undefined for kinds the server doesn't know, like KubeClass
+  async getKubeResourceMeta(apiVersion, kind) {
+    return this._api.kubeResourceMeta(apiVersion, kind);
+  }
+}
+
+// a logger that drops everything
+const quietLogger = { trace() {}, debug() {}, info() {}, warn() {}, error() {}, fatal() {} };
+
+// the constructor params of a controller handling a type event for the apiVersion/kind object name in namespace of api.
+// Config is read from env (RAZEE_ variables) only, unless options.configProvider is given. Other options are passed on.
+function controllerParams(api, options = {}) {
+  const { apiVersion, kind, name, namespace = 'default', type = 'ADDED', env = {}, ...params } = options;
+  return {
+    eventData: { type: type, object: api.read(apiVersion, kind, name, namespace) },
+    kubeResourceMeta: api.kubeResourceMeta(apiVersion, kind),
+    kubeClass: api.kubeClass,
+    logger: quietLogger,
+    configProvider: new ConfigProvider({ dir: false, env: env }),
+    metricsRegistry: new metrics.Registry(),
+    retryPolicy: { maxAttempts: 1 },
+    ...params
+  };
+}
+
+// applies the children in spec.children, a child failing to apply fails the cycle
+class ChildSetController extends CompositeController {
+  async added() {
+    const applied = await this.applyChildren(objectPath.get(this.data, 'object.spec.children', []));
+    const failed = applied.find(({ res }) => res.statusCode < 200 || res.statusCode >= 300);
+    if (failed) {
+      return Promise.reject(failed.res);
+    }
+    await this.reconcileChildren();
+  }
+}
+
+module.exports = {
+  FakeKubeApi,
+  FakeKubeResourceMeta,
+  FakeKubeClass,
+  ChildSetController,
+  controllerParams,
+  quietLogger,
+  mergePatch,
+  strategicMergePatch,
+  jsonPatch
+};
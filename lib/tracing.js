@@ -0,0 +1,122 @@
+/*
+ * Copyright 2022 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Spans around the reconcile lifecycle. A tracer is anything with the startActiveSpan(name, options, fn) method of an
+// OpenTelemetry Tracer, so one can be plugged in as is:
+//   const { trace } = require('@opentelemetry/api');
+//   tracing.setTracer(trace.getTracer('razeedeploy'));
+// Spans only need setAttribute, recordException, setStatus and end. Tracing is a no-op until a tracer is set.
+
+// same values as SpanStatusCode of @opentelemetry/api
+const SpanStatusCode = {
+  UNSET: 0,
+  OK: 1,
+  ERROR: 2
+};
+
+const noopSpan = {
+  setAttribute() { return this; },
+  setAttributes() { return this; },
+  recordException() {},
+  setStatus() { return this; },
+  end() {}
+};
+
+class NoopTracer {
+  get [Symbol.toStringTag]() {
+    return 'NoopTracer';
+  }
+
+  startActiveSpan(name, ...args) {
+    // (name, fn), (name, options, fn) or (name, options, context, fn) like the OpenTelemetry api
+    const fn = args[args.length - 1];
+    return fn(noopSpan);
+  }
+}
+
+let tracer = new NoopTracer();
+
+function getTracer() {
+  return tracer;
+}
+
+// sets the tracer used by controllers that weren't given one, null restores the no-op tracer
+function setTracer(newTracer) {
+  if (newTracer && typeof newTracer.startActiveSpan !== 'function') {
+    throw Error('Tracer must implement startActiveSpan(name, options, fn)');
+  }
+  tracer = newTracer || new NoopTracer();
+}
+
+// JSON.stringify throws on circular values and BigInts, which must not replace the error being recorded
+function stringify(value) {
+  try {
+    return JSON.stringify(value) ?? String(value);
+  } catch (e) {
+    return String(value);
+  }
+}
+
+// attribute values must be primitives, undefined and null are left out
+function attributes(attrs = {}) {
+  const result = {};
+  Object.entries(attrs).forEach(([key, value]) => {
+    if (value === undefined || value === null) return;
+    result[key] = (typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean') ? value : stringify(value);
+  });
+  return result;
+}
+
+function recordError(span, err) {
+  const message = err instanceof Error ? err.message : (typeof err === 'string' ? err : stringify(err));
+  span.recordException(err instanceof Error ? err : { name: 'Error', message: message });
+  span.setStatus({ code: SpanStatusCode.ERROR, message: message });
+}
+
+// runs fn(span) in a span named name, which ends when fn settles and records the error fn rejects with
+async function withSpan(spanTracer, name, attrs, fn) {
+  return await (spanTracer || tracer).startActiveSpan(name, { attributes: attributes(attrs) }, async (span) => {
+    try {
+      return await fn(span);
+    } catch (e) {
+      recordError(span, e);
+      throw e;
+    } finally {
+      span.end();
+    }
+  });
+}
+
+// the url of a download without credentials, query or fragment, which can hold tokens
+function redactUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.protocol}//${parsed.host}${parsed.pathname}`;
+  } catch (e) {
+    return undefined;
+  }
+}
+
+module.exports = {
+  SpanStatusCode,
+  NoopTracer,
+  getTracer,
+  setTracer,
+  attributes,
+  recordError,
+  withSpan,
+  redactUrl
+};
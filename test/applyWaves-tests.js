@@ -0,0 +1,224 @@
+/*
+ * Copyright 2022 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const assert = require('chai').assert;
+const applyWaves = require('../lib/applyWaves');
+const { ValidationError } = require('../lib/errors');
+const { FakeKubeApi, ChildSetController, controllerParams } = require('../lib/testing');
+
+function child(apiVersion, kind, name, wave) {
+  const metadata = { name: name };
+  if (wave !== undefined) metadata.annotations = { 'deploy.razee.io/apply-wave': wave };
+  return { apiVersion: apiVersion, kind: kind, metadata: metadata };
+}
+
+describe('applyWaves', function () {
+  describe('#kindTier()', function () {
+    it('should order namespaces, crds, rbac, config, then workloads and webhooks', function () {
+      const kinds = ['Namespace', 'CustomResourceDefinition', 'ServiceAccount', 'ConfigMap', 'Deployment', 'ValidatingWebhookConfiguration'];
+      const tiers = kinds.map(applyWaves.kindTier);
+      assert.deepEqual(tiers, [...tiers].sort((a, b) => a - b));
+      assert.equal(new Set(tiers).size, kinds.length);
+    });
+
+    it('should put unknown kinds with the workloads', function () {
+      assert.equal(applyWaves.kindTier('Widget'), applyWaves.kindTier('Deployment'));
+      assert.equal(applyWaves.kindTier(undefined), applyWaves.kindTier('Deployment'));
+    });
+  });
+
+  describe('#pluralize()', function () {
+    it('should name the resources of the tiered kinds like the api server does', function () {
+      assert.deepEqual(applyWaves.KIND_TIERS.flat().map(applyWaves.pluralize), [
+        'namespaces',
+        'customresourcedefinitions', 'priorityclasses', 'storageclasses',
+        'serviceaccounts', 'clusterroles', 'clusterrolebindings', 'roles', 'rolebindings', 'podsecuritypolicies', 'networkpolicies', 'resourcequotas', 'limitranges',
+        'configmaps', 'secrets', 'persistentvolumes', 'persistentvolumeclaims',
+        'apiservices', 'mutatingwebhookconfigurations', 'validatingwebhookconfigurations'
+      ]);
+      assert.equal(applyWaves.pluralize('Gateway'), 'gateways');
+      assert.equal(applyWaves.pluralize('Ingress'), 'ingresses');
+    });
+  });
+
+  describe('#selfLinkTier()', function () {
+    it('should find the tier from the plural of a selfLink', function () {
+      assert.equal(applyWaves.selfLinkTier('/api/v1/namespaces/team-a'), applyWaves.kindTier('Namespace'));
+      assert.equal(applyWaves.selfLinkTier('/api/v1/namespaces/default/configmaps/a'), applyWaves.kindTier('ConfigMap'));
+      assert.equal(applyWaves.selfLinkTier('/apis/rbac.authorization.k8s.io/v1/clusterroles/r'), applyWaves.kindTier('ClusterRole'));
+      assert.equal(applyWaves.selfLinkTier('/apis/scheduling.k8s.io/v1/priorityclasses/high'), applyWaves.kindTier('PriorityClass'));
+      assert.equal(applyWaves.selfLinkTier('/apis/networking.k8s.io/v1/namespaces/default/networkpolicies/deny'), applyWaves.kindTier('NetworkPolicy'));
+      assert.equal(applyWaves.selfLinkTier('/apis/example.com/v1/namespaces/default/widgets/w'), applyWaves.kindTier('Widget'));
+    });
+  });
+
+  describe('#wave()', function () {
+    it('should parse the annotation', function () {
+      assert.isUndefined(applyWaves.wave(child('v1', 'ConfigMap', 'a')));
+      assert.equal(applyWaves.wave(child('v1', 'ConfigMap', 'a', '-2')), -2);
+      assert.equal(applyWaves.wave(child('v1', 'ConfigMap', 'a', 3)), 3);
+    });
+
+    it('should reject waves that are not integers', function () {
+      assert.throws(() => applyWaves.wave(child('v1', 'ConfigMap', 'a', 'first')), ValidationError, /ConfigMap\/a/);
+      assert.throws(() => applyWaves.wave(child('v1', 'ConfigMap', 'a', '1.5')), ValidationError);
+    });
+  });
+
+  describe('#group()', function () {
+    it('should split children in waves by kind, keeping their order', function () {
+      const children = [
+        child('apps/v1', 'Deployment', 'app'),
+        child('v1', 'ConfigMap', 'a'),
+        child('v1', 'Namespace', 'ns'),
+        child('v1', 'Secret', 'b'),
+        child('v1', 'ServiceAccount', 'sa')
+      ];
+      assert.deepEqual(applyWaves.group(children).map(w => w.map(c => c.metadata.name)), [['ns'], ['sa'], ['a', 'b'], ['app']]);
+    });
+
+    it('should let the apply-wave annotation override the kind', function () {
+      const children = [
+        child('v1', 'Namespace', 'ns'),
+        child('apps/v1', 'Deployment', 'db', '-1'),
+        child('v1', 'ConfigMap', 'late', '1'),
+        child('v1', 'ConfigMap', 'a', '0')
+      ];
+      assert.deepEqual(applyWaves.group(children).map(w => w.map(c => c.metadata.name)), [['db'], ['ns'], ['a'], ['late']]);
+    });
+
+    it('should keep children with an invalid wave in the default wave', function () {
+      assert.deepEqual(applyWaves.group([child('v1', 'ConfigMap', 'a', 'x')]).map(w => w.length), [1]);
+    });
+  });
+
+  describe('#statusOrder()', function () {
+    it('should order status children by their stored wave and selfLink', function () {
+      const entries = Object.entries({
+        '/api/v1/namespaces/team-a': {},
+        '/apis/apps/v1/namespaces/team-a/deployments/app': {},
+        '/api/v1/namespaces/team-a/configmaps/first': { 'deploy.razee.io/apply-wave': -1 },
+        '/api/v1/namespaces/team-a/configmaps/a': { 'deploy.razee.io/apply-wave': 'bad' }
+      });
+      const waves = applyWaves.group(entries, ([selfLink, entry]) => applyWaves.statusOrder(selfLink, entry));
+      assert.deepEqual(waves.map(w => w.map(([selfLink]) => selfLink.split('/').pop())), [['first'], ['team-a'], ['a'], ['app']]);
+    });
+  });
+
+  describe('CompositeController', function () {
+    const apiVersion = 'deploy.razee.io/v1alpha2';
+    const kind = 'ChildSet';
+    let api;
+    let events;
+
+    class ChildSet extends ChildSetController {
+      async applyChild(c) {
+        events.push(`start ${c.metadata.name}`);
+        const res = await super.applyChild(c);
+        events.push(`end ${c.metadata.name}`);
+        return res;
+      }
+    }
+
+    function controller(type) {
+      return new ChildSet(controllerParams(api, { apiVersion, kind, name: 'set', type }));
+    }
+
+    function deletes() {
+      return api.requests.filter(r => r.method === 'DELETE').map(r => r.uri.split('/').pop());
+    }
+
+    beforeEach(function () {
+      events = [];
+      api = new FakeKubeApi();
+      api.register({ apiVersion: apiVersion, kind: kind });
+      api.create({
+        apiVersion: apiVersion,
+        kind: kind,
+        metadata: { name: 'set', namespace: 'default' },
+        spec: {
+          clusterAuth: { impersonateUser: 'razeedeploy' },
+          children: [
+            child('apps/v1', 'Deployment', 'app'),
+            { apiVersion: 'v1', kind: 'List', items: [child('v1', 'ConfigMap', 'config'), child('v1', 'Secret', 'creds')] },
+            child('rbac.authorization.k8s.io/v1', 'Role', 'role')
+          ]
+        }
+      });
+    });
+
+    describe('#applyChildren()', function () {
+      it('should finish each wave before starting the next', async function () {
+        const applied = await controller('ADDED').applyChildren(api.read(apiVersion, kind, 'set', 'default').spec.children);
+        assert.deepEqual(applied.map(({ child, res }) => [child.metadata.name, res.statusCode]), [['role', 201], ['config', 201], ['creds', 201], ['app', 201]]);
+        assert.deepEqual(events.slice(0, 3), ['start role', 'end role', 'start config']);
+        assert.isBelow(events.indexOf('end creds'), events.indexOf('start app'));
+        assert.isBelow(events.indexOf('end config'), events.indexOf('start app'));
+      });
+
+      it('should stop after a wave where a child failed', async function () {
+        const set = api.read(apiVersion, kind, 'set', 'default');
+        set.spec.children[1].items[0].metadata.annotations = { 'deploy.razee.io/apply-wave': 'soon' };
+        const applied = await controller('ADDED').applyChildren(set.spec.children);
+        assert.deepEqual(applied.map(({ child, res }) => [child.metadata.name, res.statusCode]), [['role', 201], ['config', 400], ['creds', 201]]);
+        assert.isUndefined(api.read('apps/v1', 'Deployment', 'app', 'default'));
+      });
+
+      it('should reject with the first rejection of a wave', async function () {
+        const c = controller('ADDED');
+        const children = api.read(apiVersion, kind, 'set', 'default').spec.children;
+        try {
+          await c.applyChildren(children, async (ch) => { if (ch.kind === 'Secret') throw Error('no'); return { statusCode: 200 }; });
+          assert.fail('should have rejected');
+        } catch (e) {
+          assert.equal(e.message, 'no');
+        }
+      });
+    });
+
+    describe('#reconcileChildren()', function () {
+      it('should delete children in the reverse order of their waves', async function () {
+        await controller('ADDED').execute();
+        assert.lengthOf(Object.keys(api.read(apiVersion, kind, 'set', 'default').status.children), 4);
+
+        await api.kubeResourceMeta(apiVersion, kind).mergePatch('set', 'default', { spec: { children: [] } });
+        await controller('MODIFIED').execute();
+        const deleted = deletes();
+        assert.equal(deleted[0], 'app');
+        assert.sameMembers(deleted.slice(1, 3), ['config', 'creds']);
+        assert.equal(deleted[3], 'role');
+      });
+    });
+
+    describe('#finalizerCleanup()', function () {
+      it('should delete children in the reverse order of their waves', async function () {
+        const set = api.read(apiVersion, kind, 'set', 'default');
+        set.spec.children[0].metadata.annotations = { 'deploy.razee.io/apply-wave': '-1' };
+        await api.kubeResourceMeta(apiVersion, kind).mergePatch('set', 'default', { spec: { children: set.spec.children } });
+        await controller('ADDED').execute();
+        assert.equal(api.read(apiVersion, kind, 'set', 'default').status.children['/apis/apps/v1/namespaces/default/deployments/app']['deploy.razee.io/apply-wave'], -1);
+
+        api.delete(apiVersion, kind, 'set', 'default');
+        await controller('MODIFIED').execute();
+        assert.isUndefined(api.read(apiVersion, kind, 'set', 'default'));
+        const deleted = deletes();
+        assert.sameMembers(deleted.slice(0, 2), ['config', 'creds']);
+        assert.equal(deleted[2], 'role');
+        assert.equal(deleted[3], 'app');
+      });
+    });
+  });
+});
@@ -0,0 +1,325 @@
+/*
+ * Copyright 2022 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const assert = require('chai').assert;
+const objectPath = require('object-path');
+const { FakeKubeApi, ChildSetController, controllerParams } = require('../lib/testing');
+const LastApplied = require('../lib/lastApplied');
+
+describe('BaseController', function () {
+  const apiVersion = 'deploy.razee.io/v1alpha2';
+  const kind = 'ChildSet';
+  let api;
+
+  function controller(type = 'ADDED', env = {}, retryPolicy = { maxAttempts: 1 }, Controller = ChildSetController) {
+    return new Controller(controllerParams(api, { apiVersion, kind, name: 'set', type, env, retryPolicy }));
+  }
+
+  function parent(children, metadata = {}) {
+    api.create({ apiVersion: apiVersion, kind: kind, metadata: { name: 'set', namespace: 'default', ...metadata }, spec: { clusterAuth: { impersonateUser: 'razeedeploy' }, children: children } });
+  }
+
+  function child(mode, extra = {}) {
+    return { apiVersion: 'v1', kind: 'ConfigMap', metadata: { name: 'cm', labels: { 'deploy.razee.io/mode': mode } }, ...extra };
+  }
+
+  function patches(name) {
+    return api.requests.filter(r => r.method === 'PATCH' && r.uri.endsWith(`/${name}`));
+  }
+
+  function failures() {
+    return api.list('v1', 'Event', 'default').filter(e => e.reason === 'ApplyFailed').map(e => e.message);
+  }
+
+  beforeEach(function () {
+    api = new FakeKubeApi();
+    api.register({ apiVersion: apiVersion, kind: kind });
+  });
+
+  describe('#apply()', function () {
+    const companionEnv = { RAZEE_LAST_APPLIED_COMPANION_THRESHOLD: '10' };
+
+    function companion() {
+      return api.read('v1', 'ConfigMap', LastApplied.companionName('/api/v1/namespaces/default/configmaps/cm'), 'default');
+    }
+
+    it('should apply again when the last-applied companion is gone', async function () {
+      parent([child('MergePatch', { data: { a: '1', b: '2' } })]);
+      await controller('ADDED', companionEnv).execute();
+      assert.isDefined(companion());
+      api.delete('v1', 'ConfigMap', companion().metadata.name, 'default');
+
+      await api.kubeResourceMeta(apiVersion, kind).mergePatch('set', 'default', { spec: { children: [child('MergePatch', { data: { a: '2' } })] } });
+      await controller('MODIFIED', companionEnv).execute();
+      assert.lengthOf(failures(), 0);
+      // without a last-applied nothing is known to be removed
+      assert.deepEqual(api.read('v1', 'ConfigMap', 'cm', 'default').data, { a: '2', b: '2' });
+      assert.include(companion().data[LastApplied.COMPANION_KEY], '"a":"2"');
+
+      await controller('POLLED', companionEnv).execute();
+      assert.lengthOf(failures(), 0);
+    });
+
+    it('should ignore a last-applied ref to anything but the companion of the child', async function () {
+      api.create({ apiVersion: 'v1', kind: 'Namespace', metadata: { name: 'other' } });
+      api.create({ apiVersion: 'v1', kind: 'ConfigMap', metadata: { name: 'victim', namespace: 'other' }, data: { [LastApplied.COMPANION_KEY]: '{"data":{"a":"1"}}' } });
+      api.create({ apiVersion: 'v1', kind: 'ConfigMap', metadata: { name: 'cm', namespace: 'default', annotations: { 'deploy.razee.io/last-applied-configuration': 'ref:ConfigMap/other/victim' } }, data: { a: '1' } });
+      parent([child('MergePatch', { data: { a: '2' } })]);
+      await controller().execute();
+      assert.lengthOf(failures(), 0);
+      assert.deepEqual(api.read('v1', 'ConfigMap', 'cm', 'default').data, { a: '2' });
+      assert.isDefined(api.read('v1', 'ConfigMap', 'victim', 'other'));
+      assert.lengthOf(api.requests.filter(r => r.uri.includes('/victim')), 0);
+    });
+
+    it('should write the companion as the child identity once the child is applied', async function () {
+      const env = { ...companionEnv, RAZEE_ENABLE_IMPERSONATION: 'true', RAZEE_IMPERSONATION_POLICY: 'allow-all' };
+      parent([child('MergePatch', { data: { a: '1' } })]);
+      await api.kubeResourceMeta(apiVersion, kind).mergePatch('set', 'default', { spec: { clusterAuth: { impersonateUser: 'alice' } } });
+      const rejectChild = api.react(req => {
+        if (req.method === 'POST' && req.uri === '/api/v1/namespaces/default/configmaps' && req.body.metadata.name === 'cm') {
+          return { statusCode: 422, body: { kind: 'Status', apiVersion: 'v1', status: 'Failure', code: 422 } };
+        }
+      });
+      await controller('ADDED', env).execute();
+      assert.lengthOf(failures(), 1);
+      assert.isUndefined(companion());
+
+      rejectChild();
+      const since = api.requests.length;
+      await controller('POLLED', env).execute();
+      const requests = api.requests.slice(since);
+      const companionRequests = requests.filter(r => r.uri.includes('razeedeploy-last-applied') || (r.method === 'POST' && r.body.metadata.name !== 'cm' && r.uri.endsWith('/configmaps')));
+      assert.isAbove(companionRequests.length, 0);
+      companionRequests.forEach(r => assert.equal(r.headers['impersonate-user'], 'alice'));
+      const childCreated = requests.findIndex(r => r.method === 'POST' && r.body.metadata.name === 'cm');
+      assert.isBelow(childCreated, requests.indexOf(companionRequests[0]));
+      assert.equal(companion().metadata.ownerReferences[0].uid, api.read('v1', 'ConfigMap', 'cm', 'default').metadata.uid);
+    });
+  });
+
+  describe('#updateRazeeLogs()', function () {
+    class Unawaited extends ChildSetController {
+      async added() {
+        // like the warnings of BaseDownloadController and FetchEnvs, not awaited
+        this.updateRazeeLogs('warn', { controller: 'Unawaited', warn: 'not awaited' });
+      }
+    }
+
+    it('should keep a log its caller does not await', async function () {
+      parent([]);
+      await controller('ADDED', {}, undefined, Unawaited).execute();
+      await new Promise(resolve => setTimeout(resolve, 10));
+      const status = api.read(apiVersion, kind, 'set', 'default').status;
+      assert.include(JSON.stringify(status['razee-logs'].warn), 'not awaited');
+      assert.equal(status.conditions.find(c => c.type === 'Ready').status, 'True');
+      assert.equal(status.conditions.find(c => c.type === 'Degraded').reason, 'ReconcileWarning');
+    });
+  });
+
+  describe('#finalizer()', function () {
+    const retrying = { maxAttempts: 3, baseDelay: 1 };
+
+    function finalizerPatches() {
+      return api.requests.filter(r => r.method === 'PATCH' && r.uri.endsWith('/childsets/set') && objectPath.has(r.body, 'metadata.finalizers'));
+    }
+
+    async function deleteParent(statusCode) {
+      parent([child('Apply', { data: { a: '1' } })]);
+      await controller().execute();
+      api.delete(apiVersion, kind, 'set', 'default');
+      const before = finalizerPatches().length;
+      let failures = 0;
+      api.react(req => {
+        if (req.method === 'PATCH' && req.uri.endsWith('/childsets/set') && objectPath.has(req.body, 'metadata.finalizers') && failures++ === 0) {
+          return { statusCode: statusCode, body: { kind: 'Status', apiVersion: 'v1', status: 'Failure', code: statusCode } };
+        }
+      });
+      await controller('MODIFIED', {}, retrying).execute();
+      return finalizerPatches().length - before;
+    }
+
+    it('should retry removing the finalizer on retryable errors', async function () {
+      assert.equal(await deleteParent(500), 2);
+      assert.isUndefined(api.read(apiVersion, kind, 'set', 'default'));
+    });
+
+    it('should not retry removing the finalizer on other errors', async function () {
+      assert.equal(await deleteParent(403), 1);
+      assert.isDefined(api.read(apiVersion, kind, 'set', 'default'));
+    });
+  });
+
+  describe('#jsonPatch()', function () {
+    it('should send the operations to the api server as they are', async function () {
+      api.create({ apiVersion: 'rbac.authorization.k8s.io/v1', kind: 'Role', metadata: { name: 'role', namespace: 'default' }, rules: [{ verbs: ['get'] }] });
+      const ops = [
+        { op: 'add', path: '/rules/-', value: { verbs: ['list'] } },
+        { op: 'add', path: '/rules/-', value: { verbs: ['watch'] } },
+        { op: 'add', path: '/metadata/labels', value: { team: 'a' } }
+      ];
+      parent([{ apiVersion: 'rbac.authorization.k8s.io/v1', kind: 'Role', metadata: { name: 'role', labels: { 'deploy.razee.io/mode': 'JSONPatch' } }, jsonPatch: ops }]);
+      await controller().execute();
+      assert.deepEqual(patches('role').map(r => r.body), [ops]);
+      assert.equal(patches('role')[0].headers['content-type'], 'application/json-patch+json');
+      const role = api.read('rbac.authorization.k8s.io/v1', 'Role', 'role', 'default');
+      assert.deepEqual(role.rules.map(r => r.verbs[0]), ['get', 'list', 'watch']);
+      assert.deepEqual(role.metadata.labels, { team: 'a' });
+    });
+
+    it('should add numeric map keys as keys', async function () {
+      api.create({ apiVersion: 'v1', kind: 'ConfigMap', metadata: { name: 'cm', namespace: 'default' } });
+      parent([child('JSONPatch', { jsonPatch: [{ op: 'add', path: '/data', value: {} }, { op: 'add', path: '/data/0', value: 'x' }] })]);
+      await controller().execute();
+      assert.deepEqual(api.read('v1', 'ConfigMap', 'cm', 'default').data, { 0: 'x' });
+    });
+
+    it('should fail on a resource that doesn\'t exist', async function () {
+      parent([child('JSONPatch', { jsonPatch: [{ op: 'add', path: '/data/a', value: 'x' }] })]);
+      await controller().execute();
+      assert.isUndefined(api.read('v1', 'ConfigMap', 'cm', 'default'));
+      assert.lengthOf(failures(), 1);
+      assert.include(failures()[0], 'JSONPatch 404');
+    });
+
+    it('should refuse a child without operations', async function () {
+      api.create({ apiVersion: 'v1', kind: 'ConfigMap', metadata: { name: 'cm', namespace: 'default' }, data: { a: '1' } });
+      parent([child('JSONPatch', { jsonPatch: '[]' })]);
+      await controller().execute();
+      assert.lengthOf(patches('cm'), 0);
+      assert.include(failures()[0], 'must be a non-empty list of RFC 6902 operations');
+    });
+  });
+
+  describe('#serverSideApply()', function () {
+    function ssa(annotations = {}) {
+      return child('ServerSideApply', { metadata: { name: 'cm', labels: { 'deploy.razee.io/mode': 'ServerSideApply' }, annotations: annotations }, data: { a: '1' } });
+    }
+
+    // refuses apply patches that don't force, like the api server does for fields another manager owns
+    function conflicting() {
+      api.react(req => {
+        if (req.method === 'PATCH' && req.uri.endsWith('/configmaps/cm') && req.qs.force !== true) {
+          return { statusCode: 409, body: { kind: 'Status', apiVersion: 'v1', status: 'Failure', reason: 'Conflict', message: 'Apply failed with 1 conflict: conflict with "kubectl": .data.a', code: 409 } };
+        }
+      });
+    }
+
+    it('should send an apply patch as the razeedeploy field manager', async function () {
+      parent([ssa()]);
+      await controller().execute();
+      assert.lengthOf(patches('cm'), 1);
+      assert.equal(patches('cm')[0].headers['content-type'], 'application/apply-patch+yaml');
+      assert.deepEqual(patches('cm')[0].qs, { fieldManager: 'razeedeploy' });
+      assert.deepEqual(api.read('v1', 'ConfigMap', 'cm', 'default').data, { a: '1' });
+    });
+
+    it('should use the field manager of the child', async function () {
+      parent([ssa({ 'deploy.razee.io/field-manager': 'team-a' })]);
+      await controller().execute();
+      assert.equal(patches('cm')[0].qs.fieldManager, 'team-a');
+    });
+
+    it('should fail on conflicts', async function () {
+      conflicting();
+      parent([ssa()]);
+      await controller().execute();
+      assert.include(failures()[0], 'ServerSideApply 409');
+      assert.isUndefined(api.read('v1', 'ConfigMap', 'cm', 'default'));
+    });
+
+    it('should not retry conflicts', async function () {
+      conflicting();
+      parent([ssa()]);
+      await controller('ADDED', {}, { maxAttempts: 3, baseDelay: 1 }).execute();
+      assert.lengthOf(patches('cm'), 1);
+    });
+
+    it('should force conflicts when the child asks to', async function () {
+      conflicting();
+      parent([ssa({ 'deploy.razee.io/force-conflicts': 'true' })]);
+      await controller().execute();
+      assert.lengthOf(failures(), 0);
+      assert.deepEqual(patches('cm')[0].qs, { fieldManager: 'razeedeploy', force: true });
+      assert.deepEqual(api.read('v1', 'ConfigMap', 'cm', 'default').data, { a: '1' });
+    });
+
+    it('should keep its query string in dry-run', async function () {
+      parent([ssa({ 'deploy.razee.io/field-manager': 'team-a', 'deploy.razee.io/force-conflicts': 'true' })], { labels: { 'deploy.razee.io/dry-run': 'true' } });
+      await controller().execute();
+      assert.deepEqual(patches('cm')[0].qs, { fieldManager: 'team-a', force: true, dryRun: 'All' });
+      assert.isUndefined(api.read('v1', 'ConfigMap', 'cm', 'default'));
+      assert.equal(api.read(apiVersion, kind, 'set', 'default').status.plan['/api/v1/namespaces/default/configmaps/cm'].action, 'create');
+    });
+  });
+
+  describe('#replace()', function () {
+    it('should create a missing resource', async function () {
+      parent([child('Replace', { data: { a: '1' } })]);
+      await controller().execute();
+      assert.deepEqual(api.read('v1', 'ConfigMap', 'cm', 'default').data, { a: '1' });
+    });
+
+    it('should replace the live resource, keeping its metadata', async function () {
+      api.create({ apiVersion: 'v1', kind: 'ConfigMap', metadata: { name: 'cm', namespace: 'default', labels: { live: 'yes' }, finalizers: ['example.com/keep'] }, data: { a: '1', b: '2' } });
+      parent([child('Replace', { data: { a: '2' } })]);
+      await controller().execute();
+      const cm = api.read('v1', 'ConfigMap', 'cm', 'default');
+      assert.deepEqual(cm.data, { a: '2' });
+      assert.equal(cm.metadata.labels.live, 'yes');
+      assert.deepEqual(cm.metadata.finalizers, ['example.com/keep']);
+      assert.isTrue(api.requests.some(r => r.method === 'PUT' && r.uri.endsWith('/configmaps/cm')));
+    });
+
+    it('should use the file as it is when hard', async function () {
+      api.create({ apiVersion: 'v1', kind: 'ConfigMap', metadata: { name: 'cm', namespace: 'default', labels: { live: 'yes' } }, data: { a: '1' } });
+      parent([child('Replace', { metadata: { name: 'cm', labels: { 'deploy.razee.io/mode': 'Replace' }, annotations: { 'deploy.razee.io/replace-hard': 'true' } }, data: { a: '2' } })]);
+      await controller().execute();
+      assert.notProperty(api.read('v1', 'ConfigMap', 'cm', 'default').metadata.labels, 'live');
+    });
+
+    it('should keep a stale resourceVersion of the file unless forced', async function () {
+      api.create({ apiVersion: 'v1', kind: 'ConfigMap', metadata: { name: 'cm', namespace: 'default' }, data: { a: '1' } });
+      const metadata = { name: 'cm', resourceVersion: '0', labels: { 'deploy.razee.io/mode': 'Replace' }, annotations: { 'deploy.razee.io/replace-force': 'false' } };
+      parent([child('Replace', { metadata: metadata, data: { a: '2' } })]);
+      await controller().execute();
+      assert.deepEqual(api.read('v1', 'ConfigMap', 'cm', 'default').data, { a: '1' });
+      assert.include(failures()[0], 'Replace 409');
+    });
+
+    it('should only retry conflicts when it sends the live resourceVersion', async function () {
+      api.create({ apiVersion: 'v1', kind: 'ConfigMap', metadata: { name: 'cm', namespace: 'default' }, data: { a: '1' } });
+      let conflicts = 1;
+      api.react(req => {
+        if (req.method === 'PUT' && conflicts-- > 0) {
+          return { statusCode: 409, body: { kind: 'Status', apiVersion: 'v1', status: 'Failure', reason: 'Conflict', code: 409 } };
+        }
+      });
+      const retrying = { maxAttempts: 3, baseDelay: 1 };
+      const puts = () => api.requests.filter(r => r.method === 'PUT' && r.uri.endsWith('/configmaps/cm')).length;
+      parent([child('Replace', { data: { a: '2' } })]);
+      await controller('ADDED', {}, retrying).execute();
+      assert.equal(puts(), 2);
+      assert.deepEqual(api.read('v1', 'ConfigMap', 'cm', 'default').data, { a: '2' });
+
+      const metadata = { name: 'cm', resourceVersion: '0', labels: { 'deploy.razee.io/mode': 'Replace' }, annotations: { 'deploy.razee.io/replace-force': 'false' } };
+      await api.kubeResourceMeta(apiVersion, kind).mergePatch('set', 'default', { spec: { children: [child('Replace', { metadata: metadata, data: { a: '3' } })] } });
+      await controller('MODIFIED', {}, retrying).execute();
+      assert.equal(puts(), 3);
+      assert.include(failures()[0], 'Replace 409');
+    });
+  });
+});
@@ -0,0 +1,156 @@
+/*
+ * Copyright 2022 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const assert = require('chai').assert;
+const ChildPolicy = require('../lib/ChildPolicy');
+const { FakeKubeApi, ChildSetController, controllerParams } = require('../lib/testing');
+const ConfigProvider = require('../lib/ConfigProvider');
+
+const deployment = {
+  apiVersion: 'apps/v1',
+  kind: 'Deployment',
+  metadata: { name: 'web', namespace: 'team-a', labels: { team: 'a' } },
+  spec: {
+    template: {
+      spec: {
+        hostNetwork: false,
+        containers: [
+          { name: 'web', securityContext: { privileged: false } },
+          { name: 'sidecar', securityContext: { privileged: true } }
+        ]
+      }
+    }
+  }
+};
+
+describe('ChildPolicy', function () {
+  describe('#evaluate()', function () {
+    it('should allow everything without rules', function () {
+      assert.deepEqual(ChildPolicy.evaluate(undefined, deployment), []);
+    });
+
+    it('should deny kinds by kind or group/kind', function () {
+      const crb = { apiVersion: 'rbac.authorization.k8s.io/v1', kind: 'ClusterRoleBinding', metadata: { name: 'admin' } };
+      assert.deepEqual(ChildPolicy.evaluate({ deniedKinds: ['ClusterRoleBinding'] }, crb), ['kind ClusterRoleBinding is denied']);
+      assert.deepEqual(ChildPolicy.evaluate({ deniedKinds: ['rbac.authorization.k8s.io/*'] }, crb), ['kind ClusterRoleBinding is denied']);
+      assert.deepEqual(ChildPolicy.evaluate({ deniedKinds: ['Namespace'] }, crb), []);
+    });
+
+    it('should restrict namespaces of namespaced children only', function () {
+      const rule = { allowedNamespaces: ['team-b', 'team-b-*'] };
+      assert.deepEqual(ChildPolicy.evaluate(rule, deployment, { namespaced: true }), ['namespace team-a is not allowed']);
+      assert.deepEqual(ChildPolicy.evaluate(rule, { kind: 'ClusterRole', metadata: { name: 'view' } }, { namespaced: false }), []);
+    });
+
+    it('should check required labels by key or value', function () {
+      assert.deepEqual(ChildPolicy.evaluate({ requiredLabels: ['team', 'owner'] }, deployment), ['label owner is required']);
+      assert.deepEqual(ChildPolicy.evaluate({ requiredLabels: { team: 'b*' } }, deployment), ['label team=a does not match b*']);
+    });
+
+    it('should find forbidden fields through wildcards', function () {
+      const rule = { forbiddenFields: ['spec.template.spec.hostNetwork', 'spec.template.spec.containers.*.securityContext.privileged'] };
+      assert.deepEqual(ChildPolicy.evaluate(rule, deployment), ['field spec.template.spec.containers.*.securityContext.privileged is forbidden']);
+    });
+
+    it('should only apply rules scoped to the parent namespace', function () {
+      const rules = [{ namespaces: ['team-*'], deniedKinds: ['Deployment'] }, { namespaces: ['ops'], deniedKinds: ['Service'] }];
+      assert.lengthOf(ChildPolicy.evaluate(rules, deployment, { parentNamespace: 'team-a' }), 1);
+      assert.lengthOf(ChildPolicy.evaluate(rules, deployment, { parentNamespace: 'ops' }), 0);
+    });
+
+    it('should throw on malformed rules', function () {
+      assert.throws(() => ChildPolicy.evaluate(['Deployment'], deployment), 'child policy rule 0 must be an object');
+    });
+  });
+
+  describe('#fieldValues()', function () {
+    it('should collect values at wildcard paths', function () {
+      assert.deepEqual(ChildPolicy.fieldValues(deployment, 'spec.template.spec.containers.*.name'), ['web', 'sidecar']);
+      assert.deepEqual(ChildPolicy.fieldValues(deployment, 'spec.missing.*'), []);
+    });
+  });
+
+  describe('#load()', function () {
+    it('should combine config rules with policy resources', async function () {
+      const config = new ConfigProvider({
+        dir: false,
+        env: { RAZEE_CHILD_POLICY: 'deniedKinds: [ Namespace ]', RAZEE_CHILD_POLICY_RESOURCE: 'deploy.razee.io/v1alpha2/ChildPolicy' }
+      });
+      const requested = [];
+      const kubeClass = {
+        getKubeResourceMeta: async (apiVersion, kind) => {
+          requested.push(`${apiVersion}/${kind}`);
+          return {
+            uri: () => '/apis/deploy.razee.io/v1alpha2/childpolicies',
+            request: async () => ({ statusCode: 200, body: { items: [{ spec: { forbiddenFields: ['spec.hostNetwork'] } }] } })
+          };
+        }
+      };
+      const rules = await ChildPolicy.load(config, kubeClass);
+      assert.deepEqual(requested, ['deploy.razee.io/v1alpha2/ChildPolicy']);
+      assert.deepEqual(rules, [{ deniedKinds: ['Namespace'] }, { forbiddenFields: ['spec.hostNetwork'] }]);
+    });
+  });
+
+  describe('CompositeController', function () {
+    const apiVersion = 'deploy.razee.io/v1alpha2';
+    const kind = 'ChildSet';
+    const policy = 'forbiddenFields: [ spec.template.spec.hostNetwork ]';
+    let api;
+
+    async function reconcile(ops, env = { RAZEE_CHILD_POLICY: policy }) {
+      api.create({
+        apiVersion: apiVersion,
+        kind: kind,
+        metadata: { name: 'set', namespace: 'team-a' },
+        spec: { clusterAuth: { impersonateUser: 'razeedeploy' }, children: [{ apiVersion: 'apps/v1', kind: 'Deployment', metadata: { name: 'web', labels: { 'deploy.razee.io/mode': 'JSONPatch' } }, jsonPatch: ops }] }
+      });
+      await new ChildSetController(controllerParams(api, { apiVersion, kind, name: 'set', namespace: 'team-a', env })).execute();
+      return api.read('apps/v1', 'Deployment', 'web', 'team-a');
+    }
+
+    function failures() {
+      return api.list('v1', 'Event', 'team-a').filter(e => e.reason === 'ApplyFailed').map(e => e.message);
+    }
+
+    beforeEach(function () {
+      api = new FakeKubeApi();
+      api.register({ apiVersion: apiVersion, kind: kind });
+      api.create({ apiVersion: 'apps/v1', kind: 'Deployment', metadata: { name: 'web', namespace: 'team-a' }, spec: { replicas: 1, template: { spec: { containers: [{ name: 'web' }] } } } });
+    });
+
+    it('should refuse JSONPatch operations that set a forbidden field', async function () {
+      const web = await reconcile([{ op: 'add', path: '/spec/template/spec/hostNetwork', value: true }]);
+      assert.notProperty(web.spec.template.spec, 'hostNetwork');
+      assert.lengthOf(failures(), 1);
+      assert.include(failures()[0], 'forbidden by child policy: field spec.template.spec.hostNetwork is forbidden');
+    });
+
+    it('should allow JSONPatch operations on a resource that already violates the policy', async function () {
+      api.delete('apps/v1', 'Deployment', 'web', 'team-a');
+      api.create({ apiVersion: 'apps/v1', kind: 'Deployment', metadata: { name: 'web', namespace: 'team-a' }, spec: { replicas: 1, template: { spec: { hostNetwork: true, containers: [{ name: 'web' }] } } } });
+      const web = await reconcile([{ op: 'replace', path: '/spec/replicas', value: 3 }]);
+      assert.equal(web.spec.replicas, 3);
+      assert.deepEqual(failures(), []);
+    });
+
+    it('should not dry-run JSONPatch operations without a policy', async function () {
+      const web = await reconcile([{ op: 'add', path: '/spec/template/spec/hostNetwork', value: true }], {});
+      assert.isTrue(web.spec.template.spec.hostNetwork);
+      assert.isFalse(api.requests.some(r => r.qs.dryRun === 'All'));
+    });
+  });
+});
@@ -0,0 +1,116 @@
+/*
+ * Copyright 2022 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const assert = require('chai').assert;
+const ClusterLock = require('../lib/ClusterLock');
+
+const parent = {
+  apiVersion: 'deploy.razee.io/v1alpha2',
+  kind: 'MustacheTemplate',
+  metadata: { name: 'rd-test', namespace: 'team-a', labels: { tier: 'prod' } }
+};
+
+describe('ClusterLock', function () {
+  describe('#parseCron()', function () {
+    it('should parse lists, ranges, steps and names', function () {
+      const cron = ClusterLock.parseCron('*/15 9-17 1,15 jan-mar mon-fri');
+      assert.deepEqual([...cron.minute.values], [0, 15, 30, 45]);
+      assert.deepEqual([...cron.hour.values], [9, 10, 11, 12, 13, 14, 15, 16, 17]);
+      assert.deepEqual([...cron.dayOfMonth.values], [1, 15]);
+      assert.deepEqual([...cron.month.values], [1, 2, 3]);
+      assert.deepEqual([...cron.dayOfWeek.values], [1, 2, 3, 4, 5]);
+    });
+
+    it('should reject invalid expressions', function () {
+      assert.throws(() => ClusterLock.parseCron('* * * *'), 'expected 5 fields');
+      assert.throws(() => ClusterLock.parseCron('60 * * * *'), 'bad minute');
+      assert.throws(() => ClusterLock.parseCron('* * * * funday'), 'bad dayOfWeek');
+    });
+  });
+
+  describe('#parseDuration()', function () {
+    it('should parse unit durations', function () {
+      assert.equal(ClusterLock.parseDuration('1h30m'), 90 * 60000);
+      assert.equal(ClusterLock.parseDuration('2d'), 2 * 86400000);
+      assert.throws(() => ClusterLock.parseDuration('2 hours'), 'invalid duration');
+    });
+  });
+
+  describe('#activeWindow()', function () {
+    const schedule = { cron: '0 22 * * fri', duration: '48h', timezone: 'America/New_York' };
+
+    it('should find the window containing now and return its end', function () {
+      // Saturday 2022-06-18 12:00 in New York (16:00 UTC), window started Friday 22:00
+      const end = ClusterLock.activeWindow(schedule, new Date('2022-06-18T16:00:00Z'));
+      assert.equal(end.toISOString(), '2022-06-20T02:00:00.000Z');
+    });
+
+    it('should return undefined outside of a window', function () {
+      // Friday 2022-06-17 21:59 in New York
+      assert.isUndefined(ClusterLock.activeWindow(schedule, new Date('2022-06-18T01:59:00Z')));
+      // Sunday 2022-06-19 22:00 in New York, window just ended
+      assert.isUndefined(ClusterLock.activeWindow(schedule, new Date('2022-06-20T02:00:00Z')));
+    });
+  });
+
+  describe('#matchesSelector()', function () {
+    it('should support matchLabels and matchExpressions', function () {
+      const labels = { tier: 'prod', team: 'a' };
+      assert.isTrue(ClusterLock.matchesSelector({ matchLabels: { tier: 'prod' } }, labels));
+      assert.isFalse(ClusterLock.matchesSelector({ matchLabels: { tier: 'dev' } }, labels));
+      assert.isTrue(ClusterLock.matchesSelector({ matchExpressions: [{ key: 'team', operator: 'In', values: ['a', 'b'] }] }, labels));
+      assert.isFalse(ClusterLock.matchesSelector({ matchExpressions: [{ key: 'team', operator: 'NotIn', values: ['a'] }] }, labels));
+      assert.isTrue(ClusterLock.matchesSelector({ matchExpressions: [{ key: 'owner', operator: 'DoesNotExist' }] }, labels));
+      assert.isFalse(ClusterLock.matchesSelector({ matchExpressions: [{ key: 'owner', operator: 'Exists' }] }, labels));
+    });
+  });
+
+  describe('#evaluate()', function () {
+    const now = new Date('2022-06-18T16:00:00Z');
+
+    it('should not lock without rules', function () {
+      assert.isUndefined(ClusterLock.evaluate(undefined, parent, now));
+      assert.isUndefined(ClusterLock.evaluate([], parent, now));
+    });
+
+    it('should lock everything with an unscoped rule', function () {
+      const lock = ClusterLock.evaluate([{ name: 'freeze', reason: 'Change freeze' }], parent, now);
+      assert.deepEqual(lock, { locked: true, reason: 'Change freeze', expires: undefined, rule: 'freeze' });
+    });
+
+    it('should respect namespace, kind and selector scopes', function () {
+      assert.isUndefined(ClusterLock.evaluate([{ namespaces: ['team-b'] }], parent, now));
+      assert.isUndefined(ClusterLock.evaluate([{ kinds: ['RemoteResource'] }], parent, now));
+      assert.isUndefined(ClusterLock.evaluate([{ selector: { matchLabels: { tier: 'dev' } } }], parent, now));
+      assert.isOk(ClusterLock.evaluate([{ namespaces: ['team-a'], kinds: ['deploy.razee.io/MustacheTemplate'], selector: { matchLabels: { tier: 'prod' } } }], parent, now));
+    });
+
+    it('should ignore expired rules and report the earliest expiry', function () {
+      assert.isUndefined(ClusterLock.evaluate([{ expires: '2022-06-01T00:00:00Z' }], parent, now));
+      const lock = ClusterLock.evaluate([{
+        expires: '2022-06-19T00:00:00Z',
+        schedule: { cron: '0 22 * * fri', duration: '48h', timezone: 'America/New_York' }
+      }], parent, now);
+      assert.equal(lock.expires, '2022-06-19T00:00:00.000Z');
+    });
+
+    it('should fail closed on invalid rules', function () {
+      const lock = ClusterLock.evaluate([{ name: 'broken', schedule: { cron: 'nope', duration: '1h' } }], parent, now);
+      assert.isTrue(lock.locked);
+      assert.include(lock.reason, 'Invalid cluster lock rule broken');
+    });
+  });
+});
@@ -0,0 +1,228 @@
+/*
+ * Copyright 2022 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const assert = require('chai').assert;
+const objectPath = require('object-path');
+const { FakeKubeApi, ChildSetController, controllerParams } = require('../lib/testing');
+
+describe('CompositeController', function () {
+  const apiVersion = 'deploy.razee.io/v1alpha2';
+  const kind = 'ChildSet';
+  let api;
+
+  function controller(type, env = { RAZEE_CHILD_OWNER_REFERENCES: 'true' }) {
+    return new ChildSetController(controllerParams(api, { apiVersion, kind, name: 'set', type, env }));
+  }
+
+  function configMap(name, namespace, labels) {
+    const metadata = { name: name };
+    if (namespace) metadata.namespace = namespace;
+    if (labels) metadata.labels = labels;
+    return { apiVersion: 'v1', kind: 'ConfigMap', metadata: metadata, data: { key: name } };
+  }
+
+  function owners(name, namespace = 'default') {
+    return objectPath.get(api.read('v1', 'ConfigMap', name, namespace), 'metadata.ownerReferences', []);
+  }
+
+  async function setChildren(children) {
+    await api.kubeResourceMeta(apiVersion, kind).mergePatch('set', 'default', { spec: { children: children } });
+  }
+
+  beforeEach(function () {
+    api = new FakeKubeApi();
+    api.register({ apiVersion: apiVersion, kind: kind });
+    api.create({ apiVersion: 'v1', kind: 'Namespace', metadata: { name: 'other' } });
+    api.create({
+      apiVersion: apiVersion,
+      kind: kind,
+      metadata: { name: 'set', namespace: 'default' },
+      spec: {
+        clusterAuth: { impersonateUser: 'razeedeploy' },
+        children: [
+          configMap('local'),
+          configMap('remote', 'other'),
+          configMap('kept', undefined, { 'deploy.razee.io/Reconcile': 'false' }),
+          { apiVersion: 'rbac.authorization.k8s.io/v1', kind: 'ClusterRole', metadata: { name: 'reader' }, rules: [] }
+        ]
+      }
+    });
+  });
+
+  describe('#applyChild()', function () {
+    it('should not publish secret values in the pending configuration diff', async function () {
+      api.create({ apiVersion: 'v1', kind: 'Secret', metadata: { name: 'creds', namespace: 'default', labels: { 'deploy.razee.io/debug': 'true' } }, data: { password: 'b2xk' } });
+      await setChildren([{ apiVersion: 'v1', kind: 'Secret', metadata: { name: 'creds' }, data: { password: 'bmV3' } }]);
+      await controller('ADDED').execute();
+      const secret = api.read('v1', 'Secret', 'creds', 'default');
+      assert.equal(secret.data.password, 'b2xk');
+      assert.include(secret.metadata.annotations['deploy.razee.io/pending-configuration-diff'], '~ data.password: <redacted> -> <redacted>');
+      const pending = api.read(apiVersion, kind, 'set', 'default').status.children['/api/v1/namespaces/default/secrets/creds'].pendingConfigurationDiff;
+      assert.include(pending.summary, '~ data.password: <redacted> -> <redacted>');
+      assert.notInclude(JSON.stringify(api.read(apiVersion, kind, 'set', 'default').status), 'bmV3');
+    });
+  });
+
+  describe('#recordEvent()', function () {
+    function applied() {
+      return api.list('v1', 'Event', 'default').filter(e => e.reason === 'ChildApplied').map(e => [e.message.split(' ').pop(), e.count]);
+    }
+
+    it('should only record ChildApplied for children an apply creates or changes', async function () {
+      await setChildren([configMap('local')]);
+      await controller('ADDED').execute();
+      await controller('POLLED').execute();
+      assert.deepEqual(applied(), [['/api/v1/namespaces/default/configmaps/local', 1]]);
+
+      await setChildren([{ ...configMap('local'), data: { key: 'changed' } }]);
+      await controller('MODIFIED').execute();
+      assert.lengthOf(applied(), 2);
+    });
+
+    it('should send events through the rate limiter of the controller', async function () {
+      await setChildren([configMap('local')]);
+      const c = controller('ADDED');
+      let acquired = 0;
+      const acquire = c.rateLimiter.acquire.bind(c.rateLimiter);
+      c.rateLimiter.acquire = () => { acquired++; return acquire(); };
+      const requests = api.requests.length;
+      await c.execute();
+      assert.isAbove(api.requests.slice(requests).filter(r => r.uri.includes('/events')).length, 0);
+      assert.equal(acquired, api.requests.length - requests);
+    });
+  });
+
+  describe('#checkDrift()', function () {
+    it('should not publish secret values in the drift report', async function () {
+      const secret = { apiVersion: 'v1', kind: 'Secret', metadata: { name: 'creds' }, data: { password: 'b2xk' } };
+      await setChildren([secret]);
+      await controller('ADDED').execute();
+      await api.kubeResourceMeta('v1', 'Secret').mergePatch('creds', 'default', { data: { password: 'ZWRpdGVk' } });
+
+      await setChildren([{ ...secret, metadata: { name: 'creds', labels: { 'deploy.razee.io/mode': 'DetectDrift' } } }]);
+      await controller('MODIFIED').execute();
+      const drift = api.read(apiVersion, kind, 'set', 'default').status.children['/api/v1/namespaces/default/secrets/creds'].drift;
+      assert.include(drift.summary, '~ data.password: expected <redacted>, found <redacted>');
+      const events = api.list('v1', 'Event', 'default').filter(e => e.reason === 'DriftDetected');
+      assert.lengthOf(events, 1);
+      assert.notMatch(events[0].message + JSON.stringify(drift), /b2xk|ZWRpdGVk/);
+    });
+
+    it('should record children of a parent detecting drift as not reconciled', async function () {
+      await setChildren([configMap('local')]);
+      await controller('ADDED').execute();
+      assert.equal(api.read(apiVersion, kind, 'set', 'default').status.children['/api/v1/namespaces/default/configmaps/local']['deploy.razee.io/Reconcile'], 'true');
+
+      await api.kubeResourceMeta(apiVersion, kind).mergePatch('set', 'default', { metadata: { labels: { 'deploy.razee.io/detect-drift': 'true' } } });
+      await controller('MODIFIED').execute();
+      assert.equal(api.read(apiVersion, kind, 'set', 'default').status.children['/api/v1/namespaces/default/configmaps/local']['deploy.razee.io/Reconcile'], 'false');
+    });
+  });
+
+  describe('#finalizerCleanup()', function () {
+    it('should keep the parent and log a child it fails to delete', async function () {
+      await controller('ADDED').execute();
+      const local = '/api/v1/namespaces/default/configmaps/local';
+      api.react(req => {
+        if (req.method === 'DELETE' && req.uri === local) {
+          return { statusCode: 500, body: { kind: 'Status', apiVersion: 'v1', status: 'Failure', code: 500 } };
+        }
+      });
+      api.delete(apiVersion, kind, 'set', 'default');
+      await controller('MODIFIED').execute();
+      const parent = api.read(apiVersion, kind, 'set', 'default');
+      assert.isDefined(parent);
+      const errors = Object.values(parent.status['razee-logs'].error).map(e => e.log);
+      assert.deepInclude(errors, {
+        name: 'RazeeError',
+        code: 'DeleteFailed',
+        message: `Failed to delete ${local}: Delete 500 ${local}`,
+        retryable: true,
+        statusCode: 500,
+        resource: local,
+        details: { selfLink: local, action: 'delete' }
+      });
+    });
+  });
+
+  describe('#_reconcileOwnerReference()', function () {
+    it('should only own children in the parent namespace that it reconciles', async function () {
+      await controller('ADDED').execute();
+      const set = api.read(apiVersion, kind, 'set', 'default');
+      assert.deepEqual(owners('local'), [{ apiVersion: apiVersion, kind: kind, name: 'set', uid: set.metadata.uid }]);
+      assert.deepEqual(owners('remote', 'other'), []);
+      assert.deepEqual(owners('kept'), []);
+      assert.isUndefined(objectPath.get(api.read('rbac.authorization.k8s.io/v1', 'ClusterRole', 'reader'), 'metadata.ownerReferences'));
+    });
+
+    it('should not add ownerReferences unless enabled', async function () {
+      await controller('ADDED', {}).execute();
+      assert.deepEqual(owners('local'), []);
+    });
+
+    it('should let the parent annotation override the config', async function () {
+      await api.kubeResourceMeta(apiVersion, kind).mergePatch('set', 'default', { metadata: { annotations: { 'deploy.razee.io/owner-references': 'true' } } });
+      await controller('ADDED', {}).execute();
+      assert.lengthOf(owners('local'), 1);
+    });
+
+    it('should keep the ownerReferences of other owners', async function () {
+      const other = { apiVersion: 'v1', kind: 'ConfigMap', name: 'other-owner', uid: 'other-uid' };
+      api.create({ ...configMap('local', 'default'), metadata: { name: 'local', namespace: 'default', ownerReferences: [other] } });
+      await controller('ADDED').execute();
+      assert.deepEqual(owners('local').map(ref => ref.uid), ['other-uid', api.read(apiVersion, kind, 'set', 'default').metadata.uid]);
+
+      // applying again doesn't write the ownerReferences again
+      const ownerPatches = () => api.requests.filter(r => r.method === 'PATCH' && objectPath.has(r.body, 'metadata.ownerReferences')).length;
+      assert.equal(ownerPatches(), 1);
+      await controller('POLLED').execute();
+      assert.equal(ownerPatches(), 1);
+    });
+
+    it('should remove its ownerReference to orphan a child set to Reconcile false', async function () {
+      await controller('ADDED').execute();
+      assert.lengthOf(owners('local'), 1);
+
+      const children = api.read(apiVersion, kind, 'set', 'default').spec.children;
+      children[0].metadata.labels = { 'deploy.razee.io/Reconcile': 'false' };
+      await setChildren(children);
+      await controller('MODIFIED').execute();
+      assert.deepEqual(owners('local'), []);
+
+      api.delete(apiVersion, kind, 'set', 'default');
+      await controller('MODIFIED').execute();
+      assert.isUndefined(api.read(apiVersion, kind, 'set', 'default'));
+      assert.isDefined(api.read('v1', 'ConfigMap', 'local', 'default'));
+    });
+
+    it('should let kubernetes garbage collect owned children when the finalizer is removed', async function () {
+      await controller('ADDED').execute();
+      api.delete(apiVersion, kind, 'set', 'default');
+      await api.kubeResourceMeta(apiVersion, kind).mergePatch('set', 'default', { metadata: { finalizers: null } });
+      assert.isUndefined(api.read(apiVersion, kind, 'set', 'default'));
+      assert.isUndefined(api.read('v1', 'ConfigMap', 'local', 'default'));
+      assert.isDefined(api.read('v1', 'ConfigMap', 'remote', 'other'));
+      assert.isDefined(api.read('v1', 'ConfigMap', 'kept', 'default'));
+    });
+
+    it('should not add ownerReferences in dry-run', async function () {
+      api.create(configMap('local', 'default'));
+      await api.kubeResourceMeta(apiVersion, kind).mergePatch('set', 'default', { metadata: { labels: { 'deploy.razee.io/dry-run': 'true' } } });
+      await controller('ADDED').execute();
+      assert.deepEqual(owners('local'), []);
+    });
+  });
+});
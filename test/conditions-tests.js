@@ -0,0 +1,78 @@
+/*
+ * Copyright 2022 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const assert = require('chai').assert;
+const { setCondition, findCondition, isConditionTrue, logMessage } = require('../lib/conditions');
+
+describe('conditions', function () {
+  const t1 = new Date('2022-06-01T00:00:00Z');
+  const t2 = new Date('2022-06-02T00:00:00Z');
+
+  describe('#setCondition()', function () {
+    it('should add a new condition', function () {
+      const conditions = setCondition([], { type: 'Ready', status: true, reason: 'ReconcileSucceeded' }, t1);
+      assert.deepEqual(conditions, [{ type: 'Ready', status: 'True', reason: 'ReconcileSucceeded', message: '', lastTransitionTime: t1.toISOString() }]);
+    });
+
+    it('should keep lastTransitionTime when status does not change', function () {
+      let conditions = setCondition([], { type: 'Ready', status: 'True', reason: 'A' }, t1);
+      conditions = setCondition(conditions, { type: 'Ready', status: 'True', reason: 'B', message: 'updated' }, t2);
+      assert.equal(conditions[0].lastTransitionTime, t1.toISOString());
+      assert.equal(conditions[0].reason, 'B');
+      assert.equal(conditions[0].message, 'updated');
+    });
+
+    it('should move lastTransitionTime when status changes', function () {
+      let conditions = setCondition([], { type: 'Ready', status: 'True' }, t1);
+      conditions = setCondition(conditions, { type: 'Ready', status: 'False' }, t2);
+      assert.equal(conditions[0].lastTransitionTime, t2.toISOString());
+    });
+
+    it('should keep the position of existing conditions and not mutate the input', function () {
+      const input = setCondition(setCondition([], { type: 'Ready', status: 'True' }, t1), { type: 'Locked', status: 'False' }, t1);
+      const conditions = setCondition(input, { type: 'Ready', status: 'False' }, t2);
+      assert.deepEqual(conditions.map(c => c.type), ['Ready', 'Locked']);
+      assert.equal(input[0].status, 'True');
+    });
+
+    it('should truncate long messages and default unknown statuses', function () {
+      const conditions = setCondition(undefined, { type: 'Degraded', status: 'maybe', message: 'x'.repeat(2000) }, t1);
+      assert.equal(conditions[0].status, 'Unknown');
+      assert.equal(conditions[0].message.length, 1024);
+    });
+  });
+
+  describe('#findCondition()/#isConditionTrue()', function () {
+    it('should find conditions by type', function () {
+      const conditions = setCondition([], { type: 'Ready', status: 'True' }, t1);
+      assert.equal(findCondition(conditions, 'Ready').status, 'True');
+      assert.isUndefined(findCondition(conditions, 'Locked'));
+      assert.isTrue(isConditionTrue(conditions, 'Ready'));
+      assert.isFalse(isConditionTrue(conditions, 'Locked'));
+      assert.isFalse(isConditionTrue(undefined, 'Ready'));
+    });
+  });
+
+  describe('#logMessage()', function () {
+    it('should pick a readable message out of razee-logs entries', function () {
+      assert.equal(logMessage('plain string'), 'plain string');
+      assert.equal(logMessage({ controller: 'BaseDownload', warn: 'download failed' }), 'download failed');
+      assert.equal(logMessage({ controller: 'FetchEnvs', message: 'env missing' }), 'env missing');
+      assert.equal(logMessage({ 'cluster-locked': true }), '{"cluster-locked":true}');
+      assert.equal(logMessage(undefined), '');
+    });
+  });
+});
@@ -0,0 +1,148 @@
+/*
+ * Copyright 2022 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const assert = require('chai').assert;
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const ConfigProvider = require('../lib/ConfigProvider');
+
+function fakeKubeClass(responses) {
+  const calls = [];
+  return {
+    calls: calls,
+    getKubeResourceMeta: async () => ({
+      get: async (name, namespace) => {
+        calls.push(`${namespace}/${name}`);
+        const res = responses.shift();
+        if (res instanceof Error) throw res;
+        return res;
+      }
+    })
+  };
+}
+
+describe('ConfigProvider', function () {
+  let dir;
+  let provider;
+  beforeEach(async function () {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'razee-config-'));
+  });
+  afterEach(async function () {
+    provider?.close();
+    await fs.remove(dir);
+  });
+
+  describe('#get()', function () {
+    it('should read mounted files', async function () {
+      await fs.writeFile(path.join(dir, 'lock-cluster'), 'true\n');
+      provider = new ConfigProvider({ dir: dir, env: {}, watch: false });
+      assert.equal(await provider.get('lock-cluster'), 'true\n');
+      assert.isUndefined(await provider.get('enable-impersonation'));
+    });
+
+    it('should let env vars override files', async function () {
+      await fs.writeFile(path.join(dir, 'lock-cluster'), 'false');
+      provider = new ConfigProvider({ dir: dir, env: { RAZEE_LOCK_CLUSTER: 'true' }, watch: false });
+      assert.equal(provider.envName('lock-cluster'), 'RAZEE_LOCK_CLUSTER');
+      assert.equal(await provider.get('lock-cluster'), 'true');
+    });
+
+    it('should fall back to the configMap', async function () {
+      const kubeClass = fakeKubeClass([{ statusCode: 200, body: { data: { 'lock-cluster': 'true' } } }]);
+      provider = new ConfigProvider({ dir: dir, env: {}, watch: false, kubeClass: kubeClass, configMap: { name: 'razeedeploy-config', namespace: 'razeedeploy' } });
+      assert.equal(await provider.get('lock-cluster'), 'true');
+      assert.isUndefined(await provider.get('enable-impersonation'));
+      assert.deepEqual(kubeClass.calls, ['razeedeploy/razeedeploy-config']);
+    });
+
+    it('should keep the last known configMap values when the api fails', async function () {
+      const kubeClass = fakeKubeClass([{ statusCode: 200, body: { data: { 'lock-cluster': 'true' } } }, Error('connection refused')]);
+      provider = new ConfigProvider({ dir: dir, env: {}, watch: false, cacheTTL: 0, kubeClass: kubeClass, configMap: { name: 'config', namespace: 'razee' } });
+      assert.equal(await provider.get('lock-cluster'), 'true');
+      assert.equal(await provider.get('lock-cluster'), 'true');
+      assert.equal(kubeClass.calls.length, 2);
+    });
+
+    it('should reject keys that escape the config dir', async function () {
+      provider = new ConfigProvider({ dir: dir, env: {}, watch: false });
+      try {
+        await provider.get('../etc/passwd');
+      } catch (e) {
+        return assert.equal(e.message, 'Invalid config key "../etc/passwd"');
+      }
+      assert.fail('should reject invalid keys');
+    });
+  });
+
+  describe('caching', function () {
+    it('should cache file values until invalidated', async function () {
+      const file = path.join(dir, 'lock-cluster');
+      await fs.writeFile(file, 'false');
+      provider = new ConfigProvider({ dir: dir, env: {}, watch: false, cacheTTL: 60000 });
+      assert.isFalse(await provider.getBoolean('lock-cluster'));
+      await fs.writeFile(file, 'true');
+      assert.isFalse(await provider.getBoolean('lock-cluster'));
+      provider.invalidate();
+      assert.isTrue(await provider.getBoolean('lock-cluster'));
+    });
+
+    it('should re-read files once cacheTTL has passed', async function () {
+      const file = path.join(dir, 'lock-cluster');
+      await fs.writeFile(file, 'false');
+      provider = new ConfigProvider({ dir: dir, env: {}, watch: false, cacheTTL: 0 });
+      assert.isFalse(await provider.getBoolean('lock-cluster'));
+      await fs.writeFile(file, 'true');
+      assert.isTrue(await provider.getBoolean('lock-cluster'));
+    });
+  });
+
+  describe('typed getters', function () {
+    it('should parse booleans, numbers, strings and yaml', async function () {
+      provider = new ConfigProvider({
+        dir: false,
+        env: {
+          RAZEE_ENABLE_IMPERSONATION: ' TRUE ',
+          RAZEE_MAX_ATTEMPTS: '5',
+          RAZEE_BAD_NUMBER: 'five',
+          RAZEE_FIELD_MANAGER: ' razee \n',
+          RAZEE_CLUSTER_LOCKS: '- name: freeze\n  namespaces: [ team-a ]\n',
+          RAZEE_BROKEN: '- [ unclosed'
+        }
+      });
+      assert.isTrue(await provider.getBoolean('enable-impersonation'));
+      assert.isTrue(await provider.getBoolean('lock-cluster', true));
+      assert.equal(await provider.getNumber('max-attempts'), 5);
+      assert.equal(await provider.getNumber('bad-number', 3), 3);
+      assert.equal(await provider.getString('field-manager'), 'razee');
+      assert.equal(await provider.getString('missing', 'default'), 'default');
+      assert.deepEqual(await provider.getYaml('cluster-locks'), [{ name: 'freeze', namespaces: ['team-a'] }]);
+      try {
+        await provider.getYaml('broken');
+      } catch (e) {
+        return assert.include(e.message, 'Unable to parse config broken');
+      }
+      assert.fail('should throw on invalid yaml');
+    });
+  });
+
+  describe('#default', function () {
+    it('should share one instance', function () {
+      assert.strictEqual(ConfigProvider.default, ConfigProvider.default);
+      assert.equal(String(ConfigProvider.default), '[object ConfigProvider]');
+    });
+  });
+});
@@ -0,0 +1,183 @@
+/*
+ * Copyright 2022 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const assert = require('chai').assert;
+const { diff, summary, drift, driftSummary, isEqual } = require('../lib/diff');
+
+const live = {
+  apiVersion: 'apps/v1',
+  kind: 'Deployment',
+  metadata: {
+    name: 'web',
+    uid: '1234',
+    labels: { tier: 'dev', 'app.kubernetes.io/name': 'web' },
+    annotations: { 'deploy.razee.io/last-applied-configuration': '{}' }
+  },
+  spec: {
+    replicas: 1,
+    progressDeadlineSeconds: 600,
+    template: { spec: { containers: [{ name: 'web', image: 'web:1' }] } }
+  },
+  status: { readyReplicas: 1 }
+};
+
+describe('diff', function () {
+  describe('#diff()', function () {
+    it('should only compare desired fields', function () {
+      const desired = { metadata: { name: 'web', labels: { tier: 'dev' } }, spec: { replicas: 1 } };
+      assert.deepEqual(diff(live, desired), { added: [], changed: [], removed: [] });
+    });
+
+    it('should report added, changed and removed fields', function () {
+      const desired = {
+        metadata: { name: 'web', labels: { 'app.kubernetes.io/name': 'web' }, annotations: { owner: 'team-a' } },
+        spec: { replicas: 3, paused: true, template: { spec: { containers: [{ name: 'web', image: 'web:2' }] } } }
+      };
+      const lastApplied = { metadata: { labels: { tier: 'dev', 'app.kubernetes.io/name': 'web' } }, spec: { replicas: 1 } };
+      const result = diff(live, desired, lastApplied);
+      assert.deepEqual(result.added, [
+        { path: 'metadata.annotations.owner', value: 'team-a' },
+        { path: 'spec.paused', value: true }
+      ]);
+      assert.deepEqual(result.changed, [
+        { path: 'spec.replicas', from: 1, to: 3 },
+        { path: 'spec.template.spec.containers', from: [{ name: 'web', image: 'web:1' }], to: [{ name: 'web', image: 'web:2' }] }
+      ]);
+      assert.deepEqual(result.removed, [{ path: 'metadata.labels.tier', value: 'dev' }]);
+    });
+
+    it('should treat null as removing the field', function () {
+      const result = diff(live, { spec: { progressDeadlineSeconds: null, minReadySeconds: null } });
+      assert.deepEqual(result.removed, [{ path: 'spec.progressDeadlineSeconds', value: 600 }]);
+    });
+
+    it('should redact the values of secret data', function () {
+      const secret = { apiVersion: 'v1', kind: 'Secret', metadata: { name: 's', labels: { a: '1' } }, data: { password: 'b2xk', user: 'YQ==' } };
+      const desired = { apiVersion: 'v1', kind: 'Secret', metadata: { name: 's', labels: { a: '2' } }, data: { password: 'bmV3', token: 'dA==' }, stringData: { extra: 'plain' } };
+      const result = diff(secret, desired, { data: { user: 'YQ==' } });
+      assert.deepEqual(result.added, [{ path: 'data.token', value: '<redacted>' }, { path: 'stringData', value: '<redacted>' }]);
+      assert.deepEqual(result.changed, [{ path: 'metadata.labels.a', from: '1', to: '2' }, { path: 'data.password', from: '<redacted>', to: '<redacted>' }]);
+      assert.deepEqual(result.removed, [{ path: 'data.user', value: '<redacted>' }]);
+      assert.notMatch(summary(result), /b2xk|bmV3|dA==|YQ==|plain/);
+      assert.include(summary(result), '~ data.password: <redacted> -> <redacted>');
+    });
+
+    it('should ignore razee bookkeeping annotations', function () {
+      const desired = { metadata: { annotations: { 'deploy.razee.io/last-applied-configuration': '{"a":1}' } } };
+      assert.deepEqual(diff(live, desired), { added: [], changed: [], removed: [] });
+    });
+  });
+
+  describe('#summary()', function () {
+    it('should render one change per line with quoted odd keys', function () {
+      const result = diff(live, { metadata: { labels: { 'app.kubernetes.io/name': 'api' } }, spec: { replicas: 2, paused: true } }, { spec: { progressDeadlineSeconds: 600 } });
+      assert.equal(summary(result), [
+        '+ spec.paused: true',
+        '~ metadata.labels["app.kubernetes.io/name"]: "web" -> "api"',
+        '~ spec.replicas: 1 -> 2',
+        '- spec.progressDeadlineSeconds: 600'
+      ].join('\n'));
+    });
+
+    it('should cap the number of lines', function () {
+      const desired = { spec: { a: 1, b: 2, c: 3 } };
+      assert.equal(summary(diff({}, desired), 2), '+ spec: {"a":1,"b":2,"c":3}');
+      assert.equal(summary(diff({ spec: {} }, desired), 2), '+ spec.a: 1\n+ spec.b: 2\n... and 1 more');
+    });
+  });
+
+  describe('#drift()', function () {
+    const applied = {
+      apiVersion: 'apps/v1',
+      kind: 'Deployment',
+      metadata: { name: 'web', labels: { tier: 'dev' }, annotations: { 'deploy.razee.io/last-applied-configuration': 'x' } },
+      spec: {
+        replicas: 1,
+        template: { spec: { containers: [{ name: 'web', image: 'web:1', env: [{ name: 'A', value: '1' }] }] } }
+      }
+    };
+
+    it('should not report defaulted or injected fields', function () {
+      const liveDeployment = {
+        apiVersion: 'apps/v1',
+        kind: 'Deployment',
+        metadata: { name: 'web', uid: '1', labels: { tier: 'dev' }, annotations: { 'deploy.razee.io/last-applied-configuration': 'y' } },
+        spec: {
+          replicas: 1,
+          strategy: { type: 'RollingUpdate' },
+          template: { spec: { containers: [{ name: 'istio-proxy', image: 'proxy:1' }, { name: 'web', image: 'web:1', imagePullPolicy: 'IfNotPresent', env: [{ name: 'A', value: '1' }] }] } }
+        }
+      };
+      assert.deepEqual(drift(liveDeployment, applied), []);
+    });
+
+    it('should report fields edited out of band', function () {
+      const edited = {
+        apiVersion: 'apps/v1',
+        kind: 'Deployment',
+        metadata: { name: 'web', labels: {} },
+        spec: { replicas: 5, template: { spec: { containers: [{ name: 'web', image: 'web:1', env: [{ name: 'A', value: '2' }] }] } } }
+      };
+      const fields = drift(edited, applied);
+      assert.deepEqual(fields, [
+        { path: 'metadata.labels.tier', expected: 'dev', actual: undefined },
+        { path: 'spec.replicas', expected: 1, actual: 5 },
+        { path: 'spec.template.spec.containers[name="web"].env[name="A"].value', expected: '1', actual: '2' }
+      ]);
+      assert.equal(driftSummary(fields), [
+        '~ metadata.labels.tier: expected "dev", found nothing',
+        '~ spec.replicas: expected 1, found 5',
+        '~ spec.template.spec.containers[name="web"].env[name="A"].value: expected "1", found "2"'
+      ].join('\n'));
+    });
+
+    it('should redact the values of secret data', function () {
+      const secret = { apiVersion: 'v1', kind: 'Secret', metadata: { name: 's' }, data: { password: 'b2xk', user: 'YQ==' } };
+      const fields = drift({ ...secret, data: { password: 'bmV3' } }, secret);
+      assert.deepEqual(fields, [
+        { path: 'data.password', expected: '<redacted>', actual: '<redacted>' },
+        { path: 'data.user', expected: '<redacted>', actual: undefined }
+      ]);
+      assert.equal(driftSummary(fields), '~ data.password: expected <redacted>, found <redacted>\n~ data.user: expected <redacted>, found nothing');
+    });
+
+    it('should match lists by the merge keys declared on the child', function () {
+      const endpoints = {
+        apiVersion: 'example.com/v1',
+        kind: 'Gateway',
+        metadata: { name: 'gw', annotations: { 'deploy.razee.io/list-merge-keys': '{"spec.endpoints": "port"}' } },
+        spec: { endpoints: [{ port: 80, path: '/' }] }
+      };
+      const live = { ...endpoints, spec: { endpoints: [{ port: 443, path: '/tls' }, { port: 80, path: '/', weight: 1 }] } };
+      assert.deepEqual(drift(live, endpoints), []);
+      live.spec.endpoints[1].path = '/v2';
+      assert.deepEqual(drift(live, endpoints).map(f => f.path), ['spec.endpoints[port=80].path']);
+    });
+
+    it('should compare plain lists by index', function () {
+      const fields = drift({ spec: { args: ['a', 'c'], hosts: ['x'] } }, { spec: { args: ['a', 'b'], hosts: ['x', 'y'] } });
+      assert.deepEqual(fields.map(f => f.path), ['spec.args[1]', 'spec.hosts']);
+    });
+  });
+
+  describe('#isEqual()', function () {
+    it('should compare deeply', function () {
+      assert.isTrue(isEqual({ a: [1, { b: 2 }] }, { a: [1, { b: 2 }] }));
+      assert.isFalse(isEqual({ a: [1, { b: 2 }] }, { a: [1, { b: 3 }] }));
+      assert.isFalse(isEqual({ a: 1 }, { a: 1, b: undefined }));
+    });
+  });
+});
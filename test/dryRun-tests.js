@@ -0,0 +1,117 @@
+/*
+ * Copyright 2022 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const assert = require('chai').assert;
+const { FakeKubeApi, ChildSetController, controllerParams } = require('../lib/testing');
+
+describe('dry-run', function () {
+  const apiVersion = 'deploy.razee.io/v1alpha2';
+  const kind = 'ChildSet';
+  const parentLink = '/apis/deploy.razee.io/v1alpha2/namespaces/default/childsets/set';
+  let api;
+
+  function controller(type) {
+    return new ChildSetController(controllerParams(api, { apiVersion, kind, name: 'set', type }));
+  }
+
+  function configMap(name, data, labels) {
+    const metadata = { name: name };
+    if (labels) metadata.labels = labels;
+    return { apiVersion: 'v1', kind: 'ConfigMap', metadata: metadata, data: data };
+  }
+
+  function configMapLink(name) {
+    return `/api/v1/namespaces/default/configmaps/${name}`;
+  }
+
+  async function update(patch) {
+    await api.kubeResourceMeta(apiVersion, kind).mergePatch('set', 'default', patch);
+  }
+
+  function read() {
+    return api.read(apiVersion, kind, 'set', 'default');
+  }
+
+  // the requests changing anything but the parent itself and its events
+  function childWrites(since) {
+    return api.requests.slice(since).filter(r => r.method !== 'GET' && !r.uri.startsWith(parentLink) && !r.uri.includes('/events'));
+  }
+
+  function events(reason) {
+    return api.list('v1', 'Event', 'default').filter(e => e.reason === reason);
+  }
+
+  beforeEach(async function () {
+    api = new FakeKubeApi();
+    api.register({ apiVersion: apiVersion, kind: kind });
+    api.create({
+      apiVersion: apiVersion,
+      kind: kind,
+      metadata: { name: 'set', namespace: 'default' },
+      spec: {
+        clusterAuth: { impersonateUser: 'razeedeploy' },
+        children: [configMap('changed', { a: '1' }), configMap('removed', { a: '1' })]
+      }
+    });
+    await controller('ADDED').execute();
+    // dry-run a cycle changing a child, creating two (one by Replace) and removing one
+    await update({
+      metadata: { labels: { 'deploy.razee.io/dry-run': 'true' } },
+      spec: { children: [configMap('changed', { a: '2' }), configMap('created', { a: '1' }), configMap('replaced', { a: '1' }, { 'deploy.razee.io/mode': 'Replace' })] }
+    });
+  });
+
+  it('should send every child write as a server-side dry-run', async function () {
+    const since = api.requests.length;
+    await controller('MODIFIED').execute();
+    const writes = childWrites(since);
+    assert.includeMembers(writes.map(r => `${r.method} ${r.uri}`), [
+      `PATCH ${configMapLink('changed')}`,
+      'POST /api/v1/namespaces/default/configmaps',
+      `DELETE ${configMapLink('removed')}`
+    ]);
+    writes.forEach(r => assert.equal(r.qs.dryRun, 'All', `${r.method} ${r.uri}`));
+  });
+
+  it('should not change the children, the parent status or record child events', async function () {
+    const before = read();
+    const applied = events('ChildApplied').length;
+    await controller('MODIFIED').execute();
+    assert.deepEqual(api.read('v1', 'ConfigMap', 'changed', 'default').data, { a: '1' });
+    assert.isUndefined(api.read('v1', 'ConfigMap', 'created', 'default'));
+    assert.isUndefined(api.read('v1', 'ConfigMap', 'replaced', 'default'));
+    assert.isDefined(api.read('v1', 'ConfigMap', 'removed', 'default'));
+    assert.deepEqual(read().status.children, before.status.children);
+    assert.lengthOf(events('ChildApplied'), applied);
+  });
+
+  it('should report the plan in status', async function () {
+    await controller('MODIFIED').execute();
+    const plan = read().status.plan;
+    assert.deepEqual(Object.keys(plan).sort(), [configMapLink('changed'), configMapLink('created'), configMapLink('removed'), configMapLink('replaced')]);
+    assert.deepInclude(plan[configMapLink('changed')], { action: 'update', mode: 'MergePatch' });
+    assert.deepInclude(plan[configMapLink('created')], { action: 'create', mode: 'MergePatch' });
+    assert.deepInclude(plan[configMapLink('replaced')], { action: 'create', mode: 'Replace' });
+    assert.equal(plan[configMapLink('removed')].action, 'delete');
+
+    // the plan goes away with the dry-run label, and the real cycle applies it
+    await update({ metadata: { labels: { 'deploy.razee.io/dry-run': null } } });
+    await controller('MODIFIED').execute();
+    assert.notProperty(read().status, 'plan');
+    assert.deepEqual(api.read('v1', 'ConfigMap', 'changed', 'default').data, { a: '2' });
+    assert.isUndefined(api.read('v1', 'ConfigMap', 'removed', 'default'));
+  });
+});
@@ -0,0 +1,100 @@
+/*
+ * Copyright 2022 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const assert = require('chai').assert;
+const { RazeeError, KubeApiError, DownloadError, EnvResolutionError, ValidationError, renderError } = require('../lib/errors');
+
+describe('errors', function () {
+  describe('KubeApiError', function () {
+    it('should keep the status code and body of the response', function () {
+      const body = { kind: 'Status', reason: 'Forbidden', message: 'configmaps "a" is forbidden' };
+      const err = KubeApiError.fromResponse({ statusCode: 403, body: body }, '/api/v1/namespaces/ns/configmaps/a', 'Get');
+      assert.instanceOf(err, RazeeError);
+      assert.instanceOf(err, Error);
+      assert.equal(err.name, 'KubeApiError');
+      assert.equal(err.statusCode, 403);
+      assert.deepEqual(err.body, body);
+      assert.equal(err.code, 'Forbidden');
+      assert.isFalse(err.retryable);
+      assert.equal(err.message, 'Get 403 /api/v1/namespaces/ns/configmaps/a: configmaps "a" is forbidden');
+    });
+
+    it('should be retryable for conflicts, throttling and server errors', function () {
+      assert.isTrue(new KubeApiError(409, {}).retryable);
+      assert.isTrue(new KubeApiError(429).retryable);
+      assert.isTrue(new KubeApiError(503, 'unavailable').retryable);
+      assert.isFalse(new KubeApiError(404, { reason: 'NotFound' }).retryable);
+      assert.equal(new KubeApiError(500).code, 'HTTP500');
+    });
+
+    it('should use the given message', function () {
+      assert.equal(new KubeApiError(422, {}, { message: 'invalid child' }).message, 'invalid child');
+    });
+  });
+
+  describe('DownloadError', function () {
+    it('should be retryable without a status code', function () {
+      const err = new DownloadError('socket hang up', { resource: 'https://example.com/a.yaml' });
+      assert.isTrue(err.retryable);
+      assert.equal(err.code, 'DownloadFailed');
+      const notFound = new DownloadError('Download failed: 404', { statusCode: 404 });
+      assert.isFalse(notFound.retryable);
+      assert.equal(notFound.code, 'HTTP404');
+    });
+  });
+
+  describe('EnvResolutionError', function () {
+    it('should default its code', function () {
+      assert.equal(new EnvResolutionError('failed to get env').code, 'EnvResolutionFailed');
+      assert.equal(new EnvResolutionError('key not found', { code: 'NotFound', statusCode: 404 }).code, 'NotFound');
+    });
+  });
+
+  describe('ValidationError', function () {
+    it('should never be retryable', function () {
+      const err = new ValidationError('bad child', { retryable: true, code: 'ImpersonationDenied' });
+      assert.isFalse(err.retryable);
+      assert.equal(err.code, 'ImpersonationDenied');
+    });
+  });
+
+  describe('#renderError()', function () {
+    it('should render razee errors as json', function () {
+      const err = new KubeApiError(404, { reason: 'NotFound', message: 'not found' }, { resource: '/api/v1/namespaces/ns/secrets/s' });
+      assert.deepEqual(renderError(err), {
+        name: 'KubeApiError',
+        code: 'NotFound',
+        message: '404 /api/v1/namespaces/ns/secrets/s: not found',
+        retryable: false,
+        statusCode: 404,
+        resource: '/api/v1/namespaces/ns/secrets/s'
+      });
+      assert.deepEqual(JSON.parse(JSON.stringify(err)), renderError(err));
+    });
+
+    it('should render the details of an error', function () {
+      const err = new RazeeError('Failed to delete /api/v1/namespaces/ns/configmaps/a', { code: 'DeleteFailed', details: { selfLink: '/api/v1/namespaces/ns/configmaps/a', action: 'delete' } });
+      assert.deepEqual(renderError(err).details, { selfLink: '/api/v1/namespaces/ns/configmaps/a', action: 'delete' });
+      assert.notProperty(renderError(new RazeeError('boom')), 'details');
+    });
+
+    it('should render other errors as before', function () {
+      assert.equal(renderError(new Error('boom')), 'boom');
+      assert.equal(renderError('boom'), 'boom');
+      assert.deepEqual(renderError({ controller: 'FetchEnvs', message: 'x' }), { controller: 'FetchEnvs', message: 'x' });
+    });
+  });
+});
@@ -0,0 +1,126 @@
+/*
+ * Copyright 2022 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const assert = require('chai').assert;
+const EventRecorder = require('../lib/EventRecorder');
+const { KubeApiError } = require('../lib/errors');
+
+let events = {};
+let failRequests = false;
+let gets = 0;
+
+const eventKrm = {
+  async get(name, namespace) {
+    gets++;
+    if (failRequests === 'status') return { statusCode: 403, body: { kind: 'Status', reason: 'Forbidden', message: 'events is forbidden' } };
+    if (failRequests) throw new Error('connection refused');
+    const event = events[`${namespace}/${name}`];
+    return event ? { statusCode: 200, body: event } : { statusCode: 404, body: {} };
+  },
+  async post(file) {
+    events[`${file.metadata.namespace}/${file.metadata.name}`] = file;
+    return { statusCode: 201, body: file };
+  },
+  async mergePatch(name, namespace, patch) {
+    const event = events[`${namespace}/${name}`];
+    if (!event) return { statusCode: 404, body: {} };
+    Object.assign(event, patch, { involvedObject: { ...event.involvedObject, ...patch.involvedObject } });
+    return { statusCode: 200, body: event };
+  }
+};
+
+const kubeClass = {
+  async getKubeResourceMeta(apiVersion, kind) {
+    return (apiVersion === 'v1' && kind === 'Event') ? eventKrm : undefined;
+  }
+};
+
+const parent = {
+  apiVersion: 'deploy.razee.io/v1alpha2',
+  kind: 'MustacheTemplate',
+  metadata: { name: 'rd-test', namespace: 'razeedeploy', uid: '1234', resourceVersion: '1' }
+};
+
+describe('EventRecorder', function () {
+  beforeEach(function () {
+    events = {};
+    failRequests = false;
+    gets = 0;
+  });
+
+  it('should fail to construct without kubeClass', function () {
+    assert.throws(() => new EventRecorder(), 'EventRecorder must have: kubeClass');
+  });
+
+  it('should create an event on the involved object', async function () {
+    const recorder = new EventRecorder({ kubeClass: kubeClass, component: 'test-controller' });
+    await recorder.record(parent, 'Normal', 'ChildApplied', 'Apply 200 /api/v1/namespaces/razeedeploy/configmaps/cm');
+    const created = Object.values(events);
+    assert.lengthOf(created, 1);
+    assert.equal(created[0].metadata.namespace, 'razeedeploy');
+    assert.match(created[0].metadata.name, /^rd-test\./);
+    assert.deepInclude(created[0].involvedObject, { kind: 'MustacheTemplate', name: 'rd-test', uid: '1234' });
+    assert.equal(created[0].type, 'Normal');
+    assert.equal(created[0].reason, 'ChildApplied');
+    assert.equal(created[0].count, 1);
+    assert.equal(created[0].source.component, 'test-controller');
+  });
+
+  it('should aggregate identical events into one with a count', async function () {
+    const recorder = new EventRecorder({ kubeClass: kubeClass });
+    await recorder.record(parent, 'Warning', 'ApplyFailed', 'boom');
+    await recorder.record({ ...parent, metadata: { ...parent.metadata, resourceVersion: '2' } }, 'Warning', 'ApplyFailed', 'boom');
+    await recorder.record(parent, 'Warning', 'ApplyFailed', 'different message');
+    const created = Object.values(events);
+    assert.lengthOf(created, 2);
+    const aggregated = created.find(e => e.message === 'boom');
+    assert.equal(aggregated.count, 2);
+    assert.equal(aggregated.involvedObject.resourceVersion, '2');
+  });
+
+  it('should bump the count of an event it recorded without reading it again', async function () {
+    const recorder = new EventRecorder({ kubeClass: kubeClass });
+    for (let i = 0; i < 3; i++) {
+      await recorder.record(parent, 'Warning', 'ApplyFailed', 'boom');
+    }
+    assert.equal(gets, 1);
+    assert.equal(Object.values(events)[0].count, 3);
+
+    // an event that expired is created again
+    events = {};
+    await recorder.record(parent, 'Warning', 'ApplyFailed', 'boom');
+    assert.equal(gets, 1);
+    assert.equal(Object.values(events)[0].count, 1);
+  });
+
+  it('should not throw when the api request fails', async function () {
+    failRequests = true;
+    const recorder = new EventRecorder({ kubeClass: kubeClass });
+    const res = await recorder.record(parent, 'Warning', 'ClusterLocked', 'locked');
+    assert.isUndefined(res);
+  });
+
+  it('should reject failed api requests with a KubeApiError', async function () {
+    failRequests = 'status';
+    const recorder = new EventRecorder({ kubeClass: kubeClass });
+    let err;
+    await recorder._record(parent, 'Warning', 'ClusterLocked', 'locked').catch(e => { err = e; });
+    assert.instanceOf(err, KubeApiError);
+    assert.equal(err.statusCode, 403);
+    assert.equal(err.code, 'Forbidden');
+    assert.isUndefined(await recorder.record(parent, 'Warning', 'ClusterLocked', 'locked'));
+  });
+});
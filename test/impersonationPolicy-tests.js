@@ -0,0 +1,167 @@
+/*
+ * Copyright 2022 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const assert = require('chai').assert;
+const ImpersonationPolicy = require('../lib/ImpersonationPolicy');
+const { FakeKubeApi, ChildSetController, controllerParams, quietLogger } = require('../lib/testing');
+const { ValidationError } = require('../lib/errors');
+
+describe('ImpersonationPolicy', function () {
+  describe('#resolveIdentity()', function () {
+    it('should default to the controller itself', function () {
+      assert.equal(ImpersonationPolicy.resolveIdentity({}, 'team-a').user, 'razeedeploy');
+      assert.equal(ImpersonationPolicy.resolveIdentity({ impersonateUser: 'razeedeploy' }, 'team-a').user, 'razeedeploy');
+    });
+
+    it('should resolve users with groups', function () {
+      const identity = ImpersonationPolicy.resolveIdentity({ impersonateUser: 'alice', impersonateGroups: ['team-a'] }, 'team-a');
+      assert.equal(identity.user, 'alice');
+      assert.deepEqual(identity.groups, ['team-a']);
+    });
+
+    it('should resolve service accounts with their implicit groups', function () {
+      const identity = ImpersonationPolicy.resolveIdentity({ impersonateUser: 'razeedeploy', impersonateServiceAccount: 'deployer' }, 'team-a');
+      assert.equal(identity.user, 'system:serviceaccount:team-a:deployer');
+      assert.equal(identity.serviceAccount, 'team-a/deployer');
+      assert.deepEqual(identity.groups, ['system:serviceaccounts', 'system:serviceaccounts:team-a']);
+      assert.equal(ImpersonationPolicy.resolveIdentity({ impersonateServiceAccount: { name: 'deployer', namespace: 'shared' } }, 'team-a').user, 'system:serviceaccount:shared:deployer');
+    });
+
+    it('should reject inconsistent clusterAuth', function () {
+      assert.throws(() => ImpersonationPolicy.resolveIdentity({ impersonateUser: 'alice', impersonateServiceAccount: 'deployer' }, 'team-a'), 'can not both be set');
+      assert.throws(() => ImpersonationPolicy.resolveIdentity({ impersonateGroups: ['team-a'] }, 'team-a'), 'requires impersonateUser or impersonateServiceAccount');
+      assert.throws(() => ImpersonationPolicy.resolveIdentity({ impersonateUser: 'alice', impersonateGroups: 'team-a' }, 'team-a'), 'must be a list');
+      assert.throws(() => ImpersonationPolicy.resolveIdentity({ impersonateGroups: ['team-a'] }, 'team-a'), ValidationError);
+    });
+  });
+
+  describe('#check()', function () {
+    const policy = {
+      'team-a': { users: ['team-a-*'], groups: ['team-a'], serviceAccounts: ['team-a/*'] },
+      '*': { serviceAccounts: ['shared/deployer'] }
+    };
+
+    it('should allow everything without a policy', function () {
+      const admin = { user: 'admin', groups: ['system:masters'], explicitGroups: ['system:masters'] };
+      assert.isUndefined(ImpersonationPolicy.check(undefined, 'team-a', admin));
+      assert.isUndefined(ImpersonationPolicy.check(null, 'team-a', admin));
+      assert.isUndefined(ImpersonationPolicy.check('', 'team-a', admin));
+      assert.isFalse(ImpersonationPolicy.configured(''));
+      assert.isTrue(ImpersonationPolicy.configured('allow-all'));
+    });
+
+    it('should allow everything with allow-all', function () {
+      assert.isUndefined(ImpersonationPolicy.check('allow-all', 'team-a', { user: 'admin', groups: ['system:masters'], explicitGroups: ['system:masters'] }));
+      assert.isString(ImpersonationPolicy.check('allow-everyone', 'team-a', { user: 'admin', groups: [], explicitGroups: [] }));
+    });
+
+    it('should allow identities listed for the namespace', function () {
+      assert.isUndefined(ImpersonationPolicy.check(policy, 'team-a', ImpersonationPolicy.resolveIdentity({ impersonateUser: 'team-a-deployer', impersonateGroups: ['team-a'] }, 'team-a')));
+      assert.isUndefined(ImpersonationPolicy.check(policy, 'team-a', ImpersonationPolicy.resolveIdentity({ impersonateServiceAccount: 'builder' }, 'team-a')));
+      assert.isUndefined(ImpersonationPolicy.check(policy, 'team-b', ImpersonationPolicy.resolveIdentity({ impersonateServiceAccount: { name: 'deployer', namespace: 'shared' } }, 'team-b')));
+    });
+
+    it('should deny identities not listed for the namespace', function () {
+      assert.equal(ImpersonationPolicy.check(policy, 'team-b', ImpersonationPolicy.resolveIdentity({ impersonateUser: 'team-a-deployer' }, 'team-b')),
+        'user team-a-deployer is not allowed for parents in namespace team-b');
+      assert.equal(ImpersonationPolicy.check(policy, 'team-a', ImpersonationPolicy.resolveIdentity({ impersonateUser: 'team-a-deployer', impersonateGroups: ['system:masters'] }, 'team-a')),
+        'groups system:masters are not allowed for parents in namespace team-a');
+      assert.equal(ImpersonationPolicy.check(policy, 'team-b', ImpersonationPolicy.resolveIdentity({ impersonateServiceAccount: { name: 'builder', namespace: 'team-a' } }, 'team-b')),
+        'service account team-a/builder is not allowed for parents in namespace team-b');
+    });
+
+    it('should deny everything with a malformed policy', function () {
+      assert.isString(ImpersonationPolicy.check(['team-a'], 'team-a', { user: 'alice', groups: [], explicitGroups: [] }));
+    });
+  });
+
+  describe('BaseController#processImpersonation()', function () {
+    const apiVersion = 'deploy.razee.io/v1alpha2';
+    const kind = 'ChildSet';
+    let api;
+
+    function controller(namespace, env, logger = quietLogger) {
+      return new ChildSetController(controllerParams(api, { apiVersion, kind, name: 'set', namespace, env, logger }));
+    }
+
+    function parent(namespace, clusterAuth = { impersonateUser: 'alice' }) {
+      api.create({ apiVersion: apiVersion, kind: kind, metadata: { name: 'set', namespace: namespace }, spec: { clusterAuth: clusterAuth, children: [{ apiVersion: 'v1', kind: 'ConfigMap', metadata: { name: 'cm' } }] } });
+    }
+
+    function impersonated() {
+      return api.requests.filter(r => r.uri.includes('/configmaps')).map(r => r.headers['impersonate-user']);
+    }
+
+    function denials(namespace) {
+      return api.list('v1', 'Event', namespace).filter(e => e.reason === 'ImpersonationDenied');
+    }
+
+    beforeEach(function () {
+      api = new FakeKubeApi();
+      api.register({ apiVersion: apiVersion, kind: kind });
+    });
+
+    it('should impersonate with a deprecation warning when no policy is configured', async function () {
+      const warnings = [];
+      parent('team-a');
+      await controller('team-a', { RAZEE_ENABLE_IMPERSONATION: 'true' }, { ...quietLogger, warn: msg => warnings.push(msg) }).execute();
+      assert.isDefined(api.read('v1', 'ConfigMap', 'cm', 'team-a'));
+      assert.isTrue(impersonated().every(user => user === 'alice'));
+      assert.lengthOf(denials('team-a'), 0);
+      assert.lengthOf(warnings.filter(w => w.includes('without an impersonation-policy is deprecated')), 1);
+    });
+
+    it('should impersonate in the razeedeploy namespace when no policy is configured', async function () {
+      parent('razeedeploy');
+      await controller('razeedeploy', {}).execute();
+      assert.isDefined(api.read('v1', 'ConfigMap', 'cm', 'razeedeploy'));
+      assert.isTrue(impersonated().every(user => user === 'alice'));
+    });
+
+    it('should deny identities the policy does not allow', async function () {
+      parent('team-a');
+      await controller('team-a', { RAZEE_ENABLE_IMPERSONATION: 'true', RAZEE_IMPERSONATION_POLICY: JSON.stringify({ 'team-a': { users: ['bob'] } }) }).execute();
+      assert.isUndefined(api.read('v1', 'ConfigMap', 'cm', 'team-a'));
+      assert.lengthOf(denials('team-a'), 1);
+      assert.include(denials('team-a')[0].message, 'user alice is not allowed for parents in namespace team-a');
+    });
+
+    it('should report an invalid clusterAuth as a validation error', async function () {
+      parent('team-a', { impersonateUser: 'alice', impersonateServiceAccount: 'deployer' });
+      await controller('team-a', { RAZEE_ENABLE_IMPERSONATION: 'true' }).execute();
+      assert.isUndefined(api.read('v1', 'ConfigMap', 'cm', 'team-a'));
+      const errors = Object.values(api.read(apiVersion, kind, 'set', 'team-a').status['razee-logs'].error);
+      assert.deepInclude(errors[0].log, { name: 'ValidationError', code: 'InvalidClusterAuth' });
+    });
+
+    it('should impersonate anyone with the allow-all policy', async function () {
+      parent('team-a');
+      await controller('team-a', { RAZEE_ENABLE_IMPERSONATION: 'true', RAZEE_IMPERSONATION_POLICY: 'allow-all' }).execute();
+      assert.isDefined(api.read('v1', 'ConfigMap', 'cm', 'team-a'));
+      assert.isNotEmpty(impersonated());
+      assert.isTrue(impersonated().every(user => user === 'alice'));
+      assert.lengthOf(denials('team-a'), 0);
+    });
+  });
+
+  describe('#globMatch()', function () {
+    it('should only treat * as a wildcard', function () {
+      assert.isTrue(ImpersonationPolicy.globMatch('team-*', 'team-a'));
+      assert.isFalse(ImpersonationPolicy.globMatch('team.a', 'teamXa'));
+      assert.isTrue(ImpersonationPolicy.globMatch('system:serviceaccount:*:deployer', 'system:serviceaccount:team-a:deployer'));
+    });
+  });
+});
@@ -0,0 +1,74 @@
+/*
+ * Copyright 2022 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const assert = require('chai').assert;
+const LastApplied = require('../lib/lastApplied');
+
+const configMap = {
+  apiVersion: 'v1',
+  kind: 'ConfigMap',
+  metadata: { name: 'big', namespace: 'default' },
+  data: { payload: 'x'.repeat(50000) }
+};
+
+describe('lastApplied', function () {
+  describe('#encode()', function () {
+    it('should keep small values as plain json', function () {
+      const json = JSON.stringify({ kind: 'ConfigMap' });
+      assert.deepEqual(LastApplied.encode(json), { value: json, companion: false });
+    });
+
+    it('should compress values over the compress threshold', function () {
+      const encoded = LastApplied.encode(JSON.stringify(configMap));
+      assert.isFalse(encoded.companion);
+      assert.match(encoded.value, /^gzip\+base64:/);
+      assert.isBelow(encoded.value.length, 1000);
+    });
+
+    it('should ask for a companion over the companion threshold', function () {
+      const encoded = LastApplied.encode(JSON.stringify(configMap), { compressThreshold: Infinity, companionThreshold: 1000 });
+      assert.isTrue(encoded.companion);
+      assert.equal(encoded.value, JSON.stringify(configMap));
+    });
+  });
+
+  describe('#decode()', function () {
+    it('should read plain and compressed values', function () {
+      assert.deepEqual(LastApplied.decode(JSON.stringify(configMap)), configMap);
+      assert.deepEqual(LastApplied.decode(LastApplied.compress(JSON.stringify(configMap))), configMap);
+      assert.deepEqual(LastApplied.decode({ kind: 'ConfigMap' }), { kind: 'ConfigMap' });
+    });
+
+    it('should refuse refs', function () {
+      assert.throws(() => LastApplied.decode('ref:ConfigMap/default/razeedeploy-last-applied-1234'), 'must be read from its companion resource');
+    });
+  });
+
+  describe('refs', function () {
+    it('should format and parse refs', function () {
+      const ref = { kind: 'Secret', namespace: 'default', name: LastApplied.companionName('/api/v1/namespaces/default/secrets/big') };
+      assert.match(ref.name, /^razeedeploy-last-applied-[0-9a-f]{16}$/);
+      const value = LastApplied.formatRef(ref);
+      assert.isTrue(LastApplied.isRef(value));
+      assert.deepEqual(LastApplied.parseRef(value), ref);
+      assert.throws(() => LastApplied.parseRef('ref:Deployment/default/x'), 'invalid last-applied-configuration reference');
+    });
+
+    it('should name companions per child', function () {
+      assert.notEqual(LastApplied.companionName('/api/v1/namespaces/a/configmaps/x'), LastApplied.companionName('/api/v1/namespaces/b/configmaps/x'));
+    });
+  });
+});
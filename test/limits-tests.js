@@ -0,0 +1,147 @@
+/*
+ * Copyright 2022 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const assert = require('chai').assert;
+const { ConcurrencyLimiter, RateLimiter, throttle, throttleKubeClass } = require('../lib/limits');
+const { FakeKubeApi, controllerParams } = require('../lib/testing');
+const CompositeController = require('../lib/CompositeController');
+
+function tick() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+describe('limits', function () {
+  describe('ConcurrencyLimiter', function () {
+    it('should run at most concurrency tasks at a time, in order', async function () {
+      const limiter = new ConcurrencyLimiter(2);
+      const started = [];
+      const release = {};
+      const tasks = [1, 2, 3, 4].map(i => limiter.run(() => new Promise(resolve => { started.push(i); release[i] = resolve; })));
+      await tick();
+      assert.deepEqual(started, [1, 2]);
+      assert.equal(limiter.active, 2);
+      assert.equal(limiter.pending, 2);
+      release[2]();
+      await tick();
+      assert.deepEqual(started, [1, 2, 3]);
+      release[1]();
+      release[3]();
+      await tick();
+      release[4]();
+      await Promise.all(tasks);
+      assert.equal(limiter.active, 0);
+    });
+
+    it('should release the slot of a failed task', async function () {
+      const limiter = new ConcurrencyLimiter(1);
+      try {
+        await limiter.run(async () => { throw Error('boom'); });
+        assert.fail('should have thrown');
+      } catch (e) {
+        assert.equal(e.message, 'boom');
+      }
+      assert.equal(await limiter.run(async () => 'next'), 'next');
+      assert.equal(limiter.active, 0);
+    });
+
+    it('should not limit when concurrency is 0', async function () {
+      const limiter = new ConcurrencyLimiter(0);
+      let running = 0;
+      const tasks = [1, 2, 3].map(() => limiter.run(async () => { running++; await tick(); }));
+      await tick();
+      assert.equal(running, 3);
+      await Promise.all(tasks);
+    });
+  });
+
+  describe('RateLimiter', function () {
+    it('should allow a burst, then qps', function () {
+      let now = 0;
+      const limiter = new RateLimiter({ qps: 10, burst: 2, now: () => now });
+      assert.equal(limiter.reserve(), 0);
+      assert.equal(limiter.reserve(), 0);
+      assert.equal(limiter.reserve(), 100);
+      assert.equal(limiter.reserve(), 200);
+      now = 1000; // 10 tokens refilled, capped at the burst
+      assert.equal(limiter.reserve(), 0);
+      assert.equal(limiter.reserve(), 0);
+      assert.equal(limiter.reserve(), 100);
+    });
+
+    it('should not wait when qps is 0', async function () {
+      const limiter = new RateLimiter({ qps: 0 });
+      for (let i = 0; i < 1000; i++) {
+        assert.equal(limiter.reserve(), 0);
+      }
+      await limiter.acquire();
+    });
+
+    it('should keep settings that are not reconfigured', function () {
+      const limiter = new RateLimiter({ qps: 5, burst: 10 });
+      limiter.configure({ qps: undefined, burst: 20 });
+      assert.equal(limiter.qps, 5);
+      assert.equal(limiter.burst, 20);
+    });
+  });
+
+  describe('#throttle()', function () {
+    it('should wait for the rate limiter once per api request', async function () {
+      const api = new FakeKubeApi();
+      let acquired = 0;
+      const limiter = { acquire: async () => { acquired++; } };
+      const kubeClass = throttleKubeClass(api.kubeClass, limiter);
+      const krm = await kubeClass.getKubeResourceMeta('v1', 'ConfigMap');
+      await krm.post({ apiVersion: 'v1', kind: 'ConfigMap', metadata: { name: 'cm', namespace: 'default' } });
+      await krm.get('cm', 'default'); // calls request internally
+      assert.equal(acquired, 2);
+      assert.equal(krm.uri({ name: 'cm', namespace: 'default' }), '/api/v1/namespaces/default/configmaps/cm');
+      assert.isTrue(krm.namespaced);
+      assert.strictEqual(throttle(krm, limiter), krm);
+      krm.addHeader('Impersonate-User', 'someone');
+      await krm.get('cm', 'default');
+      assert.equal(api.requests[2].headers['impersonate-user'], 'someone');
+    });
+  });
+
+  describe('CompositeController#applyChild()', function () {
+    it('should apply the items of nested Lists with bounded concurrency', async function () {
+      const api = new FakeKubeApi();
+      api.register({ apiVersion: 'deploy.razee.io/v1alpha2', kind: 'ConfigMapSet' });
+      const parent = api.create({ apiVersion: 'deploy.razee.io/v1alpha2', kind: 'ConfigMapSet', metadata: { name: 'set', namespace: 'default' }, spec: {} });
+      let running = 0;
+      let maxRunning = 0;
+      class Counting extends CompositeController {
+        async _applyChild(child) {
+          if (child.kind === 'List') return await super._applyChild(child);
+          maxRunning = Math.max(maxRunning, ++running);
+          try {
+            await tick();
+            return await super._applyChild(child);
+          } finally {
+            running--;
+          }
+        }
+      }
+      const controller = new Counting(controllerParams(api, { apiVersion: parent.apiVersion, kind: parent.kind, name: 'set', childConcurrency: 2 }));
+      const configMap = (name) => ({ apiVersion: 'v1', kind: 'ConfigMap', metadata: { name: name, namespace: 'default' }, data: {} });
+      const list = (items) => ({ apiVersion: 'v1', kind: 'List', items: items });
+      const res = await controller.applyChild(list([list([configMap('a'), configMap('b'), configMap('c')]), list([configMap('d'), configMap('e')])]));
+      assert.equal(res.statusCode, 201);
+      assert.equal(api.list('v1', 'ConfigMap', 'default').length, 5);
+      assert.equal(maxRunning, 2);
+    });
+  });
+});
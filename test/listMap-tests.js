@@ -0,0 +1,95 @@
+/*
+ * Copyright 2022 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const assert = require('chai').assert;
+const clone = require('clone');
+const ListMap = require('../lib/listMap');
+
+function deployment(containers) {
+  return { apiVersion: 'apps/v1', kind: 'Deployment', metadata: { name: 'web' }, spec: { template: { spec: { containers: containers } } } };
+}
+
+const lastApplied = deployment([
+  { name: 'web', image: 'web:1', command: ['run'], env: [{ name: 'A', value: '1' }, { name: 'B', value: '2' }], ports: [{ containerPort: 80 }, { containerPort: 443 }] },
+  { name: 'cache', image: 'cache:1' }
+]);
+
+const live = deployment([
+  { name: 'web', image: 'web:1', command: ['run'], imagePullPolicy: 'IfNotPresent', env: [{ name: 'A', value: '1' }, { name: 'B', value: '2' }, { name: 'INJECTED', value: 'x' }], ports: [{ containerPort: 80, protocol: 'TCP' }, { containerPort: 443, protocol: 'TCP' }] },
+  { name: 'cache', image: 'cache:1' },
+  { name: 'istio-proxy', image: 'proxy:1' }
+]);
+
+const desired = deployment([
+  { name: 'web', image: 'web:2', env: [{ name: 'A', value: '1' }], ports: [{ containerPort: 80 }] }
+]);
+
+describe('listMap', function () {
+  describe('#mergeKey()', function () {
+    it('should know well-known list-maps', function () {
+      assert.equal(ListMap.mergeKey(['spec', 'template', 'spec', 'containers'], 'Deployment'), 'name');
+      assert.equal(ListMap.mergeKey(['spec', 'containers', '*', 'ports'], 'Pod'), 'containerPort');
+      assert.equal(ListMap.mergeKey(['spec', 'ports'], 'Service'), 'port');
+      assert.isUndefined(ListMap.mergeKey(['spec', 'ports'], 'Ingress'));
+      assert.isUndefined(ListMap.mergeKey(['spec', 'template', 'spec', 'tolerations'], 'Deployment'));
+    });
+  });
+
+  describe('#reconcile()', function () {
+    it('should keep foreign elements and fields under merge patch', function () {
+      const result = ListMap.reconcile(clone(desired), live, lastApplied);
+      assert.deepEqual(result.spec.template.spec.containers, [
+        { name: 'web', image: 'web:2', imagePullPolicy: 'IfNotPresent', env: [{ name: 'A', value: '1' }, { name: 'INJECTED', value: 'x' }], ports: [{ containerPort: 80, protocol: 'TCP' }] },
+        { name: 'istio-proxy', image: 'proxy:1' }
+      ]);
+    });
+
+    it('should emit delete directives and null removed fields under strategic merge patch', function () {
+      const result = ListMap.reconcile(clone(desired), live, lastApplied, { strategic: true });
+      assert.deepEqual(result.spec.template.spec.containers, [
+        { name: 'web', image: 'web:2', command: null, env: [{ name: 'A', value: '1' }, { name: 'B', $patch: 'delete' }], ports: [{ containerPort: 80 }, { containerPort: 443, $patch: 'delete' }] },
+        { name: 'cache', $patch: 'delete' }
+      ]);
+    });
+
+    it('should keep every live element without a last-applied', function () {
+      const result = ListMap.reconcile(clone(desired), live, undefined);
+      assert.deepEqual(result.spec.template.spec.containers.map(c => c.name), ['web', 'cache', 'istio-proxy']);
+      assert.deepEqual(result.spec.template.spec.containers[0].env.map(e => e.name), ['A', 'B', 'INJECTED']);
+    });
+
+    it('should leave lists alone when an element has no merge key', function () {
+      const result = ListMap.reconcile(deployment([{ image: 'web:2' }]), live, lastApplied);
+      assert.deepEqual(result.spec.template.spec.containers, [{ image: 'web:2' }]);
+    });
+
+    it('should honour custom merge keys from the annotation', function () {
+      const custom = {
+        apiVersion: 'example.com/v1',
+        kind: 'Gateway',
+        metadata: { name: 'gw', annotations: { [ListMap.ANNOTATION]: '{"spec.listeners": "port"}' } },
+        spec: { listeners: [{ port: 80, name: 'http' }] }
+      };
+      const result = ListMap.reconcile(custom, { spec: { listeners: [{ port: 80 }, { port: 8080 }] } }, { spec: { listeners: [{ port: 80 }, { port: 443 }] } }, { strategic: true });
+      assert.deepEqual(result.spec.listeners, [{ port: 80, name: 'http' }, { port: 443, $patch: 'delete' }]);
+    });
+
+    it('should reject a malformed annotation', function () {
+      const custom = { metadata: { annotations: { [ListMap.ANNOTATION]: '[ port ]' } } };
+      assert.throws(() => ListMap.reconcile(custom, {}, {}), 'must map field paths to merge keys');
+    });
+  });
+});
@@ -0,0 +1,101 @@
+/*
+ * Copyright 2022 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const assert = require('chai').assert;
+const { Registry, coreMetrics } = require('../lib/metrics');
+
+describe('metrics', function () {
+  let registry;
+  beforeEach(function () {
+    registry = new Registry();
+  });
+
+  describe('#counter()', function () {
+    it('should count per label set and render', function () {
+      const counter = registry.counter('test_total', 'A test counter.', ['mode', 'code']);
+      counter.inc({ mode: 'Apply', code: 200 });
+      counter.inc({ mode: 'Apply', code: 200 });
+      counter.inc({ mode: 'EnsureExists', code: 201 }, 3);
+      assert.equal(counter.get({ mode: 'Apply', code: 200 }), 2);
+      assert.equal(registry.render(), [
+        '# HELP test_total A test counter.',
+        '# TYPE test_total counter',
+        'test_total{mode="Apply",code="200"} 2',
+        'test_total{mode="EnsureExists",code="201"} 3',
+        ''
+      ].join('\n'));
+    });
+
+    it('should return the registered metric when registered twice, and fail on a type mismatch', function () {
+      const counter = registry.counter('test_total', 'A test counter.');
+      assert.strictEqual(registry.counter('test_total', 'A test counter.'), counter);
+      assert.throws(() => registry.gauge('test_total', 'A test gauge.'), 'Metric test_total is already registered as a counter');
+    });
+
+    it('should escape label values', function () {
+      registry.counter('test_total', 'A test counter.', ['uri']).inc({ uri: 'a"b\\c\nd' });
+      assert.include(registry.render(), 'test_total{uri="a\\"b\\\\c\\nd"} 1');
+    });
+  });
+
+  describe('#gauge()', function () {
+    it('should set, dec and remove values', function () {
+      const gauge = registry.gauge('test_children', 'A test gauge.', ['name']);
+      gauge.set({ name: 'a' }, 5);
+      gauge.dec({ name: 'a' });
+      gauge.set({ name: 'b' }, 1);
+      gauge.remove({ name: 'b' });
+      assert.include(registry.render(), '# TYPE test_children gauge\ntest_children{name="a"} 4');
+      assert.notInclude(registry.render(), 'name="b"');
+    });
+  });
+
+  describe('#histogram()', function () {
+    it('should render cumulative buckets, sum and count', function () {
+      const histogram = registry.histogram('test_seconds', 'A test histogram.', ['result'], [1, 0.1]);
+      histogram.observe({ result: 'success' }, 0.05);
+      histogram.observe({ result: 'success' }, 0.5);
+      histogram.observe({ result: 'success' }, 2);
+      assert.equal(registry.render(), [
+        '# HELP test_seconds A test histogram.',
+        '# TYPE test_seconds histogram',
+        'test_seconds_bucket{result="success",le="0.1"} 1',
+        'test_seconds_bucket{result="success",le="1"} 2',
+        'test_seconds_bucket{result="success",le="+Inf"} 3',
+        'test_seconds_sum{result="success"} 2.55',
+        'test_seconds_count{result="success"} 3',
+        ''
+      ].join('\n'));
+    });
+
+    it('should time with labels known at the end', function () {
+      const histogram = registry.histogram('test_seconds', 'A test histogram.', ['event', 'result']);
+      const end = histogram.startTimer({ event: 'ADDED' });
+      const seconds = end({ result: 'error' });
+      assert.isAtLeast(seconds, 0);
+      assert.equal(histogram.get({ event: 'ADDED', result: 'error' }).count, 1);
+    });
+  });
+
+  describe('#coreMetrics()', function () {
+    it('should register the core metrics once per registry', function () {
+      const first = coreMetrics(registry);
+      const second = coreMetrics(registry);
+      assert.strictEqual(first.childApplies, second.childApplies);
+      assert.include(registry.render(), '# TYPE razeedeploy_reconcile_duration_seconds histogram');
+    });
+  });
+});
@@ -0,0 +1,251 @@
+/*
+ * Copyright 2022 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const assert = require('chai').assert;
+const objectPath = require('object-path');
+const Ownership = require('../lib/ownership');
+const { FakeKubeApi, ChildSetController, controllerParams } = require('../lib/testing');
+
+function managed(manager) {
+  return { metadata: { annotations: { 'deploy.razee.io/managed-by': manager } } };
+}
+
+describe('ownership', function () {
+  describe('#managedBy()', function () {
+    it('should return the stamped parent', function () {
+      assert.equal(Ownership.managedBy(managed('/a')), '/a');
+      assert.isUndefined(Ownership.managedBy(managed('')));
+      assert.isUndefined(Ownership.managedBy({ metadata: {} }));
+      assert.isUndefined(Ownership.managedBy(undefined));
+    });
+  });
+
+  describe('#conflict()', function () {
+    it('should return another parent managing the object', function () {
+      assert.equal(Ownership.conflict(managed('/a'), '/b'), '/a');
+      assert.isUndefined(Ownership.conflict(managed('/a'), '/a'));
+      assert.isUndefined(Ownership.conflict({ metadata: {} }, '/a'));
+    });
+  });
+
+  describe('#adopting()', function () {
+    it('should read the adopt annotation', function () {
+      assert.isTrue(Ownership.adopting({ metadata: { annotations: { 'deploy.razee.io/adopt': 'True' } } }));
+      assert.isTrue(Ownership.adopting({ metadata: { annotations: { 'deploy.razee.io/adopt': true } } }));
+      assert.isFalse(Ownership.adopting({ metadata: { annotations: { 'deploy.razee.io/adopt': 'no' } } }));
+      assert.isFalse(Ownership.adopting({ metadata: {} }));
+    });
+  });
+
+  describe('#adopts()', function () {
+    it('should not adopt a child back into the parent it was adopted from', function () {
+      const child = { metadata: { annotations: { 'deploy.razee.io/adopt': 'true' } } };
+      const adopted = { metadata: { annotations: { 'deploy.razee.io/managed-by': '/b', 'deploy.razee.io/adopted-from': '/a' } } };
+      assert.isTrue(Ownership.adopts(child, managed('/a'), '/b'));
+      assert.isTrue(Ownership.adopts(child, adopted, '/c'));
+      assert.isFalse(Ownership.adopts(child, adopted, '/a'));
+      assert.isFalse(Ownership.adopts({ metadata: {} }, managed('/a'), '/b'));
+    });
+  });
+
+  describe('#policy()', function () {
+    it('should default to Refuse', function () {
+      assert.equal(Ownership.policy('warn'), 'Warn');
+      assert.equal(Ownership.policy('Refuse'), 'Refuse');
+      assert.equal(Ownership.policy('ignore'), 'Refuse');
+    });
+  });
+
+  describe('#stamp()', function () {
+    it('should set the annotation, even when annotations is null', function () {
+      assert.equal(Ownership.managedBy(Ownership.stamp({ metadata: { annotations: null } }, '/a')), '/a');
+      assert.equal(Ownership.managedBy(Ownership.stamp(managed('/a'), '/b')), '/b');
+    });
+  });
+
+  describe('CompositeController', function () {
+    const apiVersion = 'deploy.razee.io/v1alpha2';
+    const kind = 'ChildSet';
+    let api;
+
+    function controller(name, type, env = {}) {
+      return new ChildSetController(controllerParams(api, { apiVersion, kind, name, type, env }));
+    }
+
+    function selfLink(name) {
+      return api.kubeResourceMeta(apiVersion, kind).uri({ name: name, namespace: 'default' });
+    }
+
+    function shared(value, annotations) {
+      const metadata = { name: 'shared' };
+      if (annotations) metadata.annotations = annotations;
+      return { apiVersion: 'v1', kind: 'ConfigMap', metadata: metadata, data: { value: value } };
+    }
+
+    function parent(name, children) {
+      api.create({ apiVersion: apiVersion, kind: kind, metadata: { name: name, namespace: 'default' }, spec: { clusterAuth: { impersonateUser: 'razeedeploy' }, children: children } });
+    }
+
+    async function setChildren(name, children) {
+      await api.kubeResourceMeta(apiVersion, kind).mergePatch(name, 'default', { spec: { children: children } });
+    }
+
+    function live() {
+      return api.read('v1', 'ConfigMap', 'shared', 'default');
+    }
+
+    function owners() {
+      return objectPath.get(live(), 'metadata.ownerReferences', []).map(ref => ref.uid);
+    }
+
+    function statusChildren(name) {
+      return Object.keys(objectPath.get(api.read(apiVersion, kind, name, 'default'), 'status.children', {}));
+    }
+
+    function events(reason) {
+      return api.list('v1', 'Event', 'default').filter(e => e.reason === reason);
+    }
+
+    beforeEach(async function () {
+      api = new FakeKubeApi();
+      api.register({ apiVersion: apiVersion, kind: kind });
+      parent('a', [shared('a')]);
+      await controller('a', 'ADDED').execute();
+    });
+
+    it('should stamp applied children with their parent', function () {
+      assert.equal(Ownership.managedBy(live()), selfLink('a'));
+      assert.deepEqual(statusChildren('a'), ['/api/v1/namespaces/default/configmaps/shared']);
+    });
+
+    it('should refuse a child managed by another parent', async function () {
+      parent('b', [shared('b')]);
+      await controller('b', 'ADDED').execute();
+      assert.equal(live().data.value, 'a');
+      assert.equal(Ownership.managedBy(live()), selfLink('a'));
+      assert.deepEqual(statusChildren('b'), []);
+      const refused = events('ApplyFailed');
+      assert.lengthOf(refused, 1);
+      assert.include(refused[0].message, `is managed by ${selfLink('a')}`);
+    });
+
+    it('should apply a child managed by another parent with a warning when the policy is Warn', async function () {
+      parent('b', [shared('b')]);
+      await controller('b', 'ADDED', { RAZEE_CHILD_CONFLICT_POLICY: 'Warn' }).execute();
+      assert.equal(live().data.value, 'b');
+      assert.equal(Ownership.managedBy(live()), selfLink('a'));
+      assert.lengthOf(events('ChildConflict'), 1);
+
+      // it stays with a, b letting go of it leaves it on the cluster
+      await setChildren('b', []);
+      await controller('b', 'MODIFIED').execute();
+      assert.isDefined(live());
+      assert.deepEqual(statusChildren('b'), []);
+    });
+
+    it('should not add an ownerReference to a child it applies managed by another parent', async function () {
+      const owning = { RAZEE_CHILD_OWNER_REFERENCES: 'true' };
+      await controller('a', 'POLLED', owning).execute();
+      parent('b', [shared('b')]);
+      await controller('b', 'ADDED', { ...owning, RAZEE_CHILD_CONFLICT_POLICY: 'Warn' }).execute();
+      assert.equal(live().data.value, 'b');
+      assert.deepEqual(owners(), [api.read(apiVersion, kind, 'a', 'default').metadata.uid]);
+    });
+
+    it('should take over the ownerReference of the parent it adopts a child from', async function () {
+      const owning = { RAZEE_CHILD_OWNER_REFERENCES: 'true' };
+      await controller('a', 'POLLED', owning).execute();
+      assert.deepEqual(owners(), [api.read(apiVersion, kind, 'a', 'default').metadata.uid]);
+      parent('b', [shared('b', { 'deploy.razee.io/adopt': 'true' })]);
+      await controller('b', 'ADDED', owning).execute();
+      assert.deepEqual(owners(), [api.read(apiVersion, kind, 'b', 'default').metadata.uid]);
+
+      // kubernetes garbage collecting the previous parent leaves the child alone
+      api.delete(apiVersion, kind, 'a', 'default');
+      await api.kubeResourceMeta(apiVersion, kind).mergePatch('a', 'default', { metadata: { finalizers: null } });
+      assert.isUndefined(api.read(apiVersion, kind, 'a', 'default'));
+      assert.equal(live().data.value, 'b');
+    });
+
+    it('should hand a child over to a parent adopting it', async function () {
+      parent('b', [shared('b', { 'deploy.razee.io/adopt': 'true' })]);
+      await controller('b', 'ADDED').execute();
+      assert.equal(live().data.value, 'b');
+      assert.equal(Ownership.managedBy(live()), selfLink('b'));
+      assert.lengthOf(events('ChildAdopted'), 1);
+
+      // the previous parent can no longer apply it, and doesn't delete it when it lets go of it
+      await controller('a', 'POLLED').execute();
+      assert.equal(live().data.value, 'b');
+      await setChildren('a', []);
+      await controller('a', 'MODIFIED').execute();
+      assert.isDefined(live());
+      assert.deepEqual(statusChildren('a'), []);
+
+      api.delete(apiVersion, kind, 'a', 'default');
+      await controller('a', 'MODIFIED').execute();
+      assert.isUndefined(api.read(apiVersion, kind, 'a', 'default'));
+      assert.isDefined(live());
+    });
+
+    it('should not take a child back from the parent that adopted it', async function () {
+      const adopt = { 'deploy.razee.io/adopt': 'true' };
+      await setChildren('a', [shared('a', adopt)]);
+      await controller('a', 'MODIFIED').execute();
+      parent('b', [shared('b', adopt)]);
+      await controller('b', 'ADDED').execute();
+      assert.equal(Ownership.managedBy(live()), selfLink('b'));
+      assert.equal(Ownership.adoptedFrom(live()), selfLink('a'));
+
+      // both keep asking to adopt it, it stays with b
+      await controller('a', 'POLLED').execute();
+      await controller('b', 'POLLED').execute();
+      await controller('a', 'POLLED').execute();
+      assert.equal(live().data.value, 'b');
+      assert.equal(Ownership.managedBy(live()), selfLink('b'));
+      assert.equal(Ownership.adoptedFrom(live()), selfLink('a'));
+      assert.lengthOf(events('ChildAdopted'), 1);
+      assert.include(events('ApplyFailed')[0].message, `is managed by ${selfLink('b')}, which adopted it from this parent`);
+    });
+
+    it('should ensure a resource another parent manages exists without claiming it', async function () {
+      parent('b', [{ ...shared('b'), metadata: { name: 'shared', labels: { 'deploy.razee.io/mode': 'EnsureExists' } } }]);
+      await controller('b', 'ADDED').execute();
+      assert.lengthOf(events('ApplyFailed'), 0);
+      assert.equal(live().data.value, 'a');
+      assert.equal(Ownership.managedBy(live()), selfLink('a'));
+
+      // b letting go of it leaves it with a
+      api.delete(apiVersion, kind, 'b', 'default');
+      await controller('b', 'MODIFIED').execute();
+      assert.isUndefined(api.read(apiVersion, kind, 'b', 'default'));
+      assert.isDefined(live());
+    });
+
+    it('should not delete a child taken over by another parent when finalizing', async function () {
+      parent('b', [shared('b', { 'deploy.razee.io/adopt': 'true' })]);
+      await controller('b', 'ADDED').execute();
+      api.delete(apiVersion, kind, 'a', 'default');
+      await controller('a', 'MODIFIED').execute();
+      assert.isUndefined(api.read(apiVersion, kind, 'a', 'default'));
+      assert.equal(live().data.value, 'b');
+
+      api.delete(apiVersion, kind, 'b', 'default');
+      await controller('b', 'MODIFIED').execute();
+      assert.isUndefined(live());
+    });
+  });
+});
@@ -0,0 +1,88 @@
+/*
+ * Copyright 2022 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const assert = require('chai').assert;
+const RazeeLogs = require('../lib/razeeLogs');
+
+const t0 = new Date('2022-06-01T10:00:00.000Z');
+const t1 = new Date('2022-06-01T10:05:00.000Z');
+
+describe('razeeLogs', function () {
+  describe('#record()', function () {
+    it('should start a new entry', function () {
+      assert.deepEqual(RazeeLogs.record(undefined, 'boom', { now: t0 }), {
+        log: 'boom', firstSeen: t0.toISOString(), lastSeen: t0.toISOString(), count: 1
+      });
+    });
+
+    it('should count occurrences and keep firstSeen', function () {
+      const entry = RazeeLogs.record(RazeeLogs.record(undefined, 'boom', { now: t0 }), 'boom', { now: t1 });
+      assert.deepEqual(entry, { log: 'boom', firstSeen: t0.toISOString(), lastSeen: t1.toISOString(), count: 2 });
+    });
+
+    it('should start over from entries written by older versions', function () {
+      const entry = RazeeLogs.record({ controller: 'FetchEnvs', message: 'x' }, { controller: 'FetchEnvs', message: 'x' }, { now: t1 });
+      assert.equal(entry.count, 1);
+      assert.equal(entry.firstSeen, t1.toISOString());
+    });
+
+    it('should truncate large logs', function () {
+      const entry = RazeeLogs.record(undefined, { controller: 'BaseDownload', warn: 'x'.repeat(100), url: 'https://example.com' }, { now: t0, maxLogLength: 50 });
+      assert.deepEqual(entry.log, { message: `${'x'.repeat(47)}...`, truncated: true });
+    });
+  });
+
+  describe('#entryPatch()', function () {
+    it('should null the fields of entries written by older versions', function () {
+      const entry = RazeeLogs.record(undefined, 'x', { now: t0 });
+      assert.deepEqual(RazeeLogs.entryPatch({ controller: 'FetchEnvs', message: 'x' }, entry), { ...entry, controller: null, message: null });
+      assert.deepEqual(RazeeLogs.entryPatch('x', entry), entry);
+      assert.deepEqual(RazeeLogs.entryPatch(entry, entry), entry);
+    });
+  });
+
+  describe('#evict()', function () {
+    it('should drop the least recently seen entries', function () {
+      const entries = {
+        a: RazeeLogs.record(undefined, 'a', { now: t1 }),
+        b: RazeeLogs.record(undefined, 'b', { now: t0 }),
+        c: 'legacy',
+        d: null
+      };
+      assert.deepEqual(RazeeLogs.evict(entries, 3), []);
+      assert.deepEqual(RazeeLogs.evict(entries, 1), ['c', 'b']);
+      assert.deepEqual(RazeeLogs.evict(entries, 1, 'b'), ['c', 'a']);
+    });
+  });
+
+  describe('#resolve()', function () {
+    it('should add resolved entries in front and stay bounded', function () {
+      const a = RazeeLogs.record(undefined, 'a', { now: t0 });
+      let history = RazeeLogs.resolve(undefined, [{ level: 'error', hash: 'a', entry: a }], { now: t1, size: 2 });
+      assert.deepEqual(history, [{ level: 'error', hash: 'a', ...a, resolved: t1.toISOString() }]);
+      history = RazeeLogs.resolve(history, [{ level: 'warn', hash: 'b', entry: 'legacy' }, { level: 'warn', hash: 'c', entry: 'other' }], { now: t1, size: 2 });
+      assert.deepEqual(history.map(h => h.hash), ['b', 'c']);
+      assert.deepEqual(history[0], { level: 'warn', hash: 'b', log: 'legacy', firstSeen: null, lastSeen: null, count: 1, resolved: t1.toISOString() });
+    });
+
+    it('should keep one history item per log', function () {
+      const history = [{ level: 'error', hash: 'a', log: 'a', count: 1 }, { level: 'warn', hash: 'a', log: 'a', count: 1 }];
+      const resolved = RazeeLogs.resolve(history, [{ level: 'error', hash: 'a', entry: RazeeLogs.record(undefined, 'a', { now: t1 }) }], { now: t1 });
+      assert.deepEqual(resolved.map(h => `${h.level}/${h.hash}`), ['error/a', 'warn/a']);
+      assert.equal(resolved[0].lastSeen, t1.toISOString());
+    });
+  });
+});
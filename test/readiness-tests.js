@@ -0,0 +1,240 @@
+/*
+ * Copyright 2022 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const assert = require('chai').assert;
+const objectPath = require('object-path');
+const Readiness = require('../lib/readiness');
+const { ValidationError } = require('../lib/errors');
+const { FakeKubeApi, controllerParams } = require('../lib/testing');
+const CompositeController = require('../lib/CompositeController');
+
+function deployment(status, spec = { replicas: 2 }) {
+  return { apiVersion: 'apps/v1', kind: 'Deployment', metadata: { name: 'app', generation: 3 }, spec: spec, status: status };
+}
+
+describe('readiness', function () {
+  describe('#check()', function () {
+    it('should wait for a deployment rollout to complete', function () {
+      assert.equal(Readiness.check(deployment({ observedGeneration: 2, replicas: 2, updatedReplicas: 2, availableReplicas: 2 })).reason, 'RolloutPending');
+      assert.deepEqual(Readiness.check(deployment({ observedGeneration: 3, replicas: 3, updatedReplicas: 1, availableReplicas: 2 })), { state: 'InProgress', reason: 'RolloutInProgress', message: '1 of 2 updated replicas' });
+      assert.equal(Readiness.check(deployment({ observedGeneration: 3, replicas: 3, updatedReplicas: 2, availableReplicas: 2 })).message, '1 old replicas are pending termination');
+      assert.equal(Readiness.check(deployment({ observedGeneration: 3, replicas: 2, updatedReplicas: 2, availableReplicas: 1 })).message, '1 of 2 updated replicas are available');
+      assert.deepEqual(Readiness.check(deployment({ observedGeneration: 3, replicas: 2, updatedReplicas: 2, availableReplicas: 2 })), { state: 'Ready', reason: 'RolloutComplete', message: '' });
+    });
+
+    it('should fail a deployment past its progress deadline', function () {
+      const status = { observedGeneration: 3, conditions: [{ type: 'Progressing', status: 'False', reason: 'ProgressDeadlineExceeded', message: 'ReplicaSet "app-1" has timed out progressing.' }] };
+      assert.deepEqual(Readiness.check(deployment(status)), { state: 'Failed', reason: 'ProgressDeadlineExceeded', message: 'ReplicaSet "app-1" has timed out progressing.' });
+    });
+
+    it('should check statefulsets and daemonsets', function () {
+      const sts = { apiVersion: 'apps/v1', kind: 'StatefulSet', metadata: { generation: 1 }, spec: { replicas: 2 }, status: { observedGeneration: 1, readyReplicas: 2, currentRevision: 'a', updateRevision: 'b' } };
+      assert.equal(Readiness.check(sts).state, 'InProgress');
+      sts.status.currentRevision = 'b';
+      assert.equal(Readiness.check(sts).state, 'Ready');
+      sts.spec.updateStrategy = { type: 'RollingUpdate', rollingUpdate: { partition: 1 } };
+      sts.status.updatedReplicas = 1;
+      assert.equal(Readiness.check(sts).state, 'Ready');
+
+      const ds = { apiVersion: 'apps/v1', kind: 'DaemonSet', metadata: { generation: 1 }, status: { observedGeneration: 1, desiredNumberScheduled: 3, updatedNumberScheduled: 3, numberAvailable: 2 } };
+      assert.equal(Readiness.check(ds).message, '2 of 3 updated pods are available');
+      ds.status.numberAvailable = 3;
+      assert.equal(Readiness.check(ds).state, 'Ready');
+    });
+
+    it('should check jobs', function () {
+      const job = { apiVersion: 'batch/v1', kind: 'Job', spec: { completions: 2 }, status: { succeeded: 1 } };
+      assert.deepEqual(Readiness.check(job), { state: 'InProgress', reason: 'JobRunning', message: '1 of 2 completions' });
+      job.status.conditions = [{ type: 'Complete', status: 'True' }];
+      assert.equal(Readiness.check(job).state, 'Ready');
+      job.status.conditions = [{ type: 'Failed', status: 'True', reason: 'BackoffLimitExceeded', message: 'Job has reached the specified backoff limit' }];
+      assert.deepEqual(Readiness.check(job), { state: 'Failed', reason: 'BackoffLimitExceeded', message: 'Job has reached the specified backoff limit' });
+    });
+
+    it('should check that crds are established', function () {
+      const crd = { apiVersion: 'apiextensions.k8s.io/v1', kind: 'CustomResourceDefinition', status: { conditions: [{ type: 'NamesAccepted', status: 'True' }] } };
+      assert.equal(Readiness.check(crd).state, 'InProgress');
+      crd.status.conditions.push({ type: 'Established', status: 'True' });
+      assert.equal(Readiness.check(crd).state, 'Ready');
+      crd.status.conditions[0] = { type: 'NamesAccepted', status: 'False', reason: 'MultipleNamesNotAllowed' };
+      assert.equal(Readiness.check(crd).state, 'Failed');
+    });
+
+    it('should use the Ready condition of other kinds', function () {
+      assert.deepEqual(Readiness.check({ apiVersion: 'v1', kind: 'ConfigMap', metadata: { name: 'a' } }), { state: 'Ready', reason: 'Exists', message: '' });
+      const widget = { apiVersion: 'example.com/v1', kind: 'Widget', metadata: { generation: 2 }, status: { observedGeneration: 2, conditions: [{ type: 'Ready', status: 'False', reason: 'Provisioning', message: 'creating' }] } };
+      assert.deepEqual(Readiness.check(widget), { state: 'InProgress', reason: 'Provisioning', message: 'creating' });
+      widget.status.conditions[0].status = 'True';
+      assert.equal(Readiness.check(widget).state, 'Ready');
+      widget.metadata.generation = 3;
+      assert.equal(Readiness.check(widget).reason, 'UpdatePending');
+      assert.equal(Readiness.check(undefined).reason, 'NotFound');
+    });
+  });
+
+  describe('#mode()', function () {
+    it('should read the annotation, case insensitive', function () {
+      assert.equal(Readiness.mode({ metadata: {} }), 'None');
+      assert.equal(Readiness.mode({ metadata: {} }, 'Poll'), 'Poll');
+      assert.equal(Readiness.mode({ metadata: { annotations: { 'deploy.razee.io/readiness': 'wait' } } }, 'Poll'), 'Wait');
+      assert.throws(() => Readiness.mode({ kind: 'Job', metadata: { name: 'j', annotations: { 'deploy.razee.io/readiness': 'always' } } }), ValidationError, /Job\/j/);
+    });
+  });
+
+  describe('#rollup()', function () {
+    it('should roll children up into a condition', function () {
+      assert.isUndefined(Readiness.rollup({ '/a': {}, '/b': { readiness: null } }));
+      assert.deepEqual(Readiness.rollup({ '/a': { readiness: { state: 'Ready' } }, '/b': {} }), { status: 'True', reason: 'ChildrenReady', message: '1 of 1 ready' });
+      assert.deepEqual(Readiness.rollup({ '/a': { readiness: { state: 'Ready' } }, '/b': { readiness: { state: 'InProgress', reason: 'JobRunning', message: '0 of 1 completions' } } }),
+        { status: 'False', reason: 'ChildrenNotReady', message: '1 of 2 ready, waiting for /b: 0 of 1 completions' });
+      assert.deepEqual(Readiness.rollup({ '/a': { readiness: { state: 'Failed', reason: 'BackoffLimitExceeded', message: '' } }, '/b': { readiness: { state: 'InProgress', reason: 'JobRunning' } } }),
+        { status: 'False', reason: 'ChildFailed', message: '/a: BackoffLimitExceeded' });
+    });
+  });
+
+  describe('CompositeController', function () {
+    const apiVersion = 'deploy.razee.io/v1alpha2';
+    const kind = 'AppSet';
+    const selfLink = '/apis/apps/v1/namespaces/default/deployments/app';
+    let api;
+
+    class AppSet extends CompositeController {
+      async added() {
+        for (const child of objectPath.get(this.data, 'object.spec.children', [])) {
+          const res = await this.applyChild(child);
+          if (res.statusCode < 200 || res.statusCode >= 300) {
+            return Promise.reject(res);
+          }
+        }
+        await this.reconcileChildren();
+      }
+    }
+
+    // applies the children side by side, as the controllers do
+    class ConcurrentAppSet extends CompositeController {
+      async added() {
+        await this.applyChildren(objectPath.get(this.data, 'object.spec.children', []));
+        await this.reconcileChildren();
+      }
+    }
+
+    async function reconcile(env = {}, Controller = AppSet) {
+      // POLLED is the periodic resync, it reconciles whether or not the parent changed
+      const controller = new Controller(controllerParams(api, { apiVersion, kind, name: 'set', type: 'POLLED', env }));
+      await controller.execute();
+      return api.read(apiVersion, kind, 'set', 'default');
+    }
+
+    function condition(parent, type) {
+      return parent.status.conditions.find(c => c.type === type);
+    }
+
+    async function rollOut() {
+      await api.kubeResourceMeta('apps/v1', 'Deployment').mergePatch('app', 'default', { status: { observedGeneration: 1, replicas: 1, updatedReplicas: 1, availableReplicas: 1 } }, { status: true });
+    }
+
+    beforeEach(function () {
+      api = new FakeKubeApi();
+      api.register({ apiVersion: apiVersion, kind: kind });
+      api.create({
+        apiVersion: apiVersion,
+        kind: kind,
+        metadata: { name: 'set', namespace: 'default' },
+        spec: {
+          clusterAuth: { impersonateUser: 'razeedeploy' },
+          children: [
+            { apiVersion: 'apps/v1', kind: 'Deployment', metadata: { name: 'app' }, spec: { replicas: 1 } },
+            { apiVersion: 'v1', kind: 'ConfigMap', metadata: { name: 'config' }, data: { a: '1' } }
+          ]
+        }
+      });
+    });
+
+    it('should not check readiness by default', async function () {
+      const parent = await reconcile();
+      assert.notProperty(parent.status.children[selfLink], 'readiness');
+      assert.isUndefined(condition(parent, 'ChildrenReady'));
+      assert.equal(condition(parent, 'Ready').status, 'True');
+    });
+
+    it('should poll readiness across cycles and roll it up into Ready', async function () {
+      let parent = await reconcile({ RAZEE_CHILD_READINESS: 'Poll' });
+      assert.equal(parent.status.children[selfLink].readiness.state, 'InProgress');
+      assert.equal(parent.status.children['/api/v1/namespaces/default/configmaps/config'].readiness.state, 'Ready');
+      assert.deepInclude(condition(parent, 'ChildrenReady'), { status: 'False', reason: 'ChildrenNotReady' });
+      assert.deepInclude(condition(parent, 'Ready'), { status: 'False', reason: 'ChildrenNotReady' });
+      assert.deepInclude(condition(parent, 'Reconciling'), { status: 'True', reason: 'WaitingForChildren' });
+
+      await rollOut();
+      parent = await reconcile({ RAZEE_CHILD_READINESS: 'Poll' });
+      assert.equal(parent.status.children[selfLink].readiness.state, 'Ready');
+      assert.deepInclude(condition(parent, 'ChildrenReady'), { status: 'True', reason: 'ChildrenReady', message: '2 of 2 ready' });
+      assert.deepInclude(condition(parent, 'Ready'), { status: 'True', reason: 'ReconcileSucceeded' });
+
+      parent = await reconcile();
+      assert.notProperty(parent.status.children[selfLink], 'readiness');
+      assert.deepInclude(condition(parent, 'ChildrenReady'), { status: 'True', reason: 'ReadinessNotChecked' });
+    });
+
+    it('should wait for children annotated to be waited for', async function () {
+      const set = api.read(apiVersion, kind, 'set', 'default');
+      set.spec.children[0].metadata.annotations = { 'deploy.razee.io/readiness': 'Wait' };
+      await api.kubeResourceMeta(apiVersion, kind).mergePatch('set', 'default', { spec: { children: set.spec.children } });
+      const timer = setTimeout(rollOut, 50);
+      try {
+        const parent = await reconcile({ RAZEE_CHILD_READINESS_INTERVAL: '0.01', RAZEE_CHILD_READINESS_TIMEOUT: '5' });
+        assert.equal(parent.status.children[selfLink].readiness.state, 'Ready');
+        assert.notProperty(parent.status.children['/api/v1/namespaces/default/configmaps/config'], 'readiness');
+        assert.equal(condition(parent, 'Ready').status, 'True');
+      } finally {
+        clearTimeout(timer);
+      }
+    });
+
+    it('should apply the other children while waiting for one', async function () {
+      const set = api.read(apiVersion, kind, 'set', 'default');
+      set.spec.children[0].metadata.annotations = { 'deploy.razee.io/readiness': 'Wait' };
+      set.spec.children.push({ apiVersion: 'apps/v1', kind: 'Deployment', metadata: { name: 'worker' }, spec: { replicas: 1 } });
+      await api.kubeResourceMeta(apiVersion, kind).mergePatch('set', 'default', { spec: { children: set.spec.children } });
+      // app only rolls out once worker, in the same wave, is applied
+      api.react(req => {
+        if (req.method === 'POST' && objectPath.get(req.body, 'metadata.name') === 'worker') {
+          setImmediate(rollOut);
+        }
+      });
+      const env = { RAZEE_CHILD_APPLY_CONCURRENCY: '1', RAZEE_CHILD_READINESS_INTERVAL: '0.01', RAZEE_CHILD_READINESS_TIMEOUT: '0.5' };
+      const parent = await reconcile(env, ConcurrentAppSet);
+      assert.isDefined(api.read('apps/v1', 'Deployment', 'worker', 'default'));
+      assert.equal(parent.status.children[selfLink].readiness.state, 'Ready');
+      assert.equal(condition(parent, 'Ready').status, 'True');
+    });
+
+    it('should stop waiting after the timeout', async function () {
+      const parent = await reconcile({ RAZEE_CHILD_READINESS: 'Wait', RAZEE_CHILD_READINESS_INTERVAL: '0.01', RAZEE_CHILD_READINESS_TIMEOUT: '0.05' });
+      assert.equal(parent.status.children[selfLink].readiness.state, 'InProgress');
+      assert.equal(condition(parent, 'Ready').reason, 'ChildrenNotReady');
+    });
+
+    it('should reject an invalid readiness annotation', async function () {
+      const set = api.read(apiVersion, kind, 'set', 'default');
+      set.spec.children[0].metadata.annotations = { 'deploy.razee.io/readiness': 'eventually' };
+      await api.kubeResourceMeta(apiVersion, kind).mergePatch('set', 'default', { spec: { children: set.spec.children } });
+      const parent = await reconcile();
+      assert.isUndefined(api.read('apps/v1', 'Deployment', 'app', 'default'));
+      assert.equal(condition(parent, 'Ready').reason, 'ReconcileFailed');
+    });
+  });
+});
@@ -0,0 +1,126 @@
+/*
+ * Copyright 2022 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const assert = require('chai').assert;
+const RetryPolicy = require('../lib/RetryPolicy');
+const { DownloadError, KubeApiError, ValidationError } = require('../lib/errors');
+
+describe('RetryPolicy', function () {
+  describe('#isRetryable()', function () {
+    it('should retry conflicts, throttling and server errors only', function () {
+      const policy = new RetryPolicy();
+      assert.isTrue(policy.isRetryable({ statusCode: 409 }));
+      assert.isTrue(policy.isRetryable({ statusCode: 429 }));
+      assert.isTrue(policy.isRetryable({ statusCode: 503 }));
+      assert.isFalse(policy.isRetryable({ statusCode: 404 }));
+      assert.isFalse(policy.isRetryable({ statusCode: 422 }));
+      assert.isFalse(policy.isRetryable(new Error('no status')));
+      assert.isFalse(policy.isRetryable('string error'));
+    });
+
+    it('should honour retryable on errors without a status code', function () {
+      const policy = new RetryPolicy({ retryableStatusCodes: [429] });
+      assert.isTrue(policy.isRetryable(new DownloadError('socket hang up')));
+      assert.isFalse(policy.isRetryable(new ValidationError('bad child')));
+      assert.isFalse(policy.isRetryable(new KubeApiError(409, { reason: 'Conflict' })));
+    });
+  });
+
+  describe('#delay()', function () {
+    it('should back off exponentially up to maxDelay', function () {
+      const policy = new RetryPolicy({ baseDelay: 100, maxDelay: 350, jitter: 0 });
+      assert.equal(policy.delay(1), 100);
+      assert.equal(policy.delay(2), 200);
+      assert.equal(policy.delay(3), 350);
+    });
+
+    it('should keep jittered delays within the backoff window', function () {
+      const policy = new RetryPolicy({ baseDelay: 100, jitter: 0.5 });
+      for (let i = 0; i < 20; i++) {
+        const delay = policy.delay(2);
+        assert.isAtLeast(delay, 100);
+        assert.isAtMost(delay, 200);
+      }
+    });
+
+    it('should honor retry-after headers', function () {
+      const policy = new RetryPolicy({ maxDelay: 5000 });
+      assert.equal(policy.delay(1, { statusCode: 429, response: { headers: { 'retry-after': '2' } } }), 2000);
+    });
+
+    it('should honor retry-after headers of api errors and responses', function () {
+      const policy = new RetryPolicy({ maxDelay: 5000 });
+      const res = { statusCode: 429, body: { kind: 'Status', reason: 'TooManyRequests' }, headers: { 'retry-after': '3' } };
+      assert.equal(policy.delay(1, KubeApiError.fromResponse(res, '/api/v1/namespaces/ns/configmaps/a')), 3000);
+      assert.equal(policy.delay(1, res), 3000);
+    });
+  });
+
+  describe('#run()', function () {
+    it('should retry until success and pass the attempt number', async function () {
+      const policy = new RetryPolicy({ maxAttempts: 3, baseDelay: 1 });
+      const attempts = [];
+      const retries = [];
+      const res = await policy.run(async (attempt) => {
+        attempts.push(attempt);
+        if (attempt < 3) throw { statusCode: 409 };
+        return 'done';
+      }, { onRetry: (e, attempt) => retries.push(attempt) });
+      assert.equal(res, 'done');
+      assert.deepEqual(attempts, [1, 2, 3]);
+      assert.deepEqual(retries, [1, 2]);
+    });
+
+    it('should give up after maxAttempts', async function () {
+      const policy = new RetryPolicy({ maxAttempts: 2, baseDelay: 1 });
+      let calls = 0;
+      try {
+        await policy.run(async () => {
+          calls++;
+          throw { statusCode: 500 };
+        });
+      } catch (e) {
+        assert.equal(e.statusCode, 500);
+        return assert.equal(calls, 2);
+      }
+      assert.fail('should reject once attempts are exhausted');
+    });
+
+    it('should not retry non-retryable errors', async function () {
+      const policy = new RetryPolicy({ maxAttempts: 5, baseDelay: 1 });
+      let calls = 0;
+      try {
+        await policy.run(async () => {
+          calls++;
+          throw { statusCode: 404 };
+        });
+      } catch (e) {
+        return assert.equal(calls, 1);
+      }
+      assert.fail('should reject non-retryable errors');
+    });
+
+    it('should use shouldRetry when given', async function () {
+      const policy = new RetryPolicy({ maxAttempts: 3, baseDelay: 1 });
+      let calls = 0;
+      const res = await policy.run(async () => {
+        if (++calls < 2) throw { statusCode: 422 };
+        return calls;
+      }, { shouldRetry: (e) => e.statusCode !== 404 });
+      assert.equal(res, 2);
+    });
+  });
+});
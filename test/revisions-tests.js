@@ -0,0 +1,309 @@
+/*
+ * Copyright 2022 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const assert = require('chai').assert;
+const yaml = require('js-yaml');
+const Revisions = require('../lib/revisions');
+const { FakeKubeApi, controllerParams } = require('../lib/testing');
+const BaseTemplateController = require('../lib/BaseTemplateController');
+const BaseDownloadController = require('../lib/BaseDownloadController');
+const ConfigProvider = require('../lib/ConfigProvider');
+
+const t0 = new Date('2022-06-01T10:00:00.000Z');
+const t1 = new Date('2022-06-01T10:05:00.000Z');
+
+function configMap(name, data) {
+  return { apiVersion: 'v1', kind: 'ConfigMap', metadata: { name: name }, data: data };
+}
+
+function secret(v) {
+  return { apiVersion: 'v1', kind: 'Secret', metadata: { name: 's' }, data: { v: Buffer.from(v).toString('base64') } };
+}
+
+// a child that fails to apply, after the ConfigMaps of its set were applied
+const broken = { apiVersion: 'apps/v1', kind: 'Deployment', metadata: { name: 'app', annotations: { 'deploy.razee.io/apply-wave': 'last' } }, spec: {} };
+
+describe('revisions', function () {
+  describe('#record()', function () {
+    it('should add new child sets as the next revision', function () {
+      let { index, entry, dropped } = Revisions.record([], { hash: 'a', sources: { generation: 1 }, now: t0 });
+      assert.deepEqual(entry, { revision: 1, hash: 'a', created: t0.toISOString(), applied: t0.toISOString(), sources: { generation: 1 } });
+      ({ index, entry, dropped } = Revisions.record(index, { hash: 'b', now: t1 }));
+      assert.equal(entry.revision, 2);
+      assert.deepEqual(index.map(r => r.revision), [2, 1]);
+      assert.deepEqual(dropped, []);
+    });
+
+    it('should move a child set applied again to the front, keeping its revision', function () {
+      let { index } = Revisions.record([], { hash: 'a', now: t0 });
+      ({ index } = Revisions.record(index, { hash: 'b', now: t0 }));
+      const { index: updated, entry } = Revisions.record(index, { hash: 'a', now: t1 });
+      assert.deepInclude(entry, { revision: 1, created: t0.toISOString(), applied: t1.toISOString() });
+      assert.deepEqual(updated.map(r => r.revision), [1, 2]);
+    });
+
+    it('should drop the least recently applied revisions, but not the one to keep', function () {
+      let index = [];
+      ['a', 'b', 'c'].forEach(h => { index = Revisions.record(index, { hash: h }, { limit: 3 }).index; });
+      let result = Revisions.record(index, { hash: 'd' }, { limit: 3, keep: 1 });
+      assert.deepEqual(result.index.map(r => r.revision), [4, 3, 1]);
+      assert.deepEqual(result.dropped, [2]);
+      result = Revisions.record(result.index, { hash: 'e' }, { limit: 3 });
+      assert.deepEqual(result.dropped, [1]);
+    });
+  });
+
+  describe('#lastGood()', function () {
+    it('should skip the failed child set', function () {
+      const index = [{ revision: 2, hash: 'b' }, { revision: 1, hash: 'a' }];
+      assert.equal(Revisions.lastGood(index, 'b').revision, 1);
+      assert.equal(Revisions.lastGood(index, 'x').revision, 2);
+      assert.isUndefined(Revisions.lastGood([{ revision: 1, hash: 'a' }], 'a'));
+    });
+  });
+
+  describe('#encode()', function () {
+    it('should keep secret data out of the history', function () {
+      const children = [
+        { apiVersion: 'v1', kind: 'Secret', metadata: { name: 's' }, data: { password: 'c2VjcmV0' } },
+        { apiVersion: 'v1', kind: 'List', items: [{ apiVersion: 'v1', kind: 'Secret', metadata: { name: 't' }, stringData: { token: 'x' } }, configMap('a', { k: 'v' })] }
+      ];
+      const decoded = Revisions.decode(Revisions.encode(children));
+      assert.notInclude(JSON.stringify(decoded), 'c2VjcmV0');
+      assert.notInclude(JSON.stringify(decoded), 'token');
+      assert.deepEqual(Revisions.restorable(decoded), [{ apiVersion: 'v1', kind: 'List', items: [configMap('a', { k: 'v' })] }]);
+      assert.property(children[0], 'data');
+    });
+  });
+
+  describe('#redacted()', function () {
+    it('should find the redacted secrets of a stored revision', function () {
+      const secret = { apiVersion: 'v1', kind: 'Secret', metadata: { name: 's' }, data: { password: 'c2VjcmV0' } };
+      const stored = Revisions.decode(Revisions.encode([configMap('a', {}), { apiVersion: 'v1', kind: 'List', items: [secret] }]));
+      assert.deepEqual(Revisions.redacted(stored).map(c => c.metadata.name), ['s']);
+      assert.notProperty(Revisions.redacted(stored)[0], 'data');
+      assert.deepEqual(Revisions.redacted([configMap('a', {})]), []);
+    });
+  });
+
+  describe('controllers', function () {
+    const apiVersion = 'deploy.razee.io/v1alpha2';
+    let api;
+
+    function env(extra = {}) {
+      return new ConfigProvider({ dir: false, env: extra });
+    }
+
+    function history(kind) {
+      const selfLink = `/apis/${apiVersion}/namespaces/default/${kind.toLowerCase()}s/set`;
+      return api.read('v1', 'ConfigMap', Revisions.companionName(selfLink), 'default') || assert.fail(`no revision history for ${selfLink}`);
+    }
+
+    function data(name) {
+      const cm = api.read('v1', 'ConfigMap', name, 'default');
+      return cm && cm.data;
+    }
+
+    describe('BaseTemplateController', function () {
+      const kind = 'TemplateSet';
+
+      class TemplateSet extends BaseTemplateController {
+        async processTemplate(templates) {
+          return templates;
+        }
+      }
+
+      async function reconcile(config = env()) {
+        const controller = new TemplateSet(controllerParams(api, { apiVersion, kind, name: 'set', type: 'POLLED', configProvider: config }));
+        await controller.execute();
+        return api.read(apiVersion, kind, 'set', 'default');
+      }
+
+      async function update(patch) {
+        await api.kubeResourceMeta(apiVersion, kind).mergePatch('set', 'default', patch);
+      }
+
+      beforeEach(function () {
+        api = new FakeKubeApi();
+        api.register({ apiVersion: apiVersion, kind: kind });
+        api.create({
+          apiVersion: apiVersion,
+          kind: kind,
+          metadata: { name: 'set', namespace: 'default' },
+          spec: { clusterAuth: { impersonateUser: 'razeedeploy' }, templates: [configMap('a', { v: '1' })] }
+        });
+      });
+
+      it('should record a revision per applied child set', async function () {
+        let parent = await reconcile();
+        assert.deepEqual(parent.status.revision, { revision: 1, hash: Revisions.parse(history(kind))[0].hash, pinned: false });
+        parent = await reconcile();
+        assert.equal(parent.status.revision.revision, 1);
+
+        await update({ spec: { templates: [configMap('a', { v: '2' })] } });
+        parent = await reconcile();
+        assert.equal(parent.status.revision.revision, 2);
+        const cm = history(kind);
+        assert.deepEqual(Revisions.parse(cm).map(r => r.revision), [2, 1]);
+        assert.deepEqual(Revisions.decode(cm.data['revision-1']).map(c => c.data), [{ v: '1' }]);
+        assert.equal(cm.metadata.ownerReferences[0].uid, parent.metadata.uid);
+      });
+
+      it('should not keep a history when it is disabled', async function () {
+        const parent = await reconcile(env({ RAZEE_REVISION_HISTORY_LIMIT: '0' }));
+        assert.notProperty(parent.status, 'revision');
+        assert.deepEqual(api.list('v1', 'ConfigMap', 'default').map(cm => cm.metadata.name), ['a']);
+      });
+
+      it('should log a revision it can not record', async function () {
+        api.react(req => {
+          if (req.method === 'POST' && req.uri.endsWith('/configmaps') && req.body.metadata.name.startsWith('razeedeploy-revisions')) {
+            return { statusCode: 403, body: { kind: 'Status', apiVersion: 'v1', status: 'Failure', code: 403 } };
+          }
+        });
+        const parent = await reconcile();
+        assert.deepEqual(data('a'), { v: '1' });
+        assert.notProperty(parent.status, 'revision');
+        assert.include(JSON.stringify(parent.status['razee-logs'].warn), 'Unable to record the revision');
+      });
+
+      it('should leave a half applied set in place unless auto-rollback is enabled', async function () {
+        await reconcile();
+        await update({ spec: { templates: [configMap('a', { v: '2' }), configMap('b', { v: '2' }), broken] } });
+        const parent = await reconcile();
+        assert.equal(parent.status.conditions.find(c => c.type === 'Ready').reason, 'ReconcileFailed');
+        assert.deepEqual(data('a'), { v: '2' });
+        assert.deepEqual(data('b'), { v: '2' });
+        assert.equal(parent.status.revision.revision, 1);
+      });
+
+      it('should roll back to the last good revision when applying fails partway', async function () {
+        await reconcile();
+        await update({ spec: { templates: [configMap('a', { v: '2' }), configMap('b', { v: '2' }), broken] } });
+        const parent = await reconcile(env({ RAZEE_AUTO_ROLLBACK: 'true' }));
+        assert.deepEqual(data('a'), { v: '1' });
+        assert.isUndefined(data('b'));
+        assert.equal(parent.status.revision.revision, 1);
+        assert.equal(parent.status.conditions.find(c => c.type === 'Ready').reason, 'ReconcileFailed');
+        assert.include(JSON.stringify(parent.status['razee-logs']), 'rolled back to revision 1');
+        assert.isTrue(api.list('v1', 'Event', 'default').some(e => e.reason === 'RolledBack'));
+      });
+
+      it('should apply the revision the parent is pinned to', async function () {
+        await reconcile();
+        await update({ spec: { templates: [configMap('a', { v: '2' }), configMap('b', { v: '2' })] } });
+        await reconcile();
+        await update({ metadata: { annotations: { 'deploy.razee.io/revision': '1' } } });
+        let parent = await reconcile();
+        assert.deepEqual(data('a'), { v: '1' });
+        assert.isUndefined(data('b'));
+        assert.deepInclude(parent.status.revision, { revision: 1, pinned: true });
+
+        await update({ metadata: { annotations: { 'deploy.razee.io/revision': null } } });
+        parent = await reconcile();
+        assert.deepEqual(data('b'), { v: '2' });
+        assert.deepInclude(parent.status.revision, { revision: 2, pinned: false });
+      });
+
+      it('should keep the secrets of a revision it rolls back to', async function () {
+        await update({ spec: { templates: [configMap('a', { v: '1' }), secret('1')] } });
+        await reconcile();
+        await update({ spec: { templates: [configMap('a', { v: '2' }), secret('2'), broken] } });
+        const parent = await reconcile(env({ RAZEE_AUTO_ROLLBACK: 'true' }));
+        assert.deepEqual(data('a'), { v: '1' });
+        assert.isDefined(api.read('v1', 'Secret', 's', 'default'));
+        assert.property(parent.status.children, '/api/v1/namespaces/default/secrets/s');
+      });
+
+      it('should keep the secrets of a revision it is pinned to', async function () {
+        await update({ spec: { templates: [configMap('a', { v: '1' }), secret('1')] } });
+        await reconcile();
+        await update({ spec: { templates: [configMap('a', { v: '2' }), secret('2')] } });
+        await reconcile();
+        await update({ metadata: { annotations: { 'deploy.razee.io/revision': '1' } } });
+        let parent = await reconcile();
+        assert.deepEqual(data('a'), { v: '1' });
+        // the secret is left as it is, its data isn't in the history
+        assert.deepEqual(api.read('v1', 'Secret', 's', 'default').data, { v: 'Mg==' });
+        assert.property(parent.status.children, '/api/v1/namespaces/default/secrets/s');
+        parent = await reconcile();
+        assert.isDefined(api.read('v1', 'Secret', 's', 'default'));
+      });
+
+      it('should fail when pinned to a revision it doesn\'t have', async function () {
+        await reconcile();
+        await update({ metadata: { annotations: { 'deploy.razee.io/revision': '7' } } });
+        const parent = await reconcile();
+        assert.include(JSON.stringify(parent.status['razee-logs']), 'Revision 7 not found');
+        assert.deepEqual(data('a'), { v: '1' });
+      });
+
+      it('should run a cycle when the pin changes', function () {
+        const controller = new TemplateSet(controllerParams(api, { apiVersion, kind, name: 'set', type: 'MODIFIED' }));
+        const object = api.read(apiVersion, kind, 'set', 'default');
+        const unpinned = controller._computeDataHash(object);
+        object.metadata.annotations = { 'deploy.razee.io/revision': '1' };
+        assert.notEqual(controller._computeDataHash(object), unpinned);
+        object.metadata.annotations = { other: 'x' };
+        assert.equal(controller._computeDataHash(object), unpinned);
+      });
+    });
+
+    describe('BaseDownloadController', function () {
+      const kind = 'RemoteSet';
+      let files;
+
+      class RemoteSet extends BaseDownloadController {
+        async download(options) {
+          return { statusCode: 200, body: yaml.dump(files[options.url]), headers: {} };
+        }
+      }
+
+      async function reconcile(config = env()) {
+        const controller = new RemoteSet(controllerParams(api, { apiVersion, kind, name: 'set', type: 'POLLED', configProvider: config }));
+        await controller.execute();
+        return api.read(apiVersion, kind, 'set', 'default');
+      }
+
+      beforeEach(function () {
+        files = { 'https://example.com/one.yaml': configMap('a', { v: '1' }), 'https://example.com/two.yaml': configMap('b', { v: '1' }) };
+        api = new FakeKubeApi();
+        api.register({ apiVersion: apiVersion, kind: kind });
+        api.create({
+          apiVersion: apiVersion,
+          kind: kind,
+          metadata: { name: 'set', namespace: 'default' },
+          spec: { clusterAuth: { impersonateUser: 'razeedeploy' }, requests: [{ options: { url: 'https://example.com/one.yaml' } }, { options: { url: 'https://example.com/two.yaml?token=x' } }] }
+        });
+        files['https://example.com/two.yaml?token=x'] = files['https://example.com/two.yaml'];
+      });
+
+      it('should record the downloaded set and roll back when a later request fails', async function () {
+        let parent = await reconcile();
+        assert.equal(parent.status.revision.revision, 1);
+        assert.deepEqual(Revisions.parse(history(kind))[0].sources.requests.map(r => r.url), ['https://example.com/one.yaml', 'https://example.com/two.yaml']);
+
+        files['https://example.com/one.yaml'] = configMap('a', { v: '2' });
+        files['https://example.com/two.yaml?token=x'] = [configMap('c', { v: '2' }), broken];
+        parent = await reconcile(env({ RAZEE_AUTO_ROLLBACK: 'true' }));
+        assert.deepEqual(data('a'), { v: '1' });
+        assert.deepEqual(data('b'), { v: '1' });
+        assert.isUndefined(data('c'));
+        assert.equal(parent.status.revision.revision, 1);
+      });
+    });
+  });
+});
@@ -0,0 +1,235 @@
+/*
+ * Copyright 2022 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const assert = require('chai').assert;
+const objectPath = require('object-path');
+const { FakeKubeApi, ChildSetController, controllerParams } = require('../lib/testing');
+const CompositeController = require('../lib/CompositeController');
+
+function configMap(name, data = { a: '1' }) {
+  return { apiVersion: 'v1', kind: 'ConfigMap', metadata: { name: name, namespace: 'default' }, data: data };
+}
+
+describe('testing', function () {
+  describe('FakeKubeResourceMeta', function () {
+    let api;
+    let krm;
+    beforeEach(function () {
+      api = new FakeKubeApi({ now: () => new Date('2022-06-01T10:00:00.000Z') });
+      krm = api.kubeResourceMeta('v1', 'ConfigMap');
+    });
+
+    it('should build uris like KubeResourceMeta', function () {
+      assert.equal(krm.uri({ name: 'cm', namespace: 'default' }), '/api/v1/namespaces/default/configmaps/cm');
+      assert.equal(api.kubeResourceMeta('apps/v1', 'Deployment').uri({ name: 'web', namespace: 'ns', status: true }), '/apis/apps/v1/namespaces/ns/deployments/web/status');
+      assert.equal(api.kubeResourceMeta('v1', 'Namespace').uri({ name: 'ns', namespace: 'ignored' }), '/api/v1/namespaces/ns');
+      assert.isTrue(krm.namespaced);
+    });
+
+    it('should follow the request-promise conventions', async function () {
+      const created = await krm.post(configMap('cm'));
+      assert.equal(created.metadata.uid, '00000000-0000-4000-8000-000000000001');
+      assert.equal(created.metadata.creationTimestamp, '2022-06-01T10:00:00Z');
+      assert.deepEqual(await krm.get('cm', 'default'), created);
+
+      const missing = await krm.get('other', 'default', { simple: false, resolveWithFullResponse: true });
+      assert.equal(missing.statusCode, 404);
+      assert.equal(missing.body.reason, 'NotFound');
+      try {
+        await krm.get('other', 'default');
+        assert.fail('should have thrown');
+      } catch (e) {
+        assert.equal(e.name, 'StatusCodeError');
+        assert.equal(e.statusCode, 404);
+        assert.equal(e.error.message, 'configmaps "other" not found');
+      }
+      assert.equal((await krm.post(configMap('cm'), { simple: false, resolveWithFullResponse: true })).statusCode, 409);
+    });
+
+    it('should reject stale resourceVersions', async function () {
+      const created = await krm.post(configMap('cm'));
+      const patched = await krm.mergePatch('cm', 'default', { data: { a: '2' } });
+      assert.notEqual(patched.metadata.resourceVersion, created.metadata.resourceVersion);
+      const stale = await krm.mergePatch('cm', 'default', { metadata: { resourceVersion: created.metadata.resourceVersion }, data: { a: '3' } }, { simple: false, resolveWithFullResponse: true });
+      assert.equal(stale.statusCode, 409);
+      assert.equal(stale.body.reason, 'Conflict');
+      const put = await krm.put({ ...created, data: { a: '4' } }, { simple: false, resolveWithFullResponse: true });
+      assert.equal(put.statusCode, 409);
+      assert.equal(api.read('v1', 'ConfigMap', 'cm', 'default').data.a, '2');
+    });
+
+    it('should keep no-op writes at the same resourceVersion', async function () {
+      const created = await krm.post(configMap('cm'));
+      const patched = await krm.mergePatch('cm', 'default', { data: { a: '1' } });
+      assert.equal(patched.metadata.resourceVersion, created.metadata.resourceVersion);
+    });
+
+    it('should only write status through the status subresource', async function () {
+      api.register({ apiVersion: 'deploy.razee.io/v1alpha2', kind: 'MustacheTemplate' });
+      const mt = api.kubeResourceMeta('deploy.razee.io/v1alpha2', 'MustacheTemplate');
+      await mt.post({ apiVersion: 'deploy.razee.io/v1alpha2', kind: 'MustacheTemplate', metadata: { name: 'mt', namespace: 'default' }, spec: { a: 1 }, status: { ignored: true } });
+      let res = await mt.mergePatch('mt', 'default', { status: { ignored: true } });
+      assert.isUndefined(res.status);
+      res = await mt.mergePatch('mt', 'default', { status: { ready: true }, spec: { a: 2 } }, { status: true });
+      assert.deepEqual(res.status, { ready: true });
+      assert.deepEqual(res.spec, { a: 1 });
+      assert.equal(res.metadata.generation, 1);
+      res = await mt.mergePatch('mt', 'default', { spec: { a: 2 }, metadata: { labels: { x: 'y' } } });
+      assert.equal(res.metadata.generation, 2);
+      assert.deepEqual(res.status, { ready: true });
+    });
+
+    it('should support strategic merge patch for built-in kinds only', async function () {
+      const deployments = api.kubeResourceMeta('apps/v1', 'Deployment');
+      await deployments.post({ apiVersion: 'apps/v1', kind: 'Deployment', metadata: { name: 'web', namespace: 'default' }, spec: { template: { spec: { containers: [{ name: 'web', image: 'web:1' }, { name: 'sidecar', image: 'sidecar:1' }] } } } });
+      const res = await deployments.strategicMergePatch('web', 'default', { spec: { template: { spec: { containers: [{ name: 'web', image: 'web:2' }, { name: 'sidecar', $patch: 'delete' }, { name: 'cache', image: 'cache:1' }] } } } });
+      assert.deepEqual(res.spec.template.spec.containers, [{ name: 'web', image: 'web:2' }, { name: 'cache', image: 'cache:1' }]);
+
+      api.register({ apiVersion: 'example.com/v1', kind: 'Widget' });
+      const widgets = api.kubeResourceMeta('example.com/v1', 'Widget');
+      await widgets.post({ apiVersion: 'example.com/v1', kind: 'Widget', metadata: { name: 'w', namespace: 'default' } });
+      assert.equal((await widgets.strategicMergePatch('w', 'default', { spec: {} }, { simple: false, resolveWithFullResponse: true })).statusCode, 415);
+    });
+
+    it('should apply json patches', async function () {
+      await krm.post(configMap('cm', { a: '1', b: '2' }));
+      const res = await krm.patch('cm', 'default', [{ op: 'test', path: '/data/a', value: '1' }, { op: 'remove', path: '/data/b' }, { op: 'add', path: '/metadata/labels', value: { 'x/y': 'z' } }, { op: 'replace', path: '/metadata/labels/x~1y', value: 'w' }]);
+      assert.deepEqual(res.data, { a: '1' });
+      assert.deepEqual(res.metadata.labels, { 'x/y': 'w' });
+      const failed = await krm.patch('cm', 'default', [{ op: 'test', path: '/data/a', value: '2' }], { simple: false, resolveWithFullResponse: true });
+      assert.equal(failed.statusCode, 422);
+    });
+
+    it('should not persist server-side dry-runs', async function () {
+      const res = await krm.post(configMap('cm'), { qs: { dryRun: 'All' }, simple: false, resolveWithFullResponse: true });
+      assert.equal(res.statusCode, 201);
+      assert.isUndefined(api.read('v1', 'ConfigMap', 'cm', 'default'));
+    });
+
+    it('should list by label selector', async function () {
+      await krm.post({ ...configMap('a'), metadata: { name: 'a', namespace: 'default', labels: { app: 'web', tier: 'dev' } } });
+      await krm.post({ ...configMap('b'), metadata: { name: 'b', namespace: 'other', labels: { app: 'web' } } });
+      await krm.post(configMap('c'));
+      const list = await krm.request({ uri: krm.uri({}), qs: { labelSelector: 'app=web,!tier' }, json: true });
+      assert.equal(list.kind, 'ConfigMapList');
+      assert.deepEqual(list.items.map(i => i.metadata.name), ['b']);
+      assert.deepEqual((await krm.request({ uri: krm.uri({ namespace: 'default' }), json: true })).items.map(i => i.metadata.name), ['a', 'c']);
+    });
+
+    it('should record requests and let reactors intercept them', async function () {
+      krm.addHeader('Impersonate-User', 'someone');
+      const remove = api.react((req) => req.method === 'GET' ? { statusCode: 500, body: { kind: 'Status', reason: 'InternalError' } } : undefined);
+      assert.equal((await krm.get('cm', 'default', { simple: false, resolveWithFullResponse: true })).statusCode, 500);
+      remove();
+      assert.equal((await krm.get('cm', 'default', { simple: false, resolveWithFullResponse: true, headers: { 'Impersonate-User': undefined } })).statusCode, 404);
+      assert.deepEqual(api.requests.map(r => [r.method, r.headers['impersonate-user']]), [['GET', 'someone'], ['GET', undefined]]);
+    });
+  });
+
+  describe('deletion', function () {
+    it('should wait for finalizers and garbage collect owned resources', async function () {
+      const api = new FakeKubeApi();
+      const krm = api.kubeResourceMeta('v1', 'ConfigMap');
+      const owner = await krm.post({ ...configMap('owner'), metadata: { name: 'owner', namespace: 'default', finalizers: ['example.com/cleanup'] } });
+      await krm.post({ ...configMap('owned'), metadata: { name: 'owned', namespace: 'default', ownerReferences: [{ apiVersion: 'v1', kind: 'ConfigMap', name: 'owner', uid: owner.metadata.uid }] } });
+
+      const res = await krm.delete('owner', 'default', { simple: false, resolveWithFullResponse: true });
+      assert.equal(res.statusCode, 202);
+      assert.isString(res.body.metadata.deletionTimestamp);
+      const added = await krm.mergePatch('owner', 'default', { metadata: { finalizers: ['example.com/cleanup', 'example.com/other'] } }, { simple: false, resolveWithFullResponse: true });
+      assert.equal(added.statusCode, 422);
+
+      await krm.mergePatch('owner', 'default', { metadata: { finalizers: [] } });
+      assert.isUndefined(api.read('v1', 'ConfigMap', 'owner', 'default'));
+      assert.isUndefined(api.read('v1', 'ConfigMap', 'owned', 'default'));
+    });
+  });
+
+  describe('full reconcile', function () {
+    class ConfigMapSet extends CompositeController {
+      async added() {
+        for (const [name, data] of Object.entries(objectPath.get(this.data, 'object.spec.configMaps', {}))) {
+          const res = await this.applyChild(configMap(name, data));
+          if (res.statusCode < 200 || res.statusCode >= 300) {
+            return Promise.reject(res);
+          }
+        }
+        await this.reconcileChildren();
+      }
+    }
+
+    let api;
+    const apiVersion = 'deploy.razee.io/v1alpha2';
+    const kind = 'ConfigMapSet';
+
+    async function reconcile(type) {
+      const controller = new ConfigMapSet(controllerParams(api, { apiVersion, kind, name: 'set', type }));
+      await controller.execute();
+      return api.read(apiVersion, kind, 'set', 'default');
+    }
+
+    beforeEach(function () {
+      api = new FakeKubeApi();
+      api.register({ apiVersion: apiVersion, kind: kind });
+      api.create({
+        apiVersion: apiVersion,
+        kind: kind,
+        metadata: { name: 'set', namespace: 'default' },
+        spec: { clusterAuth: { impersonateUser: 'razeedeploy' }, configMaps: { a: { key: '1' }, b: { key: '2' } } }
+      });
+    });
+
+    it('should apply, prune and finalize children', async function () {
+      let parent = await reconcile('ADDED');
+      assert.deepEqual(api.list('v1', 'ConfigMap', 'default').map(cm => cm.metadata.name), ['a', 'b']);
+      assert.include(parent.metadata.finalizers, 'children.compositecontroller.deploy.razee.io');
+      assert.hasAllKeys(parent.status.children, ['/api/v1/namespaces/default/configmaps/a', '/api/v1/namespaces/default/configmaps/b']);
+      assert.equal(parent.status.conditions.find(c => c.type === 'Ready').status, 'True');
+      assert.isAbove(api.list('v1', 'Event', 'default').length, 0);
+
+      await api.kubeResourceMeta(apiVersion, kind).mergePatch('set', 'default', { spec: { configMaps: { a: { key: '3' }, b: null } } });
+      parent = await reconcile('MODIFIED');
+      assert.deepEqual(api.list('v1', 'ConfigMap', 'default').map(cm => [cm.metadata.name, cm.data.key]), [['a', '3']]);
+      assert.hasAllKeys(parent.status.children, ['/api/v1/namespaces/default/configmaps/a']);
+
+      api.delete(apiVersion, kind, 'set', 'default');
+      parent = await reconcile('MODIFIED');
+      assert.isUndefined(parent);
+      assert.deepEqual(api.list('v1', 'ConfigMap', 'default'), []);
+    });
+  });
+
+  describe('ChildSetController', function () {
+    const apiVersion = 'deploy.razee.io/v1alpha2';
+    const kind = 'ChildSet';
+
+    it('should fail the cycle on a child that fails to apply', async function () {
+      const api = new FakeKubeApi();
+      api.register({ apiVersion: apiVersion, kind: kind });
+      api.create({
+        apiVersion: apiVersion,
+        kind: kind,
+        metadata: { name: 'set', namespace: 'default' },
+        spec: { clusterAuth: { impersonateUser: 'razeedeploy' }, children: [configMap('a'), { apiVersion: 'v1', kind: 'Widget', metadata: { name: 'b' } }] }
+      });
+      await new ChildSetController(controllerParams(api, { apiVersion, kind, name: 'set' })).execute();
+      const parent = api.read(apiVersion, kind, 'set', 'default');
+      assert.isDefined(api.read('v1', 'ConfigMap', 'a', 'default'));
+      assert.isDefined(parent.status['razee-logs'].error);
+      assert.equal(parent.status.conditions.find(c => c.type === 'Ready').status, 'False');
+    });
+  });
+});